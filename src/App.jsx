@@ -8,14 +8,19 @@ import VRControls from './components/VRControls';
 import Visualizer from './visualizers/Visualizer';
 import AlgorithmEngine from './algorithms/AlgorithmEngine';
 import AudioManager from './audio/AudioManager';
+import { getDeviceProfile, getOutputProfileId } from './midi/deviceProfiles';
 
 // Create XR store
 const xrStore = createXRStore();
 
 // MIDI Device Selector component
+// Picks the default output: the one the control panel talks to and tracks
+// without their own output play on. Each device shows its profile.
 function MidiDeviceSelector() {
   const availableOutputs = useSelector(state => state.midi.availableOutputs);
   const currentOutput = useSelector(state => state.midi.output);
+  const deviceProfiles = useSelector(state => state.midi.deviceProfiles);
+  const outputProfiles = useSelector(state => state.midi.outputProfiles);
   
   const handleDeviceChange = (e) => {
     const selectedDeviceId = e.target.value;
@@ -24,6 +29,9 @@ function MidiDeviceSelector() {
     }
   };
   
+  const profileName = (device) =>
+    getDeviceProfile(getOutputProfileId(device, { deviceProfiles, outputProfiles }), deviceProfiles).name;
+  
   if (!availableOutputs || availableOutputs.length === 0) {
     return null;
   }
@@ -32,6 +40,7 @@ function MidiDeviceSelector() {
     <select 
       value={currentOutput?.id || ''}
       onChange={handleDeviceChange}
+      title="Default MIDI output"
       style={{
         marginLeft: '10px',
         background: '#222',
@@ -43,7 +52,7 @@ function MidiDeviceSelector() {
     >
       {availableOutputs.map(device => (
         <option key={device.id} value={device.id}>
-          {device.name}
+          {device.name} ({profileName(device)})
         </option>
       ))}
     </select>
@@ -57,6 +66,7 @@ function App() {
   const midiError = useSelector(state => state.midi.errorMessage);
   const currentAlgorithm = useSelector(state => state.algorithm.currentAlgorithm);
   const isPlaying = useSelector(state => state.algorithm.isPlaying);
+  const playbackPosition = useSelector(state => state.visualizer.playbackPosition);
 
   const toggleControls = () => setShowControls(!showControls);
 
@@ -125,6 +135,13 @@ function App() {
         </div>
         <div>
           Algorithm: {currentAlgorithm} {isPlaying ? '▶️ Playing' : '⏹️ Stopped'}
+          {isPlaying && (
+            <span style={{ marginLeft: '10px', fontFamily: 'monospace' }}>
+              {/* Position counts from 1 for display */}
+              Bar {playbackPosition.bar + 1} · Beat {playbackPosition.beat + 1} · Step {playbackPosition.loopStep + 1}
+              {playbackPosition.loopLength > 0 && `/${playbackPosition.loopLength}`} · Loop {playbackPosition.loop + 1}
+            </span>
+          )}
         </div>
         <div>
           {vrMode ? '🥽 VR Mode' : '🖥️ Desktop'}
@@ -1,63 +1,127 @@
-import React, { useEffect, useRef } from 'react';
-import { useSelector, useDispatch } from 'react-redux';
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useSelector, useDispatch, shallowEqual } from 'react-redux';
 import { noteOn, noteOff, clearNotes } from '../state/midiSlice';
-import { sendNoteOn, sendNoteOff, sendAllNotesOff, MEGAFM_CHANNEL } from '../midi/midiUtils';
+import { setPlaybackPosition, resetPlaybackPosition } from '../state/visualizerSlice';
+import { TRANSPORT_CONFIG } from '../config/constants';
 import AudioManager from '../audio/AudioManager';
-import FractalGenerator from './FractalGenerator';
-import EuclideanGenerator from './EuclideanGenerator';
-import CellularGenerator from './CellularGenerator';
-import HarmonyGenerator from './HarmonyGenerator';
-import SequentialGenerator from './SequentialGenerator';
-import WaveshaperGenerator from './WaveshaperGenerator';
-import MarkovGenerator from './MarkovGenerator';
+import Transport from '../audio/Transport';
+import MidiClockReceiver from '../midi/MidiClockReceiver';
+import MidiClockSender from '../midi/MidiClockSender';
+import PerformanceRecorder from '../midi/PerformanceRecorder';
+import MpeChannelAllocator from '../midi/MpeChannelAllocator';
+import { MEGAFM_CHANNEL } from '../midi/midiUtils';
+import { getDeviceProfile, getOutputProfileId } from '../midi/deviceProfiles';
+import { isSwitchOn } from '../state/synthSlice';
+import TrackPlayer from './TrackPlayer';
+import { renderSequence, applyLiveInput } from './generators';
+import { getGrooveTemplate } from '../utils/grooveUtils';
 
 const AlgorithmEngine = () => {
   const dispatch = useDispatch();
   const midiOutput = useSelector(state => state.midi.output);
+  const clockSource = useSelector(state => state.midi.clockSource);
+  const clockOutputs = useSelector(state => state.midi.clockOutputs);
+  const availableOutputs = useSelector(state => state.midi.availableOutputs);
+  const deviceProfiles = useSelector(state => state.midi.deviceProfiles);
+  const outputProfiles = useSelector(state => state.midi.outputProfiles);
   const currentAlgorithm = useSelector(state => state.algorithm.currentAlgorithm);
   const algorithms = useSelector(state => state.algorithm.algorithms);
+  const tracks = useSelector(state => state.algorithm.tracks);
+  const multiTrack = useSelector(state => state.algorithm.multiTrack);
+  const groove = useSelector(state => state.algorithm.groove);
+  const grooveTemplates = useSelector(state => state.algorithm.grooveTemplates);
   const isPlaying = useSelector(state => state.algorithm.isPlaying);
   const tempo = useSelector(state => state.algorithm.tempo);
   const noteInterval = useSelector(state => state.algorithm.noteInterval);
+  const changeQuantize = useSelector(state => state.algorithm.changeQuantize);
+  const seed = useSelector(state => state.algorithm.seed);
+  const followRoot = useSelector(state => state.algorithm.followRoot);
+  const liveCells = useSelector(state => state.algorithm.liveCells);
+  const mpeMode = useSelector(state => isSwitchOn(state.synth.parameters.MPE_MODE));
+  const pitchBendRange = useSelector(state => state.synth.pitchBendRange);
 
-  // References to keep track of timers and sequences
-  const timerRef = useRef(null);
-  const sequenceRef = useRef([]);
-  const stepIndexRef = useRef(0);
-  const activeNotesRef = useRef(new Set());
+  // References to keep track of the running tracks and scheduled UI updates
+  const playersRef = useRef(new Map());   // Track id -> TrackPlayer
+  const uiTimersRef = useRef(new Set());  // Pending Redux note updates
   const audioInitialized = useRef(false);
-  
-  // Load the appropriate generator based on the algorithm
-  const getGenerator = () => {
-    switch (currentAlgorithm) {
-      case 'fractal':
-        return new FractalGenerator(algorithms.fractal.parameters);
-      case 'euclidean':
-        return new EuclideanGenerator(algorithms.euclidean.parameters);
-      case 'cellular':
-        return new CellularGenerator(algorithms.cellular.parameters);
-      case 'sequential':
-        return new SequentialGenerator(algorithms.sequential.parameters);
-      case 'waveshaper':
-        return new WaveshaperGenerator(algorithms.waveshaper.parameters);
-      case 'markov':
-        return new MarkovGenerator(algorithms.markov.parameters);
-      case 'ruleBasedHarmony':
-        return new HarmonyGenerator(algorithms.ruleBasedHarmony.parameters);
-      default:
-        return new FractalGenerator(algorithms.fractal.parameters);
-    }
-  };
-  
-  // Generate a new sequence of notes
-  const generateSequence = () => {
-    const generator = getGenerator();
-    const sequence = generator.generate();
-    sequenceRef.current = sequence;
-    stepIndexRef.current = 0;
+  const lastPositionUpdateRef = useRef(0); // Time of the last published position
+  const generatedFromRef = useRef(new Map()); // Track id -> { parameters, seed } from the panel it was last generated with
+  const playedParametersRef = useRef({}); // Parameters the tracks played last time
+  const mpeAllocatorRef = useRef(new MpeChannelAllocator()); // Member channels of the MPE zone
+
+  // In multi-track mode every enabled algorithm runs as its own track,
+  // otherwise only the current algorithm plays
+  const activeTrackIds = multiTrack
+    ? Object.keys(algorithms).filter(algorithm => algorithms[algorithm].enabled)
+    : [currentAlgorithm];
+  const activeTrackKey = activeTrackIds.join(',');
+
+  // Parameters the tracks play, with the live MIDI input applied (keyboard
+  // follow root, cells played into the automaton). A track keeps its
+  // previous object while what it plays is unchanged, so live input meant
+  // for one track does not regenerate the others.
+  const liveInput = useMemo(() => ({ root: followRoot, cells: liveCells }), [followRoot, liveCells]);
+  const playedParameters = useMemo(() => {
+    const previous = playedParametersRef.current;
+    const played = Object.fromEntries(Object.entries(algorithms).map(([id, algorithm]) => {
+      const parameters = applyLiveInput(id, algorithm.parameters, liveInput);
+      return [id, previous[id] && shallowEqual(previous[id], parameters) ? previous[id] : parameters];
+    }));
+
+    playedParametersRef.current = played;
+    return played;
+  }, [algorithms, liveInput]);
+
+  // Generate a new sequence of notes for a track. While playing it is
+  // staged and swapped in at the next beat, bar or loop boundary.
+  const generateSequence = (player, quantize = 'immediate') => {
+    const parameters = playedParameters[player.id];
+    const sequence = renderSequence(player.id, parameters, seed);
+    player.stageSequence(sequence, parameters, seed, quantize);
     return sequence;
   };
-  
+
+  // Resolve a track's output id to the WebMidi output instance
+  const resolveOutput = (outputId) => {
+    if (!outputId) return null;
+    const device = (availableOutputs || []).find(output => output.id === outputId);
+    return device ? device.instance : null;
+  };
+
+  // Device profile of the port a track plays on (the default output for
+  // tracks without their own)
+  const resolveProfile = (outputId) => {
+    const device = outputId
+      ? (availableOutputs || []).find(output => output.id === outputId)
+      : midiOutput;
+    if (!device) return null;
+    return getDeviceProfile(getOutputProfileId(device, { deviceProfiles, outputProfiles }), deviceProfiles);
+  };
+
+  // Push the Redux track settings into a player
+  const applyTrackSettings = (player) => {
+    const track = tracks[player.id];
+    if (!track) return;
+
+    // Tracks without their own groove follow the global one
+    const trackGroove = track.groove || groove;
+
+    // Tracks playing the MegaFM spread their notes over the member channels
+    // of its MPE zone, sharing one allocator
+    const playsMpeZone = mpeMode && track.channel === MEGAFM_CHANNEL && !track.outputId;
+
+    player.updateSettings({
+      ...track,
+      output: resolveOutput(track.outputId),
+      groove: {
+        template: getGrooveTemplate(trackGroove.template, grooveTemplates),
+        swing: trackGroove.swing
+      },
+      mpe: playsMpeZone ? { allocator: mpeAllocatorRef.current, pitchBendRange } : null,
+      profile: resolveProfile(track.outputId)
+    });
+  };
+
   // Initialize AudioManager when MIDI output changes
   useEffect(() => {
     const initAudio = async () => {
@@ -71,13 +135,52 @@ const AlgorithmEngine = () => {
     initAudio();
   }, [midiOutput]);
 
-  // Play the next step in the sequence
-  const playNextStep = () => {
-    if (!isPlaying || sequenceRef.current.length === 0) return;
+  // Keep the latest output in a ref so transport callbacks always see it
+  const midiOutputRef = useRef(midiOutput);
+  useEffect(() => {
+    midiOutputRef.current = midiOutput;
+  }, [midiOutput]);
+
+  // Run a UI update (Redux note state) when the scheduled time is reached,
+  // so visualizers follow what is heard rather than what is queued
+  const scheduleUiUpdate = (time, callback) => {
+    const delay = Math.max(0, time - performance.now());
+    const timerId = setTimeout(() => {
+      uiTimersRef.current.delete(timerId);
+      callback();
+    }, delay);
+    uiTimersRef.current.add(timerId);
+  };
+
+  // Callbacks handed to every track player
+  const playerCallbacks = useRef({
+    onNoteOn: (note, time) => scheduleUiUpdate(time, () => dispatch(noteOn({
+      note: note.pitch,
+      velocity: note.velocity,
+      column: note.column,
+      row: note.row,
+      channel: note.channel,
+      state: note.state || 'active'
+    }))),
+    onNoteOff: (note, time) => scheduleUiUpdate(time, () => dispatch(noteOff({
+      note: note.pitch,
+      channel: note.channel
+    })))
+  }).current;
+
+  // Release everything the tracks have queued and drop pending UI updates
+  const releaseScheduledNotes = () => {
+    playersRef.current.forEach(player => player.releaseAll());
+
+    uiTimersRef.current.forEach(timerId => clearTimeout(timerId));
+    uiTimersRef.current.clear();
+  };
 
+  // Queue the notes of every track for the next transport step
+  const scheduleStep = (event) => {
     // Initialize audio if not already done (for Web Audio mode on first user interaction)
     if (!audioInitialized.current) {
-      AudioManager.initialize(midiOutput).then(result => {
+      AudioManager.initialize(midiOutputRef.current).then(result => {
         if (result.success) {
           audioInitialized.current = true;
           console.log(`AudioManager initialized in ${result.mode} mode`);
@@ -86,185 +189,200 @@ const AlgorithmEngine = () => {
       return;
     }
 
-    const sequence = sequenceRef.current;
-    const stepIndex = stepIndexRef.current;
-    const step = sequence[stepIndex];
+    const players = Array.from(playersRef.current.values());
+    const soloActive = players.some(player => player.solo);
 
-    // Stop any currently playing notes
-    activeNotesRef.current.forEach(note => {
-      AudioManager.noteOff(note, MEGAFM_CHANNEL);
-      dispatch(noteOff({ note }));
+    players.forEach(player => {
+      const audible = !player.muted && (!soloActive || player.solo);
+      player.scheduleStep(event, audible);
     });
-    activeNotesRef.current.clear();
-
-    // Play the notes for this step
-    if (step && step.notes) {
-      step.notes.forEach(note => {
-        const velocity = note.velocity || 100;
-
-        try {
-          // Normalize velocity to 0-1 range
-          const normalizedVelocity = Math.min(1, Math.max(0, velocity / 127));
-
-          // Use AudioManager (handles both MIDI and Web Audio)
-          AudioManager.noteOn(note.pitch, normalizedVelocity, MEGAFM_CHANNEL);
-
-          // Track note state in Redux
-          dispatch(noteOn({
-            note: note.pitch,
-            velocity,
-            column: note.column,
-            row: note.row,
-            state: note.state || 'active'
-          }));
-
-          // Track active notes for release later
-          activeNotesRef.current.add(note.pitch);
-
-          // Only log occasionally to reduce console spam
-          if (note.pitch % 10 === 0 || note.state === 'birth') {
-            const status = AudioManager.getStatus();
-            console.log(`Note On: ${note.pitch}, Velocity: ${normalizedVelocity.toFixed(2)}, State: ${note.state || 'active'}, Mode: ${status.mode}`);
-          }
-        } catch (error) {
-          console.error(`Failed to send Note On for pitch ${note.pitch}:`, error.message);
-        }
-      });
+
+    publishPosition(event);
+  };
+
+  // Publish the transport position to Redux when the step is heard.
+  // Updates are throttled, but the first step of every bar always goes out
+  // so anything that follows bar boundaries sees each one.
+  const publishPosition = ({ time, duration, position }) => {
+    const isBarStart = position.beat === 0 && position.stepInBeat === 0;
+    if (!isBarStart && time - lastPositionUpdateRef.current < TRANSPORT_CONFIG.POSITION_THROTTLE_MS) {
+      return;
     }
+    lastPositionUpdateRef.current = time;
+
+    // Loop count follows the current algorithm's track
+    const player = playersRef.current.get(currentAlgorithm) || playersRef.current.values().next().value;
+    const loopLength = player ? player.getLoopLength() : 0;
 
-    // Advance to the next step or loop back
-    stepIndexRef.current = (stepIndexRef.current + 1) % sequence.length;
+    scheduleUiUpdate(time, () => dispatch(setPlaybackPosition({
+      step: position.step,
+      bar: position.bar,
+      beat: position.beat,
+      loop: loopLength > 0 ? Math.floor(position.step / loopLength) : 0,
+      loopStep: loopLength > 0 ? position.step % loopLength : 0,
+      loopLength,
+      duration,
+      time
+    })));
   };
-  
+
+  // Send note offs that fall inside the lookahead window
+  const handleTransportTick = ({ horizon }) => {
+    playersRef.current.forEach(player => player.flushNoteOffs(horizon));
+  };
+
+  // Subscribe to the shared transport. Handlers only read refs, so the
+  // latest versions are reached through handlersRef.
+  const handlersRef = useRef({});
+  handlersRef.current = { scheduleStep, handleTransportTick };
+
+  useEffect(() => {
+    const removeStepListener = Transport.addListener('step', event => handlersRef.current.scheduleStep(event));
+    const removeTickListener = Transport.addListener('tick', event => handlersRef.current.handleTransportTick(event));
+
+    return () => {
+      removeStepListener();
+      removeTickListener();
+    };
+  }, []);
+
+  // Create, regenerate and remove track players as the running tracks,
+  // their parameters, the seed or the live input change
+  useEffect(() => {
+    const players = playersRef.current;
+    const generatedFrom = generatedFromRef.current;
+
+    // Remove tracks that are no longer running
+    players.forEach((player, id) => {
+      if (!activeTrackIds.includes(id)) {
+        player.silence();
+        players.delete(id);
+        generatedFrom.delete(id);
+      }
+    });
+
+    activeTrackIds.forEach(id => {
+      if (!algorithms[id]) return;
+
+      let player = players.get(id);
+      if (!player) {
+        player = new TrackPlayer(id, playerCallbacks);
+        players.set(id, player);
+        applyTrackSettings(player);
+      }
+
+      // Only tracks whose parameters or seed changed are regenerated
+      if (!player.isGeneratedFrom(playedParameters[id], seed)) {
+        // Live input takes over from the next step, so the part follows the
+        // player instead of waiting for the change quantize. It is live input
+        // when the track's panel parameters and the seed stayed the same.
+        const previous = generatedFrom.get(id);
+        const liveInputChanged = !!previous && previous.parameters === algorithms[id].parameters && previous.seed === seed;
+        const isNewSequence = player.sequence.length === 0;
+        const quantize = isPlaying && !isNewSequence && !liveInputChanged ? changeQuantize : 'immediate';
+
+        generateSequence(player, quantize);
+        generatedFrom.set(id, { parameters: algorithms[id].parameters, seed });
+      }
+    });
+  }, [activeTrackKey, playedParameters, seed]);
+
+  // Apply channel, output, mute/solo, loop length, groove, MPE and device
+  // profile changes
+  useEffect(() => {
+    playersRef.current.forEach(player => applyTrackSettings(player));
+  }, [
+    tracks, availableOutputs, groove, grooveTemplates, mpeMode, pitchBendRange,
+    midiOutput, deviceProfiles, outputProfiles
+  ]);
+
+  // Send MIDI clock to the enabled outputs. While following an external
+  // clock we are not the master, so nothing is sent.
+  useEffect(() => {
+    const outputs = clockSource === 'external'
+      ? []
+      : clockOutputs.map(resolveOutput).filter(Boolean);
+
+    MidiClockSender.setOutputs(outputs);
+  }, [clockOutputs, clockSource, availableOutputs]);
+
+  // Keep the transport grid in sync with the tempo. An external clock
+  // sets the step duration itself from the measured pulse spacing.
+  useEffect(() => {
+    if (clockSource !== 'external') {
+      Transport.setStepDuration(noteInterval);
+    }
+  }, [noteInterval, clockSource]);
+
   // Start or stop the playback
   useEffect(() => {
     if (isPlaying) {
-      // Generate a new sequence if needed
-      if (sequenceRef.current.length === 0) {
-        generateSequence();
-      }
-      
-      // Clear any existing timer before starting a new one
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
+      if (clockSource === 'external') {
+        // Playback starts on the next step boundary of the incoming clock
+        MidiClockReceiver.requestStart();
+        console.log('Waiting for external MIDI clock');
+      } else {
+        Transport.setStepDuration(noteInterval);
+        Transport.start();
+        console.log(`Starting playback with timing interval: ${noteInterval}ms`);
       }
-      
-      // Use requestAnimationFrame for more precise timing instead of setInterval
-      let lastTime = performance.now();
-      let accumulatedTime = 0;
-      
-      const animationCallback = (time) => {
-        // Cancel animation if we're no longer playing
-        if (!isPlaying) {
-          // Clear the timer reference
-          if (timerRef.current) {
-            cancelAnimationFrame(timerRef.current);
-            timerRef.current = null;
-          }
-          return;
-        }
-        
-        // Calculate elapsed time since last frame
-        const deltaTime = time - lastTime;
-        lastTime = time;
-        
-        // Protect against browser tab switching which can cause huge deltaTime
-        // Cap the max delta to prevent large jumps
-        const cappedDelta = Math.min(deltaTime, 100);
-        
-        accumulatedTime += cappedDelta;
-        
-        // If enough time has passed for a step
-        while (accumulatedTime >= noteInterval) {
-          playNextStep();
-          accumulatedTime -= noteInterval; // Subtract full interval for accurate timing
-        }
-        
-        // Continue the animation loop
-        timerRef.current = requestAnimationFrame(animationCallback);
-      };
-      
-      // Start the animation loop
-      timerRef.current = requestAnimationFrame(animationCallback);
-      console.log(`Starting playback with timing interval: ${noteInterval}ms`);
     } else {
-      // Stop the animation frame and all notes
-      if (timerRef.current) {
-        cancelAnimationFrame(timerRef.current);
-        timerRef.current = null;
+      MidiClockReceiver.cancelStart();
+
+      if (Transport.isRunning) {
+        Transport.stop();
         console.log('Stopping playback');
       }
-      
-      // Turn off any active notes
+
+      // Turn off any active and queued notes
       try {
+        releaseScheduledNotes();
         AudioManager.allNotesOff();
-        activeNotesRef.current.clear();
         dispatch(clearNotes());
+        dispatch(resetPlaybackPosition());
+        lastPositionUpdateRef.current = 0;
       } catch (error) {
         console.warn("Error stopping playback:", error.message);
       }
     }
-    
-    // Cleanup the animation frame when component unmounts or dependencies change
-    return () => {
-      if (timerRef.current) {
-        cancelAnimationFrame(timerRef.current);
-        timerRef.current = null;
-        console.log('Cleaning up playback timer');
-      }
-    };
-  }, [isPlaying, midiOutput, noteInterval, dispatch]);
-  
-  // Update the timing when the tempo changes
+  }, [isPlaying, dispatch]);
+
+  // Log timing updates. The transport picks up the new step duration from
+  // its next step, so the pattern carries on without being regenerated.
   useEffect(() => {
-    // No need to explicitly handle tempo changes with requestAnimationFrame
-    // The next animation frame will use the updated noteInterval value
-    if (isPlaying) {
+    if (isPlaying && clockSource !== 'external') {
       console.log(`Updated playback timing to: ${noteInterval}ms (tempo: ${tempo}bpm)`);
-      
-      // When tempo changes, regenerate sequence for better sync
-      if (midiOutput) {
-        console.log("Regenerating sequence to match new tempo");
-        generateSequence();
-        stepIndexRef.current = 0;
-      }
     }
-  }, [tempo, noteInterval, isPlaying, midiOutput, generateSequence]);
-  
-  // Regenerate the sequence when algorithm or parameters change
+
+    // Keep the tempo map of a recording in step with what was played
+    PerformanceRecorder.recordTempo(tempo);
+  }, [tempo]);
+
+  // Dispatch action to set visualization mode based on algorithm
   useEffect(() => {
-    generateSequence();
-    
-    // Dispatch action to set visualization mode based on algorithm
     if (currentAlgorithm) {
       dispatch({ type: 'visualizer/setVisualizationForAlgorithm', payload: currentAlgorithm });
     }
-  }, [currentAlgorithm, algorithms, dispatch]);
-  
+  }, [currentAlgorithm, dispatch]);
+
   // Clean up function to stop notes and timers when component unmounts
   useEffect(() => {
     return () => {
-      if (timerRef.current) {
-        cancelAnimationFrame(timerRef.current);
-        timerRef.current = null;
-      }
+      Transport.stop();
+      MidiClockSender.setOutputs([]);
 
       try {
+        releaseScheduledNotes();
         AudioManager.allNotesOff();
-
-        // Clear the active notes reference to ensure no orphaned notes
-        if (activeNotesRef.current.size > 0) {
-          activeNotesRef.current.clear();
-          dispatch(clearNotes());
-        }
+        dispatch(clearNotes());
       } catch (error) {
         console.warn("Error cleaning up audio:", error.message);
       }
     };
   }, [dispatch]);
-  
+
   // This component doesn't render anything visible
   return null;
 };
 
-export default AlgorithmEngine;
\ No newline at end of file
+export default AlgorithmEngine;
@@ -1,10 +1,26 @@
+// Cells of the patterns stamped by the initial conditions and by live MIDI
+// input, as [dx, dy] offsets from the pattern's anchor
+const PATTERN_STAMPS = {
+  blinker: [[-1, 0], [0, 0], [1, 0]],
+  glider: [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]],
+  acorn: [[0, 0], [2, 0], [3, 0], [4, 0], [5, 0], [6, 0], [3, 1]]
+};
+
+// Live input stamps by velocity: soft notes add a blinker, medium notes a
+// glider and hard notes an acorn
+const LIVE_STAMPS = [
+  { maxVelocity: 50, pattern: 'blinker' },
+  { maxVelocity: 100, pattern: 'glider' },
+  { maxVelocity: 127, pattern: 'acorn' }
+];
+
 /**
  * Cellular Automata Music Generator
  * Uses both one-dimensional cellular automata (like Rule 30) and Conway's Game of Life (2D)
  * to generate musical patterns with various complexity levels
  */
 class CellularGenerator {
-  constructor(parameters) {
+  constructor(parameters, random = Math.random) {
     this.parameters = parameters || {
       rule: 30,                 // Cellular automaton rule (0-255) for 1D mode
       type: '1D',               // Type of cellular automaton: '1D' or 'gameOfLife'
@@ -17,8 +33,12 @@ class CellularGenerator {
       velocityMap: 'linear',    // How to map cell position to velocity: linear, distance, random
       performanceMode: 'auto',  // Performance level: low, medium, high, auto (adapts based on grid size)
       buchlaMode: false,        // Buchla 252e-inspired sequencing mode for more musical output
-      preferredPatterns: []     // Patterns to prioritize when in Buchla mode
+      preferredPatterns: [],    // Patterns to prioritize when in Buchla mode
+      liveCells: []             // Notes played in on the MIDI input: [{ step, pitch, velocity }]
     };
+
+    // Random source (seeded by the engine for reproducible patterns)
+    this.random = random;
     
     // Different scales to map cells to notes
     this.scales = {
@@ -160,8 +180,16 @@ class CellularGenerator {
    * Generate a sequence using 1D cellular automaton
    */
   generate1DAutomaton(rule, width, initialCondition, threshold, generations) {
+    // Cells played in on the MIDI input are switched on in their generation
+    const addLiveCells = (state, gen) => {
+      this.getLiveCellsAt(gen, generations).forEach(({ pitch }) => {
+        state[this.mapNoteToCell(pitch, width, 1).x] = 1;
+      });
+      return state;
+    };
+    
     // Generate initial state based on the initialCondition parameter
-    let currentState = this.generateInitialState1D(width, initialCondition);
+    let currentState = addLiveCells(this.generateInitialState1D(width, initialCondition), 0);
     
     // Store all generations in a 2D array
     const caGrid = [currentState];
@@ -169,7 +197,7 @@ class CellularGenerator {
     
     // Evolve the automaton for the specified number of generations
     for (let gen = 1; gen < generations; gen++) {
-      currentState = this.evolve1DAutomaton(currentState, rule);
+      currentState = addLiveCells(this.evolve1DAutomaton(currentState, rule), gen);
       caGrid.push(currentState);
     }
     
@@ -205,7 +233,7 @@ class CellularGenerator {
               velocity = 70 + Math.floor(distance * 57); // 70-127 range
               break;
             case 'random':
-              velocity = 70 + Math.floor(Math.random() * 57); // 70-127 range
+              velocity = 70 + Math.floor(this.random() * 57); // 70-127 range
               break;
             case 'linear':
             default:
@@ -238,7 +266,7 @@ class CellularGenerator {
           
           // Add harmony note if enabled and conditions match
           const shouldAddHarmony = this.parameters.harmonies !== false && 
-                                 (Math.random() < threshold && genIndex % 4 === 0);
+                                 (this.random() < threshold && genIndex % 4 === 0);
           
           if (shouldAddHarmony) {
             // Calculate harmony note - third in the scale
@@ -345,6 +373,9 @@ class CellularGenerator {
       // Track active cells for optimization
       this.initializeActiveQueue(grid);
       
+      // Generations each cell has been alive for (per-note expression)
+      const ages = grid.map(row => row.map(cell => cell));
+      
       // Track active cells in each generation for sonification
       const sequence = [];
       
@@ -375,8 +406,19 @@ class CellularGenerator {
         
         // Evolve the grid one step with optimized algorithm
         grid = this.evolveGameOfLife(grid, previousGrid);
+        
+        // Cells played in on the MIDI input join the grid on their step
+        if (this.stampLiveCells(grid, iter, iterations)) {
+          this.initializeActiveQueue(grid);
+        }
         previousGrid = this.cloneGrid(grid);
         
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            ages[y][x] = grid[y][x] === 1 ? ages[y][x] + 1 : 0;
+          }
+        }
+        
         // Memory management: avoid storing too many generations
         if (allGenerations.length > this.maxGenerationsToStore) {
           allGenerations.shift(); // Remove oldest generation
@@ -408,6 +450,7 @@ class CellularGenerator {
               
               // Apply Buchla-inspired musical mapping
               const musical = this.mapCellToMusicalNote(x, y, width, height, cellState);
+              const neighbors = this.countNeighbors(grid, x, y, width, height);
               
               // Add the note to this step with the appropriate state and musical parameters
               step.notes.push({
@@ -415,13 +458,18 @@ class CellularGenerator {
                 velocity: musical.velocity,
                 column: x,
                 row: y,
-                state: cellState
+                state: cellState,
+                // MPE expression: crowded cells bend up, lonely cells bend
+                // down, and old cells press harder
+                expression: {
+                  bend: (neighbors - 3) * 0.1,
+                  pressure: Math.min(1, ages[y][x] / 8)
+                }
               });
               
               // Add harmony notes if enabled with Buchla-inspired musically coherent intervals
               if (this.parameters.harmonies !== false && 
-                  (isBirth || this.parameters.buchlaMode || 
-                   this.countNeighbors(grid, x, y, width, height) >= 4)) {
+                  (isBirth || this.parameters.buchlaMode || neighbors >= 4)) {
                 
                 // Add harmonic note with Buchla-inspired mappings
                 const harmony = this.createHarmonyNote(musical, cellState);
@@ -561,19 +609,19 @@ class CellularGenerator {
       
       if (isBirth && emphasizeBirths) {
         // Birth cells get highest velocity
-        velocity = 115 + Math.floor(Math.random() * 12); // 115-127
+        velocity = 115 + Math.floor(this.random() * 12); // 115-127
       } else if (accentStep) {
         // Primary accents
-        velocity = 100 + Math.floor(Math.random() * 15); // 100-115
+        velocity = 100 + Math.floor(this.random() * 15); // 100-115
       } else if (secondaryAccent) {
         // Secondary accents
-        velocity = 85 + Math.floor(Math.random() * 15); // 85-100
+        velocity = 85 + Math.floor(this.random() * 15); // 85-100
       } else if (isStable) {
         // Stable patterns get medium velocity for consistent background
-        velocity = 75 + Math.floor(Math.random() * 10); // 75-85
+        velocity = 75 + Math.floor(this.random() * 10); // 75-85
       } else {
         // Regular notes get lower velocity
-        velocity = 60 + Math.floor(Math.random() * 15); // 60-75
+        velocity = 60 + Math.floor(this.random() * 15); // 60-75
       }
     } else {
       // Standard velocity mapping
@@ -597,9 +645,9 @@ class CellularGenerator {
         case 'random':
           // Random velocity with emphasis for births
           if (isBirth && emphasizeBirths) {
-            velocity = 100 + Math.floor(Math.random() * 27); // 100-127
+            velocity = 100 + Math.floor(this.random() * 27); // 100-127
           } else {
-            velocity = 70 + Math.floor(Math.random() * 40); // 70-110
+            velocity = 70 + Math.floor(this.random() * 40); // 70-110
           }
           break;
           
@@ -620,6 +668,89 @@ class CellularGenerator {
     return { pitch, velocity };
   }
   
+  /**
+   * Find the cell that plays a pitch (the inverse of mapCellToMusicalNote)
+   * The pitch class picks the column (the copy of its scale degree nearest
+   * the middle of the grid) and the octave picks the row band. Pitches
+   * between scale degrees go to the degree below.
+   * @param {Number} pitch - MIDI note number
+   * @returns {Object} { x, y } cell position
+   */
+  mapNoteToCell(pitch, width, height) {
+    const scale = this.currentScale || this.scales.pentatonic;
+    const baseNote = this.notes && this.notes.length > 0 ? this.notes[0] : 48;
+    const buchlaMode = !!this.parameters.buchlaMode;
+    
+    // Octave bands, as in mapCellToMusicalNote
+    const stages = buchlaMode ? 4 : 3;
+    const offset = Math.max(0, pitch - baseNote);
+    const stage = Math.min(stages - 1, Math.floor(offset / 12));
+    const bandHeight = height / stages;
+    let y = Math.min(height - 1, Math.floor(stage * bandHeight + bandHeight / 2));
+    
+    // Buchla mode shifts the scale on odd rows, so use an even row
+    if (buchlaMode && y % 2 === 1) y--;
+    
+    let noteIndex = 0;
+    scale.forEach((degree, index) => {
+      if (degree <= offset % 12) noteIndex = index;
+    });
+    
+    // Columns repeat the scale (every 8 columns in Buchla mode)
+    const period = buchlaMode ? 8 : scale.length;
+    let x = noteIndex + period * Math.round((width / 2 - noteIndex) / period);
+    while (x >= width && x - period >= 0) x -= period;
+    x = Math.min(Math.max(0, x), width - 1);
+    
+    return { x, y };
+  }
+  
+  /**
+   * Stamp a pattern into a Game of Life grid (wrapping around the edges)
+   * @param {Array} grid - 2D grid
+   * @param {String} pattern - Name in PATTERN_STAMPS
+   * @param {Number} x - Column of the pattern's anchor
+   * @param {Number} y - Row of the pattern's anchor
+   */
+  stampPattern(grid, pattern, x, y) {
+    const height = grid.length;
+    const width = grid[0].length;
+    
+    PATTERN_STAMPS[pattern].forEach(([dx, dy]) => {
+      grid[(y + dy + height) % height][(x + dx + width) % width] = 1;
+    });
+  }
+  
+  /**
+   * Notes played in on the MIDI input that land on a step of the sequence
+   * Live cells carry the transport step they were played at; the sequence
+   * loops, so they come back on every pass.
+   * @param {Number} step - Step (generation) of the sequence
+   * @param {Number} length - Number of steps in the sequence
+   * @returns {Array} [{ pitch, velocity }]
+   */
+  getLiveCellsAt(step, length) {
+    const liveCells = this.parameters.liveCells || [];
+    return liveCells.filter(cell => cell.step % length === step);
+  }
+  
+  /**
+   * Add the live cells of a step to a Game of Life grid: pitch picks the
+   * cell and velocity the pattern stamped around it
+   * @returns {Boolean} Whether any cells were added
+   */
+  stampLiveCells(grid, step, length) {
+    const cells = this.getLiveCellsAt(step, length);
+    
+    cells.forEach(({ pitch, velocity }) => {
+      const { x, y } = this.mapNoteToCell(pitch, grid[0].length, grid.length);
+      const stamp = LIVE_STAMPS.find(entry => velocity <= entry.maxVelocity) || LIVE_STAMPS[LIVE_STAMPS.length - 1];
+      this.stampPattern(grid, stamp.pattern, x, y);
+    });
+    
+    return cells.length > 0;
+  }
+  
   /**
    * Create a harmony note for the given note based on music theory
    * Uses Buchla-inspired interval relationships for more coherent output
@@ -683,7 +814,7 @@ class CellularGenerator {
         // Check bounds
         if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
           // Random toggle with higher probability of adding cells
-          if (Math.random() < 0.7) {
+          if (this.random() < 0.7) {
             grid[ny][nx] = 1;
           }
         }
@@ -878,7 +1009,7 @@ class CellularGenerator {
       case 'random':
         // Random initial state
         for (let i = 0; i < width; i++) {
-          state[i] = Math.random() < this.parameters.density ? 1 : 0;
+          state[i] = this.random() < this.parameters.density ? 1 : 0;
         }
         break;
         
@@ -930,42 +1061,17 @@ class CellularGenerator {
           // Random distribution of cells
           for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
-              grid[y][x] = Math.random() < density ? 1 : 0;
+              grid[y][x] = this.random() < density ? 1 : 0;
             }
           }
           break;
           
         case 'glider':
-          // Add a glider in the top-left corner
+          // Add gliders in the top-left corner, the bottom-right corner and the center
           if (width >= 5 && height >= 5) {
-            // Add multiple gliders to ensure visibility
-            const positions = [
-              // Top-left
-              [1, 2, 2, 3, 3, 1, 3, 2, 3, 3],
-              // Bottom-right
-              [height-4, width-3, height-3, width-2, height-2, width-4, height-2, width-3, height-2, width-2],
-              // Center
-              [Math.floor(height/2), Math.floor(width/2)+1, 
-               Math.floor(height/2)+1, Math.floor(width/2)+2, 
-               Math.floor(height/2)+2, Math.floor(width/2), 
-               Math.floor(height/2)+2, Math.floor(width/2)+1, 
-               Math.floor(height/2)+2, Math.floor(width/2)+2]
-            ];
-            
-            // Place each glider
-            for (const pos of positions) {
-              if (pos[0] < height && pos[1] < width && 
-                  pos[2] < height && pos[3] < width && 
-                  pos[4] < height && pos[5] < width && 
-                  pos[6] < height && pos[7] < width && 
-                  pos[8] < height && pos[9] < width) {
-                grid[pos[0]][pos[1]] = 1;
-                grid[pos[2]][pos[3]] = 1;
-                grid[pos[4]][pos[5]] = 1;
-                grid[pos[6]][pos[7]] = 1;
-                grid[pos[8]][pos[9]] = 1;
-              }
-            }
+            this.stampPattern(grid, 'glider', 1, 1);
+            this.stampPattern(grid, 'glider', width - 4, height - 4);
+            this.stampPattern(grid, 'glider', Math.floor(width / 2), Math.floor(height / 2));
           }
           break;
           
@@ -975,22 +1081,16 @@ class CellularGenerator {
           const centerY = Math.floor(height / 2);
           
           // Center blinker
-          grid[centerY][centerX - 1] = 1;
-          grid[centerY][centerX] = 1;
-          grid[centerY][centerX + 1] = 1;
+          this.stampPattern(grid, 'blinker', centerX, centerY);
           
           // Top-left blinker
           if (centerY > 5 && centerX > 5) {
-            grid[centerY - 5][centerX - 5] = 1;
-            grid[centerY - 5][centerX - 4] = 1;
-            grid[centerY - 5][centerX - 3] = 1;
+            this.stampPattern(grid, 'blinker', centerX - 4, centerY - 5);
           }
           
           // Bottom-right blinker
           if (centerY + 5 < height && centerX + 5 < width) {
-            grid[centerY + 5][centerX + 3] = 1;
-            grid[centerY + 5][centerX + 4] = 1;
-            grid[centerY + 5][centerX + 5] = 1;
+            this.stampPattern(grid, 'blinker', centerX + 4, centerY + 5);
           }
           break;
           
@@ -1095,16 +1195,7 @@ class CellularGenerator {
           
         case 'acorn':
           // Add an acorn pattern (a small pattern that evolves into a complex mess)
-          const ax = Math.floor(width / 2) - 3;
-          const ay = Math.floor(height / 2);
-          grid[ay][ax] = 1;
-          grid[ay][ax + 1] = 0;
-          grid[ay][ax + 2] = 1;
-          grid[ay][ax + 3] = 1;
-          grid[ay][ax + 4] = 1;
-          grid[ay][ax + 5] = 1;
-          grid[ay][ax + 6] = 1;
-          grid[ay + 1][ax + 3] = 1;
+          this.stampPattern(grid, 'acorn', Math.floor(width / 2) - 3, Math.floor(height / 2));
           break;
           
         case 'exploder':
@@ -1217,8 +1308,8 @@ class CellularGenerator {
         // Add some random cells to ensure activity
         const additionalCells = Math.max(15, Math.floor(width * height * 0.05));
         for (let i = 0; i < additionalCells; i++) {
-          const rx = Math.floor(Math.random() * width);
-          const ry = Math.floor(Math.random() * height);
+          const rx = Math.floor(this.random() * width);
+          const ry = Math.floor(this.random() * height);
           grid[ry][rx] = 1;
         }
       }
@@ -1308,11 +1399,11 @@ class CellularGenerator {
   applyBuchlaModifications(grid, width, height) {
     // Create rhythm-like structures within the grid
     const pulseCount = this.buchlaPatterns.pulses[
-      Math.floor(Math.random() * this.buchlaPatterns.pulses.length)
+      Math.floor(this.random() * this.buchlaPatterns.pulses.length)
     ];
     
     const accentEvery = this.buchlaPatterns.accents[
-      Math.floor(Math.random() * this.buchlaPatterns.accents.length)
+      Math.floor(this.random() * this.buchlaPatterns.accents.length)
     ];
     
     // Add a rhythmic pulse structure
@@ -1590,8 +1681,8 @@ class CellularGenerator {
       // If no active cells, add a few to prevent empty grid
       if (!hasActiveCell) {
         // Add a glider in a random location
-        const rx = Math.floor(Math.random() * (width - 4)) + 2;
-        const ry = Math.floor(Math.random() * (height - 4)) + 2;
+        const rx = Math.floor(this.random() * (width - 4)) + 2;
+        const ry = Math.floor(this.random() * (height - 4)) + 2;
         
         nextGrid[ry][rx+1] = 1;
         nextGrid[ry+1][rx+2] = 1;
@@ -7,13 +7,16 @@
  * "The Euclidean Algorithm Generates Traditional Musical Rhythms"
  */
 class EuclideanGenerator {
-  constructor(parameters) {
+  constructor(parameters, random = Math.random) {
     this.parameters = parameters || {
       steps: 16,      // Total steps in the pattern
       fills: 4,       // Number of active beats to distribute
       rotation: 0,    // Pattern rotation
       bpm: 120,       // Tempo in beats per minute
     };
+
+    // Random source (seeded by the engine for reproducible patterns)
+    this.random = random;
     
     // Drum kit note mapping (General MIDI drum map)
     this.drumNotes = {
@@ -65,7 +68,7 @@ class EuclideanGenerator {
         if (patterns[instrument.name][i]) {
           step.notes.push({
             pitch: instrument.note,
-            velocity: instrument.velocity + Math.floor(Math.random() * 20) - 10 // Add slight velocity variation
+            velocity: instrument.velocity + Math.floor(this.random() * 20) - 10 // Add slight velocity variation
           });
         }
       });
@@ -2,15 +2,20 @@
  * Fractal-based melody generator
  * Uses self-similar fractal patterns to create melodies with natural, recursive structures
  */
+
+import { createRandom } from './RandomService';
+
 class FractalGenerator {
-  constructor(parameters) {
+  constructor(parameters, random = null) {
     this.parameters = parameters || {
-      seed: 42,
       complexity: 0.5,
       scale: 'major',
       rootNote: 60, // Middle C
       octaveRange: 2
     };
+
+    // Random source injected by the engine; standalone use falls back to the default seed
+    this.random = random || createRandom();
     
     // Define musical scales (as semitone intervals from root)
     this.scales = {
@@ -27,8 +32,8 @@ class FractalGenerator {
    * @returns {Array} Array of step objects with notes
    */
   generate() {
-    // Initialize random number generator with seed
-    const seededRandom = this.seededRandom(this.parameters.seed);
+    // Seeded random number generator
+    const seededRandom = this.random;
     
     // Choose the scale to use
     const scaleIntervals = this.scales[this.parameters.scale] || this.scales.major;
@@ -123,27 +128,6 @@ class FractalGenerator {
     this.divideAndDisplace(array, start, midpoint, complexity, random);
     this.divideAndDisplace(array, midpoint, end, complexity, random);
   }
-  
-  /**
-   * Improved seeded random number generator using Park-Miller algorithm
-   * This provides better distribution properties than the simple LCG
-   * @param {Number} seed - Random seed
-   * @returns {Function} Function that returns a random number 0-1
-   */
-  seededRandom(seed) {
-    // Ensure valid initial seed (non-zero)
-    seed = seed || 1;
-    const a = 16807;      // Multiplier
-    const m = 2147483647; // Modulus (2^31 - 1, a prime number)
-    
-    return function() {
-      // Calculate next value using Park-Miller algorithm
-      seed = (a * seed) % m;
-      
-      // Normalize to 0-1 range with improved precision
-      return seed / m;
-    };
-  }
 }
 
 export default FractalGenerator;
\ No newline at end of file
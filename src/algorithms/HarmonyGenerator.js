@@ -145,27 +145,30 @@ class HarmonyGenerator {
           notes: []
         };
         
-        // On the first beat, play the full chord
+        // On the first beat, play the full chord and hold it until the chord changes
         if (beat === 0) {
           chordNotes.forEach(note => {
             step.notes.push({
               pitch: note,
-              velocity: 90 // Fixed velocity for all chord notes
+              velocity: 90, // Fixed velocity for all chord notes
+              duration: beatsPerChord
             });
           });
         } 
         // On other beats, maybe add some arpeggiation or movement
         else if (beat === 2) {
-          // Just play the root and fifth
+          // Re-strike the root and fifth under the sustained upper voices
           step.notes.push({
             pitch: chordNotes[0],
-            velocity: 80
+            velocity: 80,
+            duration: beatsPerChord - beat
           });
           
           if (chordNotes.length > 2) {
             step.notes.push({
               pitch: chordNotes[2],
-              velocity: 70
+              velocity: 70,
+              duration: beatsPerChord - beat
             });
           }
         }
@@ -3,7 +3,7 @@
  * Implements a Markov chain-based generator for probabilistic musical sequences
  */
 class MarkovGenerator {
-  constructor(parameters = {}) {
+  constructor(parameters = {}, random = Math.random) {
     // Create a copy of the parameters to avoid modifying the original
     this.parameters = {
       // Default parameters
@@ -20,6 +20,9 @@ class MarkovGenerator {
       // Override defaults with provided parameters
       ...parameters
     };
+
+    // Random source (seeded by the engine for reproducible patterns)
+    this.random = random;
     
     // Markov transition matrix - stores probabilities of moving from one note to another
     this.transitionMatrix = this.buildTransitionMatrix();
@@ -206,12 +209,12 @@ class MarkovGenerator {
     const transitions = this.transitionMatrix.get(contextKey);
     
     // Apply randomness factor - sometimes choose random note instead of following matrix
-    if (Math.random() < this.parameters.randomness) {
+    if (this.random() < this.parameters.randomness) {
       return this.getRandomNoteInScale();
     }
     
     // Choose next note based on transition probabilities
-    const rand = Math.random();
+    const rand = this.random();
     let cumulativeProbability = 0;
     
     for (const [note, probability] of transitions.entries()) {
@@ -233,10 +236,10 @@ class MarkovGenerator {
     const scaleOffsets = this.getScaleOffsets(scale);
     
     // Random octave in range
-    const octave = Math.floor(Math.random() * (octaveRange + 1));
+    const octave = Math.floor(this.random() * (octaveRange + 1));
     
     // Random note from scale
-    const scaleIndex = Math.floor(Math.random() * scaleOffsets.length);
+    const scaleIndex = Math.floor(this.random() * scaleOffsets.length);
     const note = baseNote + (octave * 12) + scaleOffsets[scaleIndex];
     
     return note;
@@ -271,7 +274,7 @@ class MarkovGenerator {
     // Initialize sequence for different pattern types
     for (let step = 0; step < length; step++) {
       // Determine if this step should have a note based on density
-      const hasNote = Math.random() < density;
+      const hasNote = this.random() < density;
       
       if (hasNote) {
         const nextNote = this.getNextNote();
@@ -281,7 +284,7 @@ class MarkovGenerator {
         this.currentState.push(nextNote);
         
         // Store the note with metadata
-        const velocity = Math.floor(70 + Math.random() * 40); // Random velocity between 70-110
+        const velocity = Math.floor(70 + this.random() * 40); // Random velocity between 70-110
         
         // Pattern-specific behavior
         switch (patternType) {
@@ -337,9 +340,33 @@ class MarkovGenerator {
       }
     }
     
+    // Melodic and harmonic lines sustain through the rests that follow them
+    if (patternType !== 'rhythm') {
+      this.applyNoteDurations(sequence);
+    }
+    
     return sequence;
   }
   
+  /**
+   * Hold each note until the next step that has notes (or the end of the loop)
+   * @param {Array} sequence - Generated steps, modified in place
+   */
+  applyNoteDurations(sequence) {
+    sequence.forEach((step, index) => {
+      if (step.notes.length === 0) return;
+      
+      let duration = 1;
+      while (index + duration < sequence.length && sequence[index + duration].notes.length === 0) {
+        duration++;
+      }
+      
+      step.notes.forEach(note => {
+        note.duration = duration;
+      });
+    });
+  }
+  
   /**
    * Generate a chord based on the given root note
    */
@@ -0,0 +1,89 @@
+/**
+ * Random Service
+ * Seedable random numbers for the generators, so a pattern can be recalled
+ * exactly by its seed and parameters.
+ *
+ * Every generator gets its own stream derived from the global seed and the
+ * algorithm name, so tweaking one track never changes the notes of another.
+ * Streams are created fresh for each generate() call, so generating twice
+ * with the same seed and parameters gives the same sequence.
+ */
+
+// Park-Miller minimal standard generator
+const MODULUS = 2147483647; // 2^31 - 1, a prime number
+const MULTIPLIER = 16807;
+
+export const DEFAULT_SEED = 12345;
+
+/**
+ * Create a seeded random function
+ * @param {Number} seed - Integer seed
+ * @returns {Function} Function that returns a random number in [0, 1), like Math.random
+ */
+export function createRandom(seed = DEFAULT_SEED) {
+  // Ensure a valid state (1 .. MODULUS - 1)
+  let state = Math.abs(Math.floor(seed)) % MODULUS || 1;
+
+  const random = () => {
+    state = (MULTIPLIER * state) % MODULUS;
+    return (state - 1) / (MODULUS - 1);
+  };
+
+  // Discard the first values, which stay small for small seeds
+  for (let i = 0; i < 4; i++) random();
+
+  return random;
+}
+
+/**
+ * Mix a seed with a key (e.g. the algorithm name) into a new seed
+ * @param {Number} seed - Base seed
+ * @param {String} key - Stream name
+ * @returns {Number} Derived integer seed
+ */
+export function deriveSeed(seed, key = '') {
+  // FNV-1a hash over the seed and the key
+  let hash = 2166136261;
+  const text = `${seed}:${key}`;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return (hash >>> 0) % MODULUS || 1;
+}
+
+class RandomService {
+  constructor() {
+    this.seed = DEFAULT_SEED;
+  }
+
+  /**
+   * Set the global seed
+   * @param {Number} seed - Integer seed
+   */
+  setSeed(seed) {
+    this.seed = Number.isFinite(seed) ? Math.floor(seed) : DEFAULT_SEED;
+  }
+
+  /**
+   * Create the random stream for one generator
+   * @param {String} key - Stream name (the algorithm)
+   * @returns {Function} Seeded random function
+   */
+  createStream(key) {
+    return createRandom(deriveSeed(this.seed, key));
+  }
+
+  /**
+   * Pick a new random seed (for "reroll")
+   * @returns {Number} Seed in the range 1 - 999999
+   */
+  newSeed() {
+    return 1 + Math.floor(Math.random() * 999999);
+  }
+}
+
+// Export singleton instance
+export default new RandomService();
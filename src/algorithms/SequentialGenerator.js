@@ -4,7 +4,7 @@
  * Inspired by the Buchla 252e Polyphonic Rhythm Generator
  */
 class SequentialGenerator {
-  constructor(parameters) {
+  constructor(parameters, random = Math.random) {
     this.parameters = parameters || {
       sequence: 'fibonacci',   // Type of sequence: fibonacci, pi, prime, buchla
       length: 16,             // Number of steps to generate
@@ -12,8 +12,12 @@ class SequentialGenerator {
       scale: 'pentatonic',    // Scale to use for note mapping
       octaveRange: 2,         // Number of octaves to span
       rhythmDensity: 0.7,     // Density of generated rhythms (0-1)
-      accentPattern: '4/4'    // Rhythmic accent pattern (e.g. '4/4', '3/4', '5/8')
+      accentPattern: '4/4',   // Rhythmic accent pattern (e.g. '4/4', '3/4', '5/8')
+      legato: 0.25            // Chance of a note being tied into the next step (0-1)
     };
+
+    // Random source (seeded by the engine for reproducible patterns)
+    this.random = random;
     
     // Define musical scales
     this.scales = {
@@ -70,7 +74,7 @@ class SequentialGenerator {
    */
   generate() {
     const { sequence, length, baseNote, scale, octaveRange, 
-            rhythmDensity, accentPattern } = this.parameters;
+            rhythmDensity, accentPattern, legato = 0 } = this.parameters;
     
     // Choose the scale to use
     const scaleIntervals = this.scales[scale] || this.scales.pentatonic;
@@ -84,6 +88,9 @@ class SequentialGenerator {
     // Generate steps for the sequence
     const result = [];
     
+    // Note tied over from the previous step, held like a Buchla stage
+    let heldNote = null;
+    
     // Convert sequence to musical notes
     for (let i = 0; i < length; i++) {
       const step = {
@@ -92,9 +99,15 @@ class SequentialGenerator {
         notes: []
       };
       
-      // Determine if this step should have a note (based on rhythmDensity)
-      if (Math.random() < this.getStepProbability(i, sequenceValues, rhythmDensity)) {
-        // Map sequence value to a musical note
+      if (heldNote) {
+        // The tied note carries on through this step, and maybe the next
+        const note = { pitch: heldNote.pitch, velocity: heldNote.velocity };
+        if (this.shouldTie(i, length, legato)) note.tie = true;
+        step.notes.push(note);
+        heldNote = note.tie ? note : null;
+      } else if (this.random() < this.getStepProbability(i, sequenceValues, rhythmDensity)) {
+        // This step has a note (based on rhythmDensity): map the sequence
+        // value to a musical note
         const value = sequenceValues[i % sequenceValues.length];
         
         // Calculate pitch from sequence value
@@ -116,23 +129,28 @@ class SequentialGenerator {
         
         if (accentValue > 0.8) {
           // Strong accent
-          velocity = 100 + Math.floor(Math.random() * 27); // 100-127
+          velocity = 100 + Math.floor(this.random() * 27); // 100-127
         } else if (accentValue > 0.4) {
           // Medium accent
-          velocity = 80 + Math.floor(Math.random() * 20); // 80-100
+          velocity = 80 + Math.floor(this.random() * 20); // 80-100
         } else if (accentValue > 0) {
           // Light accent
-          velocity = 60 + Math.floor(Math.random() * 20); // 60-80
+          velocity = 60 + Math.floor(this.random() * 20); // 60-80
         } else {
           // No accent (ghost note)
-          velocity = 30 + Math.floor(Math.random() * 30); // 30-60
+          velocity = 30 + Math.floor(this.random() * 30); // 30-60
         }
         
-        // Add the note to this step
-        step.notes.push({
+        // Add the note to this step, tied into the next one for legato
+        const note = {
           pitch: pitch,
           velocity: velocity
-        });
+        };
+        if (this.shouldTie(i, length, legato)) {
+          note.tie = true;
+          heldNote = note;
+        }
+        step.notes.push(note);
         
         // Sometimes add harmonized notes based on sequence patterns
         if (this.shouldAddHarmony(value, i, sequenceValues)) {
@@ -151,6 +169,14 @@ class SequentialGenerator {
     return result;
   }
   
+  /**
+   * Whether the note of a step is tied into the next step
+   * The last step is never tied, so the loop starts afresh.
+   */
+  shouldTie(index, length, legato) {
+    return legato > 0 && index + 1 < length && this.random() < legato;
+  }
+  
   /**
    * Generate mathematical sequence based on the selected type
    * @param {String} type - Type of sequence (fibonacci, pi, etc.)
@@ -221,9 +247,9 @@ class SequentialGenerator {
     const result = [];
     
     // Create a sequence with multiple superimposed patterns, inspired by Buchla 252e
-    const pulseA = this.buchlaPatterns.pulses[Math.floor(Math.random() * this.buchlaPatterns.pulses.length)];
-    const pulseB = this.buchlaPatterns.pulses[Math.floor(Math.random() * this.buchlaPatterns.pulses.length)];
-    const stage = this.buchlaPatterns.stages[Math.floor(Math.random() * this.buchlaPatterns.stages.length)];
+    const pulseA = this.buchlaPatterns.pulses[Math.floor(this.random() * this.buchlaPatterns.pulses.length)];
+    const pulseB = this.buchlaPatterns.pulses[Math.floor(this.random() * this.buchlaPatterns.pulses.length)];
+    const stage = this.buchlaPatterns.stages[Math.floor(this.random() * this.buchlaPatterns.stages.length)];
     
     // Generate the sequence
     for (let i = 0; i < length; i++) {
@@ -300,11 +326,11 @@ class SequentialGenerator {
     
     // More likely to add harmonies on strong beats and for high sequence values
     if (step % 4 === 0 && normalizedValue > 0.6) {
-      return Math.random() < 0.8; // 80% chance on strong beats with high values
+      return this.random() < 0.8; // 80% chance on strong beats with high values
     } else if (normalizedValue > 0.8) {
-      return Math.random() < 0.6; // 60% chance for very high sequence values
+      return this.random() < 0.6; // 60% chance for very high sequence values
     } else {
-      return Math.random() < 0.3; // 30% chance otherwise
+      return this.random() < 0.3; // 30% chance otherwise
     }
   }
   
@@ -0,0 +1,330 @@
+/**
+ * Track Player
+ * Plays one generated sequence on its own MIDI channel and output.
+ * AlgorithmEngine keeps one player per running track and drives them all
+ * from the shared transport, so tracks stay locked to the same grid.
+ *
+ * Step format produced by every generator:
+ *   { step, time, notes: [{ pitch, velocity, duration?, tie? }] }
+ *
+ * - duration: note length in steps (fractions allowed), defaults to one step
+ * - tie: the note carries on into the next step that plays the same pitch,
+ *   which then extends it instead of striking it again (legato)
+ * - expression: { bend (semitones), pressure (0-1), slide (0-1) } per-note
+ *   expression, sent when the track plays into an MPE zone
+ */
+
+import AudioManager from '../audio/AudioManager';
+import PerformanceRecorder from '../midi/PerformanceRecorder';
+import { MEGAFM_CHANNEL } from '../midi/midiUtils';
+import { fitNoteRange } from '../midi/deviceProfiles';
+import { applyGroove } from '../utils/grooveUtils';
+import { TRANSPORT_CONFIG } from '../config/constants';
+
+// Length of a note in milliseconds for the given step duration
+const getNoteLength = (note, stepDuration) => {
+  const steps = note.duration > 0 ? note.duration : 1;
+  return steps * stepDuration;
+};
+
+class TrackPlayer {
+  /**
+   * @param {String} id - Track id (the algorithm it plays)
+   * @param {Object} callbacks - { onNoteOn(noteData, time), onNoteOff(noteData, time) }
+   */
+  constructor(id, callbacks = {}) {
+    this.id = id;
+    this.sequence = [];
+    this.parameters = null;        // Parameters the current sequence was generated from
+    this.seed = null;              // Random seed the current sequence was generated from
+    this.pendingChange = null;     // { sequence, parameters, quantize } waiting for its boundary
+
+    // Track settings
+    this.channel = MEGAFM_CHANNEL;
+    this.output = null;            // WebMidi output (null = AudioManager's output)
+    this.muted = false;
+    this.solo = false;
+    this.loopLength = 0;           // 0 = length of the sequence
+    this.groove = null;            // { template, swing } applied when scheduling
+    this.mpe = null;               // { allocator, pitchBendRange } when playing into an MPE zone
+    this.profile = null;           // Device profile of the output (note range, polyphony)
+
+    this.pendingNoteOffs = [];     // Note offs not yet handed to the output
+    this.onNoteOn = callbacks.onNoteOn || (() => {});
+    this.onNoteOff = callbacks.onNoteOff || (() => {});
+  }
+
+  /**
+   * Replace the sequence this track plays
+   * @param {Array} sequence - Generated steps
+   * @param {Object} parameters - Generator parameters the sequence came from
+   * @param {Number} seed - Random seed the sequence came from
+   */
+  setSequence(sequence, parameters = null, seed = null) {
+    this.sequence = sequence || [];
+    this.parameters = parameters;
+    this.seed = seed;
+  }
+
+  /**
+   * Stage a new sequence to replace the current one at a musical boundary
+   * The track keeps its position, so the pattern carries on from the same
+   * step instead of restarting.
+   * @param {Array} sequence - Generated steps
+   * @param {Object} parameters - Generator parameters the sequence came from
+   * @param {Number} seed - Random seed the sequence came from
+   * @param {String} quantize - 'immediate', 'beat', 'bar' or 'loop'
+   */
+  stageSequence(sequence, parameters, seed, quantize = 'immediate') {
+    if (quantize === 'immediate') {
+      this.pendingChange = null;
+      this.setSequence(sequence, parameters, seed);
+      return;
+    }
+
+    // A newer change replaces one that is still waiting
+    this.pendingChange = { sequence, parameters, seed, quantize };
+  }
+
+  /**
+   * Whether the newest sequence, including a staged one, was generated
+   * from these parameters and seed
+   */
+  isGeneratedFrom(parameters, seed) {
+    const latest = this.pendingChange || this;
+    return latest.parameters === parameters && latest.seed === seed;
+  }
+
+  /**
+   * Whether a staged change may be applied on the given transport step
+   */
+  isChangeBoundary(transportStep, quantize) {
+    const stepsPerBar = TRANSPORT_CONFIG.STEPS_PER_BEAT * TRANSPORT_CONFIG.BEATS_PER_BAR;
+
+    switch (quantize) {
+      case 'beat':
+        return transportStep % TRANSPORT_CONFIG.STEPS_PER_BEAT === 0;
+      case 'bar':
+        return transportStep % stepsPerBar === 0;
+      case 'loop': {
+        const loopLength = this.getLoopLength();
+        return loopLength === 0 || transportStep % loopLength === 0;
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Apply track settings
+   * Held notes are released first when the channel or output changes,
+   * so their note offs reach the port that received the note on.
+   * @param {Object} settings - { channel, output, muted, solo, loopLength, groove, mpe, profile }
+   */
+  updateSettings(settings) {
+    const { channel = this.channel, output = this.output } = settings;
+    const mpe = settings.mpe || null;
+
+    if (channel !== this.channel || output !== this.output || !!mpe !== !!this.mpe) {
+      this.releaseAll();
+    }
+
+    this.channel = channel;
+    this.output = output;
+    this.muted = !!settings.muted;
+    this.solo = !!settings.solo;
+    this.loopLength = settings.loopLength || 0;
+    this.groove = settings.groove || null;
+    this.mpe = mpe;
+    this.profile = settings.profile || null;
+  }
+
+  /**
+   * Number of steps before the track loops
+   */
+  getLoopLength() {
+    return this.loopLength > 0 ? this.loopLength : this.sequence.length;
+  }
+
+  /**
+   * Queue the notes of one transport step
+   * The track position is derived from the transport's step counter, so every
+   * track loops against the same grid. Steps past the end of a shorter
+   * sequence are rests. The groove shifts the step off the grid and
+   * scales its velocities; note lengths are kept.
+   * @param {Object} event - Transport step event { step, time, duration }
+   * @param {Boolean} audible - False when the track is muted or another track is soloed
+   */
+  scheduleStep(event, audible = true) {
+    const { step: transportStep, time: gridTime, duration } = event;
+
+    // Swap in a staged sequence once its boundary is reached
+    if (this.pendingChange && this.isChangeBoundary(transportStep, this.pendingChange.quantize)) {
+      const { sequence, parameters, seed } = this.pendingChange;
+      this.setSequence(sequence, parameters, seed);
+      this.pendingChange = null;
+    }
+
+    const loopLength = this.getLoopLength();
+    if (loopLength === 0) return;
+
+    const stepIndex = transportStep % loopLength;
+    const step = this.sequence[stepIndex];
+    // Notes the device cannot play are folded into its range
+    const notes = ((audible && step && step.notes) || []).map(note => (this.profile
+      ? { ...note, pitch: fitNoteRange(note.pitch, this.profile.noteRange) }
+      : note
+    ));
+
+    const { time, accent } = this.groove
+      ? applyGroove(event, this.groove.template, this.groove.swing)
+      : { time: gridTime, accent: 1 };
+
+    // Notes tied over from the previous step keep sounding; the rest of
+    // this step's notes are struck as usual
+    const struckNotes = notes.filter(note =>
+      !this.extendTiedNote(note, gridTime, time, getNoteLength(note, duration))
+    );
+
+    // Stop the notes that end before this step's notes start
+    this.flushNoteOffs(time);
+
+    struckNotes.forEach(note => {
+      const velocity = Math.max(1, Math.min(127, Math.round((note.velocity || 100) * accent)));
+
+      try {
+        // Normalize velocity to 0-1 range
+        const normalizedVelocity = Math.min(1, Math.max(0, velocity / 127));
+
+        // A longer note of the same pitch may still be sounding
+        this.cutHeldNote(note.pitch, time);
+        this.stealVoice(time);
+
+        // In an MPE zone every note gets a member channel of its own,
+        // carrying the note's expression
+        const channel = (this.mpe && this.mpe.allocator.allocate(time)) || this.channel;
+        if (this.mpe) {
+          AudioManager.noteExpression(channel, note.expression, this.mpe.pitchBendRange, time, this.output);
+        }
+
+        // Use AudioManager (handles both MIDI and Web Audio)
+        AudioManager.noteOn(note.pitch, normalizedVelocity, channel, time, this.output);
+        PerformanceRecorder.recordNoteOn(this.id, this.channel, note.pitch, velocity, time);
+
+        // Book the note off for the end of the note's duration
+        this.pendingNoteOffs.push({
+          pitch: note.pitch,
+          channel,
+          startTime: time,
+          time: time + getNoteLength(note, duration),
+          gridEnd: gridTime + getNoteLength(note, duration),
+          tie: !!note.tie
+        });
+
+        this.onNoteOn({ ...note, velocity, channel: this.channel, track: this.id }, time);
+      } catch (error) {
+        console.error(`Failed to send Note On for pitch ${note.pitch}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Extend a held note that was tied into this step instead of retriggering it
+   * Ties are matched on the straight grid so swing cannot break them.
+   * @returns {Boolean} Whether the note was absorbed by a tie
+   */
+  extendTiedNote(note, gridTime, time, length) {
+    const held = this.pendingNoteOffs.find(pending =>
+      pending.tie &&
+      pending.pitch === note.pitch &&
+      pending.gridEnd >= gridTime - 1 // Tolerate rounding in step timestamps
+    );
+
+    if (!held) return false;
+
+    held.time = Math.max(held.time, time + length);
+    held.gridEnd = Math.max(held.gridEnd, gridTime + length);
+    held.tie = !!note.tie;
+    return true;
+  }
+
+  /**
+   * End a still-sounding note right before the same pitch is struck again
+   */
+  cutHeldNote(pitch, time) {
+    const held = this.pendingNoteOffs.filter(pending => pending.pitch === pitch);
+    if (held.length === 0) return;
+
+    this.pendingNoteOffs = this.pendingNoteOffs.filter(pending => !held.includes(pending));
+    held.forEach(pending => this.sendNoteOff(pending, time));
+  }
+
+  /**
+   * Make room for a new note when the device's polyphony is used up, by
+   * ending the notes that started first
+   */
+  stealVoice(time) {
+    if (!this.profile) return;
+
+    const excess = this.pendingNoteOffs.length - this.profile.polyphony + 1;
+    if (excess <= 0) return;
+
+    const oldest = [...this.pendingNoteOffs]
+      .sort((a, b) => a.startTime - b.startTime)
+      .slice(0, excess);
+    this.pendingNoteOffs = this.pendingNoteOffs.filter(pending => !oldest.includes(pending));
+    oldest.forEach(pending => this.sendNoteOff(pending, time));
+  }
+
+  /**
+   * Send every pending note off that is due at or before the given time
+   * @param {Number} until - Timestamp (performance.now() ms)
+   */
+  flushNoteOffs(until) {
+    const due = [];
+    const remaining = [];
+
+    this.pendingNoteOffs.forEach(pending => {
+      (pending.time <= until ? due : remaining).push(pending);
+    });
+    this.pendingNoteOffs = remaining;
+
+    due.forEach(pending => this.sendNoteOff(pending, pending.time));
+  }
+
+  /**
+   * Release everything that has been queued, including notes whose
+   * note on is still in the lookahead window
+   */
+  releaseAll() {
+    const now = performance.now();
+
+    this.pendingNoteOffs.forEach(pending => {
+      this.sendNoteOff(pending, Math.max(now, pending.startTime));
+    });
+    this.pendingNoteOffs = [];
+  }
+
+  /**
+   * Release this track's own notes, so a track that stops playing (removed,
+   * or replaced by another algorithm) leaves no note hanging. Other tracks
+   * sharing the output and channel keep theirs.
+   */
+  silence() {
+    this.releaseAll();
+  }
+
+  /**
+   * Send a note off on the channel the note was played on (its MPE member
+   * channel, or this track's channel) and this track's output
+   * @param {Object} pending - Booked note off { pitch, channel }
+   */
+  sendNoteOff({ pitch, channel }, time) {
+    AudioManager.noteOff(pitch, channel, time, this.output);
+    if (this.mpe && channel !== this.channel) this.mpe.allocator.release(channel);
+    PerformanceRecorder.recordNoteOff(this.id, this.channel, pitch, time);
+    this.onNoteOff({ pitch, channel: this.channel, track: this.id }, time);
+  }
+}
+
+export default TrackPlayer;
@@ -4,7 +4,7 @@
  * Inspired by the Buchla 259 Complex Waveform Generator and 252e Polyphonic Rhythm Generator
  */
 class WaveshaperGenerator {
-  constructor(parameters) {
+  constructor(parameters, random = Math.random) {
     this.parameters = parameters || {
       waveform: 'sine',          // Base waveform: sine, triangle, square, saw, noise
       frequency: 4,              // Base frequency for the waveform (cycles within pattern)
@@ -17,6 +17,9 @@ class WaveshaperGenerator {
       density: 0.8,              // Note density (probability of steps having notes)
       length: 16                 // Number of steps in the sequence
     };
+
+    // Random source (seeded by the engine for reproducible patterns)
+    this.random = random;
     
     // Define musical scales for note mapping
     this.scales = {
@@ -112,7 +115,9 @@ class WaveshaperGenerator {
         // Add the note to this step
         step.notes.push({
           pitch: mappedValue,
-          velocity: velocity
+          velocity: velocity,
+          // MPE expression: the wave value slides the timbre (CC74)
+          expression: { slide: value }
         });
         
         // Add Buchla-inspired waveshaper harmonics
@@ -370,7 +375,7 @@ class WaveshaperGenerator {
     probability = Math.min(1, Math.max(0, probability));
     
     // Determine if this step has a note
-    return Math.random() < probability;
+    return this.random() < probability;
   }
   
   /**
@@ -420,7 +425,7 @@ class WaveshaperGenerator {
       probability += 0.3;
     }
     
-    return Math.random() < probability;
+    return this.random() < probability;
   }
   
   /**
@@ -0,0 +1,87 @@
+/**
+ * Generator registry
+ * Maps every algorithm to its generator class. Shared by the playback engine
+ * and the MIDI file export, so both render exactly the same patterns.
+ */
+
+import RandomService from './RandomService';
+import FractalGenerator from './FractalGenerator';
+import EuclideanGenerator from './EuclideanGenerator';
+import CellularGenerator from './CellularGenerator';
+import HarmonyGenerator from './HarmonyGenerator';
+import SequentialGenerator from './SequentialGenerator';
+import WaveshaperGenerator from './WaveshaperGenerator';
+import MarkovGenerator from './MarkovGenerator';
+import { MIDI_CONFIG } from '../config/constants';
+
+// Generator class for each algorithm
+export const GENERATORS = {
+  fractal: FractalGenerator,
+  euclidean: EuclideanGenerator,
+  cellular: CellularGenerator,
+  sequential: SequentialGenerator,
+  waveshaper: WaveshaperGenerator,
+  markov: MarkovGenerator,
+  ruleBasedHarmony: HarmonyGenerator
+};
+
+/**
+ * Load the appropriate generator based on the algorithm, with its own
+ * seeded random stream
+ * @param {String} algorithm - Algorithm name
+ * @param {Object} parameters - Generator parameters
+ * @returns {Object} Generator instance
+ */
+export const createGenerator = (algorithm, parameters) => {
+  const Generator = GENERATORS[algorithm] || FractalGenerator;
+  return new Generator(parameters, RandomService.createStream(algorithm));
+};
+
+/**
+ * Generate the sequence for an algorithm
+ * @param {String} algorithm - Algorithm name
+ * @param {Object} parameters - Generator parameters
+ * @param {Number} seed - Global random seed
+ * @returns {Array} Generated steps
+ */
+export const renderSequence = (algorithm, parameters, seed) => {
+  RandomService.setSeed(seed);
+  return createGenerator(algorithm, parameters).generate();
+};
+
+// Root parameter of the generators that have one, and how a played root
+// (MIDI note number) is written to it
+const ROOT_PARAMETERS = {
+  fractal: { parameter: 'rootNote', value: root => root.note },
+  markov: { parameter: 'baseNote', value: root => root.note },
+  sequential: { parameter: 'baseNote', value: root => root.note },
+  waveshaper: { parameter: 'baseNote', value: root => root.note },
+  ruleBasedHarmony: {
+    parameter: 'keycenter',
+    value: root => MIDI_CONFIG.NOTE_NAMES[root.note % 12] + (root.minor ? 'm' : '')
+  }
+};
+
+/**
+ * Apply live MIDI input to generator parameters
+ * In keyboard follow mode the played root replaces the generator's root,
+ * and notes played into the cellular automaton become its live cells.
+ * @param {String} algorithm - Algorithm name
+ * @param {Object} parameters - Generator parameters
+ * @param {Object} live - { root: { note, minor } or null, cells: [{ step, pitch, velocity }] }
+ * @returns {Object} The parameters with the live input applied, or the same
+ *   object when there is nothing to apply
+ */
+export const applyLiveInput = (algorithm, parameters, live) => {
+  const rootParameter = ROOT_PARAMETERS[algorithm];
+  let played = parameters;
+
+  if (live.root && rootParameter) {
+    played = { ...played, [rootParameter.parameter]: rootParameter.value(live.root) };
+  }
+  if (algorithm === 'cellular' && parameters.liveInput && live.cells.length > 0) {
+    played = { ...played, liveCells: live.cells };
+  }
+
+  return played;
+};
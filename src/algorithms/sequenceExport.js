@@ -0,0 +1,164 @@
+/**
+ * Sequence Export
+ * Renders the current generator output into a Type 1 MIDI file: a tempo
+ * track followed by one track per algorithm, on the track's MIDI channel.
+ *
+ * Sequences are regenerated from the same parameters and seed the engine
+ * plays, with the same live input (keyboard follow root, live cells), and
+ * the groove and the device note range are applied the same way as during
+ * playback, so the file matches what is heard.
+ */
+
+import { renderSequence, applyLiveInput } from './generators';
+import { TRANSPORT_CONFIG } from '../config/constants';
+import { applyGroove, getGrooveTemplate } from '../utils/grooveUtils';
+import { fitNoteRange } from '../midi/deviceProfiles';
+import {
+  DEFAULT_PPQ, createMidiFile, trackNameEvent, tempoEvent, timeSignatureEvent
+} from '../midi/midiFileUtils';
+
+/**
+ * Convert a generated sequence into note events
+ * Follows the playback rules of TrackPlayer: durations are in steps, ties
+ * extend the held note, a pitch struck again cuts its previous note, and
+ * notes outside the device note range are folded into it.
+ * @param {Array} sequence - Generated steps
+ * @param {Object} options - { channel, totalSteps, loopLength, stepTicks,
+ *   groove: { template, swing }, noteRange: { low, high } }
+ * @returns {Array} [{ tick, data }]
+ */
+export function sequenceToNoteEvents(sequence, options) {
+  const { channel = 1, totalSteps, stepTicks, groove, noteRange } = options;
+  const loopLength = options.loopLength || sequence.length;
+  const status = channel - 1;
+  const events = [];
+  const held = new Map(); // Pitch -> { endTick, gridEnd, tie }
+
+  const endNote = (pitch, tick) => {
+    events.push({ tick, data: [0x80 | status, pitch, 0] });
+    held.delete(pitch);
+  };
+
+  if (loopLength === 0) return events;
+
+  for (let step = 0; step < totalSteps; step++) {
+    const gridTick = step * stepTicks;
+    const { time: tick, accent } = groove
+      ? applyGroove({ step, time: gridTick, duration: stepTicks }, groove.template, groove.swing)
+      : { time: gridTick, accent: 1 };
+
+    // Notes that end before this step starts
+    held.forEach((note, pitch) => {
+      if (note.endTick <= tick && !(note.tie && note.gridEnd >= gridTick)) {
+        endNote(pitch, note.endTick);
+      }
+    });
+
+    const stepData = sequence[step % loopLength];
+    const notes = ((stepData && stepData.notes) || []).map(note => (noteRange
+      ? { ...note, pitch: fitNoteRange(note.pitch, noteRange) }
+      : note));
+
+    notes.forEach(note => {
+      const length = (note.duration > 0 ? note.duration : 1) * stepTicks;
+      const current = held.get(note.pitch);
+
+      // A tie into this step extends the held note
+      if (current && current.tie && current.gridEnd >= gridTick) {
+        current.endTick = Math.max(current.endTick, tick + length);
+        current.gridEnd = Math.max(current.gridEnd, gridTick + length);
+        current.tie = !!note.tie;
+        return;
+      }
+
+      if (current) endNote(note.pitch, Math.max(0, tick));
+
+      const velocity = Math.max(1, Math.min(127, Math.round((note.velocity || 100) * accent)));
+      events.push({ tick: Math.max(0, tick), data: [0x90 | status, note.pitch, velocity] });
+      held.set(note.pitch, { endTick: tick + length, gridEnd: gridTick + length, tie: !!note.tie });
+    });
+
+    // Tied notes this step did not continue end as written
+    held.forEach((note, pitch) => {
+      if (note.endTick <= tick) endNote(pitch, note.endTick);
+    });
+  }
+
+  // Close everything at the end of its length, but not past the end of the file
+  const totalTicks = totalSteps * stepTicks;
+  held.forEach((note, pitch) => endNote(pitch, Math.min(note.endTick, totalTicks)));
+
+  return events;
+}
+
+/**
+ * Render the playing tracks into a MIDI file
+ * In multi-track mode every enabled algorithm that is heard becomes a
+ * track, otherwise only the current algorithm is exported. The file is as
+ * long as the longest track loop, rounded up to whole bars.
+ * @param {Object} algorithmState - The algorithm slice state
+ * @param {Object} profiles - Device profile of the output each track plays
+ *   on, by algorithm (tracks without one keep their notes as generated)
+ * @returns {Uint8Array} File contents
+ */
+export function createSequenceMidiFile(algorithmState, profiles = {}) {
+  const {
+    algorithms, tracks, multiTrack, currentAlgorithm, tempo, seed, groove, grooveTemplates,
+    followRoot, liveCells
+  } = algorithmState;
+  const liveInput = { root: followRoot || null, cells: liveCells || [] };
+
+  const runningIds = multiTrack
+    ? Object.keys(algorithms).filter(algorithm => algorithms[algorithm].enabled)
+    : [currentAlgorithm];
+
+  // Leave out tracks that are not heard (muted, or another track is soloed)
+  const soloActive = multiTrack && runningIds.some(id => tracks[id] && tracks[id].solo);
+  const trackIds = multiTrack
+    ? runningIds.filter(id => tracks[id] && !tracks[id].muted && (!soloActive || tracks[id].solo))
+    : runningIds;
+
+  const rendered = trackIds.map(id => {
+    const sequence = renderSequence(id, applyLiveInput(id, algorithms[id].parameters, liveInput), seed);
+    const track = tracks[id] || {};
+    return {
+      id,
+      sequence,
+      track,
+      loopLength: track.loopLength || sequence.length
+    };
+  });
+
+  const stepsPerBar = TRANSPORT_CONFIG.STEPS_PER_BEAT * TRANSPORT_CONFIG.BEATS_PER_BAR;
+  const longestLoop = Math.max(stepsPerBar, ...rendered.map(({ loopLength }) => loopLength));
+  const totalSteps = Math.ceil(longestLoop / stepsPerBar) * stepsPerBar;
+  const stepTicks = DEFAULT_PPQ / TRANSPORT_CONFIG.STEPS_PER_BEAT;
+
+  const tempoTrack = [
+    { tick: 0, data: trackNameEvent('MegaFM Generator') },
+    { tick: 0, data: tempoEvent(tempo) },
+    { tick: 0, data: timeSignatureEvent(TRANSPORT_CONFIG.BEATS_PER_BAR, 4) }
+  ];
+
+  const noteTracks = rendered.map(({ id, sequence, track, loopLength }) => {
+    // Tracks without their own groove follow the global one
+    const trackGroove = track.groove || groove;
+
+    return [
+      { tick: 0, data: trackNameEvent(id) },
+      ...sequenceToNoteEvents(sequence, {
+        channel: track.channel || 1,
+        totalSteps,
+        loopLength,
+        stepTicks,
+        groove: {
+          template: getGrooveTemplate(trackGroove.template, grooveTemplates),
+          swing: trackGroove.swing
+        },
+        noteRange: profiles[id] ? profiles[id].noteRange : null
+      })
+    ];
+  });
+
+  return createMidiFile([tempoTrack, ...noteTracks], DEFAULT_PPQ);
+}
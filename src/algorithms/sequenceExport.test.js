@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { sequenceToNoteEvents, createSequenceMidiFile } from './sequenceExport';
+import algorithmReducer from '../state/algorithmSlice';
+
+const initial = algorithmReducer(undefined, { type: 'init' });
+
+describe('sequenceToNoteEvents', () => {
+  const options = { channel: 2, totalSteps: 2, stepTicks: 480 };
+
+  it('plays each step on the track channel', () => {
+    const sequence = [{ notes: [{ pitch: 60, velocity: 90, duration: 1 }] }, { notes: [] }];
+
+    expect(sequenceToNoteEvents(sequence, options)).toEqual([
+      { tick: 0, data: [0x91, 60, 90] },
+      { tick: 480, data: [0x81, 60, 0] }
+    ]);
+  });
+
+  it('folds notes into the device note range like playback', () => {
+    const sequence = [{ notes: [{ pitch: 84, velocity: 90, duration: 1 }] }, { notes: [{ pitch: 30, velocity: 90 }] }];
+    const events = sequenceToNoteEvents(sequence, { ...options, noteRange: { low: 36, high: 59 } });
+
+    expect(events.filter(event => event.data[0] === 0x91).map(event => event.data[1])).toEqual([48, 42]);
+  });
+});
+
+describe('createSequenceMidiFile', () => {
+  it('exports the keyboard follow root the engine plays', () => {
+    const followed = createSequenceMidiFile({ ...initial, followRoot: { note: 67, minor: false } });
+
+    // The same as exporting with the root set in the panel
+    const fractal = initial.algorithms.fractal;
+    const rooted = createSequenceMidiFile({
+      ...initial,
+      algorithms: {
+        ...initial.algorithms,
+        fractal: { ...fractal, parameters: { ...fractal.parameters, rootNote: 67 } }
+      }
+    });
+
+    expect(followed).toEqual(rooted);
+    expect(followed).not.toEqual(createSequenceMidiFile(initial));
+  });
+
+  it('folds each track into the note range of its device', () => {
+    const full = { noteRange: { low: 0, high: 127 } };
+    const narrow = { noteRange: { low: 60, high: 60 } };
+
+    expect(createSequenceMidiFile(initial, { fractal: full })).toEqual(createSequenceMidiFile(initial));
+    expect(createSequenceMidiFile(initial, { fractal: narrow })).not.toEqual(createSequenceMidiFile(initial));
+  });
+});
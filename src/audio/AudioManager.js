@@ -4,7 +4,8 @@
  */
 
 import FMSynthEngine from './FMSynthEngine';
-import { sendNoteOn, sendNoteOff, sendAllNotesOff, sendCC } from '../midi/midiUtils';
+import { sendNoteOn, sendNoteOff, sendAllNotesOff, sendPanic, sendCC, sendNoteExpression } from '../midi/midiUtils';
+import NoteLedger from '../midi/NoteLedger';
 
 class AudioManager {
   constructor() {
@@ -21,6 +22,9 @@ class AudioManager {
   async initialize(midiOutput = null) {
     console.log('AudioManager: Initializing...');
 
+    // Notes still sounding on the output we are leaving are released there
+    this.releaseOutput(midiOutput);
+
     // Check for MIDI support
     this.isMidiAvailable = this.checkMidiSupport(midiOutput);
 
@@ -50,6 +54,11 @@ class AudioManager {
    * Check if MIDI is supported and available
    */
   checkMidiSupport(midiOutput) {
+    // The virtual loopback needs no Web MIDI API
+    if (midiOutput && midiOutput.virtual) {
+      return true;
+    }
+
     // Check if Web MIDI API is available
     if (!navigator.requestMIDIAccess) {
       console.log('Web MIDI API not supported on this platform');
@@ -70,6 +79,7 @@ class AudioManager {
    */
   setMidiOutput(midiOutput) {
     if (midiOutput && midiOutput.send) {
+      this.releaseOutput(midiOutput);
       this.midiOutput = midiOutput;
       this.isMidiAvailable = true;
 
@@ -86,41 +96,79 @@ class AudioManager {
     return false;
   }
 
+  /**
+   * Send note offs for the notes sounding on the current output when
+   * another one takes its place
+   */
+  releaseOutput(nextOutput) {
+    if (this.midiOutput && this.midiOutput !== nextOutput) {
+      NoteLedger.release(this.midiOutput);
+    }
+  }
+
   /**
    * Play a note (unified interface)
+   * @param {Number} noteNumber - MIDI note number
+   * @param {Number} velocity - Velocity (0-1, or 0-127)
+   * @param {Number} channel - MIDI channel
+   * @param {Number} time - Optional performance.now() timestamp to schedule the note at
+   * @param {Object} output - Optional WebMidi output overriding the default output (MIDI mode)
    */
-  noteOn(noteNumber, velocity = 0.8, channel = 1) {
+  noteOn(noteNumber, velocity = 0.8, channel = 1, time = undefined, output = null) {
     // Normalize velocity to 0-1 range if needed
     if (velocity > 1) {
       velocity = velocity / 127;
     }
 
-    if (this.audioMode === 'midi' && this.midiOutput) {
-      // Use MIDI hardware
-      sendNoteOn(noteNumber, velocity, this.midiOutput, channel);
+    if (this.audioMode === 'midi' && (output || this.midiOutput)) {
+      // Use MIDI hardware (midiUtils expects 0-127 velocity)
+      sendNoteOn(output || this.midiOutput, noteNumber, Math.round(velocity * 127), channel, time);
     } else if (this.audioMode === 'webaudio') {
       // Use Web Audio synthesis
-      FMSynthEngine.noteOn(noteNumber, velocity);
+      FMSynthEngine.noteOn(noteNumber, velocity, FMSynthEngine.toContextTime(time));
     } else {
       console.warn('AudioManager: No audio backend available');
     }
   }
 
+  /**
+   * Set the per-note expression of an MPE member channel (MIDI mode only)
+   * @param {Number} channel - Member channel of the note
+   * @param {Object} expression - { bend (semitones), pressure (0-1), slide (0-1) }
+   * @param {Number} pitchBendRange - Member channel pitch bend range in semitones
+   * @param {Number} time - Optional performance.now() timestamp
+   * @param {Object} output - Optional WebMidi output overriding the default output
+   */
+  noteExpression(channel, expression, pitchBendRange, time = undefined, output = null) {
+    if (this.audioMode === 'midi' && (output || this.midiOutput)) {
+      sendNoteExpression(output || this.midiOutput, channel, expression, pitchBendRange, time);
+    }
+  }
+
   /**
    * Stop a note (unified interface)
+   * @param {Number} noteNumber - MIDI note number
+   * @param {Number} channel - MIDI channel
+   * @param {Number} time - Optional performance.now() timestamp to schedule the note off at
+   * @param {Object} output - Optional WebMidi output overriding the default output (MIDI mode)
    */
-  noteOff(noteNumber, channel = 1) {
-    if (this.audioMode === 'midi' && this.midiOutput) {
-      sendNoteOff(noteNumber, this.midiOutput, channel);
+  noteOff(noteNumber, channel = 1, time = undefined, output = null) {
+    if (this.audioMode === 'midi' && (output || this.midiOutput)) {
+      sendNoteOff(output || this.midiOutput, noteNumber, channel, time);
     } else if (this.audioMode === 'webaudio') {
-      FMSynthEngine.noteOff(noteNumber);
+      FMSynthEngine.noteOff(noteNumber, FMSynthEngine.toContextTime(time));
     }
   }
 
   /**
-   * Stop all notes (panic button)
+   * Stop all notes
+   * Every MIDI note in the note ledger gets its note off, on whichever
+   * port it was played, followed by All Notes Off on the default output
+   * for anything the ledger did not see.
    */
   allNotesOff() {
+    NoteLedger.releaseAll();
+
     if (this.audioMode === 'midi' && this.midiOutput) {
       sendAllNotesOff(this.midiOutput);
     } else if (this.audioMode === 'webaudio') {
@@ -128,13 +176,28 @@ class AudioManager {
     }
   }
 
+  /**
+   * Panic: silence every port notes were played on, and the default
+   * output: what is still queued for them is dropped, then every note and
+   * channel gets a note off (see sendPanic)
+   */
+  panic() {
+    const outputs = new Set(NoteLedger.getOutputs());
+    if (this.audioMode === 'midi' && this.midiOutput) outputs.add(this.midiOutput);
+    outputs.forEach(output => sendPanic(output));
+
+    if (this.audioMode === 'webaudio') {
+      FMSynthEngine.allNotesOff();
+    }
+  }
+
   /**
    * Send control change (MIDI mode only)
    * In Web Audio mode, this updates synthesis parameters
    */
   sendCC(ccNumber, value, channel = 1) {
     if (this.audioMode === 'midi' && this.midiOutput) {
-      sendCC(ccNumber, value, this.midiOutput, channel);
+      sendCC(this.midiOutput, ccNumber, value, channel);
     } else if (this.audioMode === 'webaudio') {
       // Map common CC parameters to Web Audio synthesis
       this.mapCCToWebAudio(ccNumber, value);
@@ -83,16 +83,31 @@ class FMSynthEngine {
     }
   }
 
+  /**
+   * Convert a performance.now() timestamp to audio context time
+   * Timestamps in the past (or missing) map to "now".
+   * @param {Number} timestamp - DOMHighResTimeStamp in milliseconds
+   * @returns {Number} Audio context time in seconds
+   */
+  toContextTime(timestamp) {
+    if (!this.audioContext) return 0;
+
+    const now = this.audioContext.currentTime;
+    if (timestamp === undefined || timestamp === null) return now;
+
+    return now + Math.max(0, (timestamp - performance.now()) / 1000);
+  }
+
   /**
    * Create FM voice with 4-operator synthesis
    */
-  createVoice(noteNumber, velocity) {
+  createVoice(noteNumber, velocity, startTime = null) {
     if (!this.isInitialized || !this.audioContext) {
       console.warn('FM Synth not initialized');
       return null;
     }
 
-    const now = this.audioContext.currentTime;
+    const now = Math.max(startTime ?? 0, this.audioContext.currentTime);
     const frequency = midiToFrequency(noteNumber);
     const velocityGain = clamp(velocity, 0, 1);
 
@@ -241,19 +256,27 @@ class FMSynthEngine {
 
   /**
    * Release voice (apply release envelope)
+   * @param {Object} voice - Voice to release
+   * @param {Number} releaseTime - Audio context time to start the release (defaults to now)
    */
-  releaseVoice(voice) {
+  releaseVoice(voice, releaseTime = null) {
     if (!voice || !this.audioContext) return;
 
-    const now = this.audioContext.currentTime;
+    const now = Math.max(releaseTime ?? 0, this.audioContext.currentTime);
 
     for (let i = 0; i < 4; i++) {
       const gain = voice.gains[i].gain;
       const envelope = voice.envelopes[i];
 
-      // Cancel scheduled values and apply release
-      gain.cancelScheduledValues(now);
-      gain.setValueAtTime(gain.value, now);
+      // Cancel scheduled values and apply release. cancelAndHoldAtTime keeps
+      // the envelope value at a future release point; older browsers fall
+      // back to the current value.
+      if (typeof gain.cancelAndHoldAtTime === 'function') {
+        gain.cancelAndHoldAtTime(now);
+      } else {
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+      }
       gain.linearRampToValueAtTime(0, now + envelope.releaseTime);
     }
 
@@ -270,8 +293,11 @@ class FMSynthEngine {
 
   /**
    * Play a note
+   * @param {Number} noteNumber - MIDI note number
+   * @param {Number} velocity - Velocity (0-1)
+   * @param {Number} time - Audio context time to start the note (defaults to now)
    */
-  noteOn(noteNumber, velocity = 0.8) {
+  noteOn(noteNumber, velocity = 0.8, time = null) {
     if (!this.isInitialized) {
       console.warn('FM Synth not initialized, attempting to initialize...');
       this.initialize();
@@ -288,17 +314,17 @@ class FMSynthEngine {
     velocity = clamp(velocity, 0, 1);
 
     // Stop existing voice on this note (mono behavior per note)
-    this.noteOff(noteNumber);
+    this.noteOff(noteNumber, time);
 
     // Handle polyphony limit
     if (this.activeVoices.size >= this.maxPolyphony) {
       // Stop oldest voice
       const firstKey = this.activeVoices.keys().next().value;
-      this.noteOff(firstKey);
+      this.noteOff(firstKey, time);
     }
 
     // Create and store new voice
-    const voice = this.createVoice(noteNumber, velocity);
+    const voice = this.createVoice(noteNumber, velocity, time);
     if (voice) {
       this.activeVoices.set(noteNumber, voice);
     }
@@ -306,11 +332,13 @@ class FMSynthEngine {
 
   /**
    * Stop a note
+   * @param {Number} noteNumber - MIDI note number
+   * @param {Number} time - Audio context time to release the note (defaults to now)
    */
-  noteOff(noteNumber) {
+  noteOff(noteNumber, time = null) {
     const voice = this.activeVoices.get(noteNumber);
     if (voice) {
-      this.releaseVoice(voice);
+      this.releaseVoice(voice, time);
       this.activeVoices.delete(noteNumber);
     }
   }
@@ -0,0 +1,262 @@
+/**
+ * Transport - Shared lookahead clock for sequenced playback
+ *
+ * Instead of playing notes when a timer fires, the transport wakes up every
+ * few milliseconds and announces every step that falls inside the lookahead
+ * window, together with the exact time the step should sound. Listeners queue
+ * their MIDI/Web Audio events with those timestamps, so timing stays tight no
+ * matter how busy the render loop is.
+ *
+ * Times are DOMHighResTimeStamps (performance.now() milliseconds), which is
+ * what WebMidi expects for its `time` option.
+ */
+
+import { TRANSPORT_CONFIG } from '../config/constants';
+
+class Transport {
+  constructor() {
+    this.isRunning = false;
+    this.stepDuration = 250;         // ms per step
+    this.lookahead = TRANSPORT_CONFIG.LOOKAHEAD_MS;
+    this.tickInterval = TRANSPORT_CONFIG.TICK_INTERVAL_MS;
+
+    this.currentStep = 0;            // Absolute step counter since start
+    this.nextStepTime = 0;           // Timestamp of the next step to schedule
+
+    this.listeners = {
+      start: new Set(),
+      stop: new Set(),
+      step: new Set(),
+      tick: new Set()
+    };
+
+    this.worker = null;
+    this.timerId = null;
+    this.handleTick = this.handleTick.bind(this);
+  }
+
+  /**
+   * Register a transport event listener
+   * @param {String} event - 'start', 'stop', 'step' or 'tick'
+   * @param {Function} callback - Listener function
+   * @returns {Function} Function that removes the listener
+   */
+  addListener(event, callback) {
+    if (!this.listeners[event]) {
+      console.warn(`Transport: Unknown event "${event}"`);
+      return () => {};
+    }
+
+    this.listeners[event].add(callback);
+    return () => this.removeListener(event, callback);
+  }
+
+  /**
+   * Remove a transport event listener
+   */
+  removeListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].delete(callback);
+    }
+  }
+
+  /**
+   * Notify every listener of an event
+   */
+  emit(event, payload) {
+    this.listeners[event].forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        console.error(`Transport: Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Set the duration of one step
+   * Takes effect from the next unscheduled step, so the grid stays continuous.
+   * @param {Number} ms - Step duration in milliseconds
+   */
+  setStepDuration(ms) {
+    if (!ms || ms <= 0) return;
+    this.stepDuration = ms;
+  }
+
+  /**
+   * Start the transport
+   * @param {Number} startTime - Timestamp of the first step (defaults to slightly in the future)
+   * @param {Number} startStep - Step to start from (e.g. after a song position jump)
+   */
+  start(startTime = performance.now() + TRANSPORT_CONFIG.START_DELAY_MS, startStep = 0) {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.currentStep = startStep;
+    this.nextStepTime = startTime;
+
+    this.emit('start', { time: startTime, step: startStep });
+    this.startTimer();
+
+    // Fill the first lookahead window right away
+    this.handleTick();
+    console.log(`Transport: Started (step duration: ${this.stepDuration}ms, lookahead: ${this.lookahead}ms)`);
+  }
+
+  /**
+   * Stop the transport
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.stopTimer();
+
+    this.emit('stop', { time: performance.now(), step: this.currentStep });
+    console.log('Transport: Stopped');
+  }
+
+  /**
+   * Align the step grid with an external clock
+   * Called when an external clock reaches a step boundary. Small drift is
+   * corrected gradually so clock jitter does not wobble the grid; a large
+   * offset moves the grid onto the clock's. Steps already announced in the
+   * lookahead window are never announced again: when the clock is ahead,
+   * the steps it has passed are skipped, and when it is behind, the next
+   * step waits for its place on the clock's grid.
+   * @param {Number} step - Step the external clock has reached
+   * @param {Number} time - Timestamp of the clock pulse that started the step
+   */
+  syncToClock(step, time) {
+    if (!this.isRunning) return;
+
+    // Time this step was (or will be) scheduled at on our own grid
+    const expectedTime = this.nextStepTime - (this.currentStep - step) * this.stepDuration;
+    const drift = time - expectedTime;
+
+    if (Math.abs(drift) > this.stepDuration / 2) {
+      // The next step must come after the last announced one, in number and
+      // in time (with at least half a step between them)
+      const lastStepTime = this.nextStepTime - this.stepDuration;
+      const firstClearStep = step + Math.ceil((lastStepTime + this.stepDuration / 2 - time) / this.stepDuration);
+      const nextStep = Math.max(step + 1, this.currentStep, firstClearStep);
+
+      this.currentStep = nextStep;
+      this.nextStepTime = time + (nextStep - step) * this.stepDuration;
+      console.log(`Transport: Moved to step ${nextStep} to follow external clock`);
+    } else {
+      this.nextStepTime += drift * TRANSPORT_CONFIG.CLOCK_SYNC_SMOOTHING;
+    }
+  }
+
+  /**
+   * Start the tick timer, preferring a worker so background tabs keep ticking
+   */
+  startTimer() {
+    if (!this.worker && typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker(new URL('./schedulerWorker.js', import.meta.url));
+        this.worker.onmessage = this.handleTick;
+      } catch (error) {
+        console.warn('Transport: Worker timer unavailable, falling back to setInterval:', error.message);
+        this.worker = null;
+      }
+    }
+
+    if (this.worker) {
+      this.worker.postMessage({ command: 'start', interval: this.tickInterval });
+    } else {
+      this.timerId = setInterval(this.handleTick, this.tickInterval);
+    }
+  }
+
+  /**
+   * Stop the tick timer
+   */
+  stopTimer() {
+    if (this.worker) {
+      this.worker.postMessage({ command: 'stop' });
+    }
+
+    if (this.timerId) {
+      clearInterval(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Announce every step that falls inside the lookahead window
+   */
+  handleTick() {
+    if (!this.isRunning) return;
+
+    const now = performance.now();
+    const horizon = now + this.lookahead;
+
+    // If the main thread was blocked for longer than a step, skip the steps
+    // that are already in the past rather than firing them all at once
+    if (this.nextStepTime < now - this.stepDuration) {
+      const missedSteps = Math.floor((now - this.nextStepTime) / this.stepDuration);
+      this.currentStep += missedSteps;
+      this.nextStepTime += missedSteps * this.stepDuration;
+    }
+
+    while (this.nextStepTime < horizon) {
+      this.emit('step', {
+        step: this.currentStep,
+        time: this.nextStepTime,
+        duration: this.stepDuration,
+        position: this.getPosition(this.currentStep)
+      });
+
+      this.nextStepTime += this.stepDuration;
+      this.currentStep++;
+    }
+
+    this.emit('tick', { time: now, horizon });
+  }
+
+  /**
+   * Bar and beat of a step
+   * @param {Number} step - Absolute step number
+   * @returns {Object} { step, bar, beat, stepInBeat } - All counted from 0
+   */
+  getPosition(step) {
+    const { STEPS_PER_BEAT, BEATS_PER_BAR } = TRANSPORT_CONFIG;
+    const beats = Math.floor(step / STEPS_PER_BEAT);
+
+    return {
+      step,
+      bar: Math.floor(beats / BEATS_PER_BAR),
+      beat: beats % BEATS_PER_BAR,
+      stepInBeat: step % STEPS_PER_BEAT
+    };
+  }
+
+  /**
+   * Get status information
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      currentStep: this.currentStep,
+      stepDuration: this.stepDuration,
+      lookahead: this.lookahead
+    };
+  }
+
+  /**
+   * Dispose and clean up resources
+   */
+  dispose() {
+    this.stop();
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new Transport();
@@ -0,0 +1,27 @@
+/**
+ * Scheduler Worker
+ * Posts a 'tick' message at a fixed interval. Timers inside a worker are not
+ * throttled like main-thread timers when the tab is in the background, so the
+ * transport keeps filling its lookahead window while the page is hidden.
+ */
+
+let timerId = null;
+
+self.onmessage = (event) => {
+  const { command, interval } = event.data || {};
+
+  switch (command) {
+    case 'start':
+      if (timerId) clearInterval(timerId);
+      timerId = setInterval(() => self.postMessage('tick'), interval);
+      break;
+
+    case 'stop':
+      if (timerId) clearInterval(timerId);
+      timerId = null;
+      break;
+
+    default:
+      break;
+  }
+};
@@ -0,0 +1,50 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toggleClockOutput } from '../state/midiSlice';
+import { glowStyles, sectionTitleStyle } from './panelStyles';
+
+/**
+ * MIDI clock output setup
+ * Choose which output ports receive our 24 PPQN clock and Start/Stop
+ * messages. Nothing is sent while following an external clock.
+ */
+const ClockPanel = () => {
+  const dispatch = useDispatch();
+  const availableOutputs = useSelector(state => state.midi.availableOutputs);
+  const clockOutputs = useSelector(state => state.midi.clockOutputs);
+  const clockSource = useSelector(state => state.midi.clockSource);
+
+  if (!availableOutputs || availableOutputs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={sectionTitleStyle}>
+        MIDI Clock Out
+      </div>
+
+      {clockSource === 'external' && (
+        <div style={{ ...glowStyles.label, marginBottom: '8px', color: '#fa8' }}>
+          Following external clock - clock output is paused
+        </div>
+      )}
+
+      {availableOutputs.map(device => (
+        <div key={device.id} style={glowStyles.controlRow}>
+          <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={clockOutputs.includes(device.id)}
+              onChange={() => dispatch(toggleClockOutput(device.id))}
+              style={{ marginRight: '5px' }}
+            />
+            <span style={glowStyles.label}>{device.name}</span>
+          </label>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ClockPanel;
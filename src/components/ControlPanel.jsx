@@ -1,67 +1,33 @@
 import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { setCurrentAlgorithm, toggleAlgorithm, updateAlgorithmParameter, setTempo, setPlaying } from '../state/algorithmSlice';
+import { setCurrentAlgorithm, toggleAlgorithm, updateAlgorithmParameter, setTempo, setPlaying, setChangeQuantize, setSeed, setKeyboardFollow, clearLiveCells } from '../state/algorithmSlice';
+import RandomService from '../algorithms/RandomService';
 import { setVisualizationMode, setColorScheme, toggleLabels, toggleAccessibilityMode, setNoteSize, togglePulseEffect, toggleAutoRotate, setRenderQuality } from '../state/visualizerSlice';
+import { setClockSource, setLearnTarget, clearNotes } from '../state/midiSlice';
+import { describeLearnTarget } from '../midi/MidiLearn';
+import {
+  setSynthParameter, setSynthPreset, setSynthPitchBendRange,
+  isSwitchOn, getLfoWaveform, lfoWaveformValue, LFO_WAVEFORMS
+} from '../state/synthSlice';
 import { 
-  sendCC, CC, sendAllNotesOff, selectPreset, setEnvelopeLooping,
+  sendCC, CC, selectPreset, setEnvelopeLooping,
   VoiceMode, NotePriority, setVoiceMode, setFatDetune, setGlide, setMPEMode, setNotePriority,
-  MEGAFM_CHANNEL
+  sendPitchBendRange, getMPEMemberChannels, MEGAFM_CHANNEL
 } from '../midi/midiUtils';
 import { 
   linkParameterToLFO, unlinkParameterFromLFO, hasRecentParameterMovement, getLastMovedParameter
 } from '../midi/modUtils';
-
-// Add reactive styling with glow effects
-const glowStyles = {
-  button: {
-    background: 'linear-gradient(to right, #4a00e0, #8e2de2)',
-    color: 'white',
-    border: 'none',
-    padding: '8px 16px',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    fontWeight: 'bold',
-    boxShadow: '0 0 10px rgba(142, 45, 226, 0.5)',
-    transition: 'all 0.3s ease',
-    margin: '5px'
-  },
-  activeButton: {
-    background: 'linear-gradient(to right, #8e2de2, #4a00e0)',
-    boxShadow: '0 0 15px rgba(142, 45, 226, 0.8)',
-  },
-  slider: {
-    width: '100%',
-    accentColor: '#8e2de2',
-    cursor: 'pointer'
-  },
-  controlGroup: {
-    background: 'rgba(20, 20, 30, 0.8)',
-    borderRadius: '8px',
-    padding: '10px 15px',
-    margin: '5px 0',
-    boxShadow: '0 0 10px rgba(0, 0, 0, 0.3)',
-    border: '1px solid rgba(100, 100, 255, 0.2)',
-  },
-  controlRow: {
-    display: 'flex',
-    flexWrap: 'wrap',
-    alignItems: 'center',
-    gap: '10px',
-    margin: '8px 0',
-  },
-  label: {
-    fontSize: '14px',
-    fontWeight: 'bold',
-    color: '#bbb',
-  },
-  value: {
-    fontSize: '14px',
-    fontWeight: 'bold',
-    color: '#fff',
-    minWidth: '40px',
-    textAlign: 'center',
-  }
-};
+import { MIDI_CONFIG } from '../config/constants';
+import AudioManager from '../audio/AudioManager';
+import { glowStyles, selectStyle } from './panelStyles';
+import TrackPanel from './TrackPanel';
+import DevicePanel from './DevicePanel';
+import ClockPanel from './ClockPanel';
+import GroovePanel from './GroovePanel';
+import RecorderPanel from './RecorderPanel';
+import SessionPanel from './SessionPanel';
+import MidiLearnPanel from './MidiLearnPanel';
+import MidiMonitorPanel from './MidiMonitorPanel';
 
 const ControlPanel = () => {
   const dispatch = useDispatch();
@@ -73,6 +39,14 @@ const ControlPanel = () => {
   const algorithms = useSelector(state => state.algorithm.algorithms);
   const isPlaying = useSelector(state => state.algorithm.isPlaying);
   const tempo = useSelector(state => state.algorithm.tempo);
+  const changeQuantize = useSelector(state => state.algorithm.changeQuantize);
+  const seed = useSelector(state => state.algorithm.seed);
+  const keyboardFollow = useSelector(state => state.algorithm.keyboardFollow);
+  const followRoot = useSelector(state => state.algorithm.followRoot);
+  const liveCellCount = useSelector(state => state.algorithm.liveCells.length);
+  const clockSource = useSelector(state => state.midi.clockSource);
+  const learnMode = useSelector(state => state.midi.learnMode);
+  const learnTarget = useSelector(state => state.midi.learnTarget);
   const visualizationMode = useSelector(state => state.visualizer.visualizationMode);
   const colorScheme = useSelector(state => state.visualizer.colorScheme);
   const availableModes = useSelector(state => state.visualizer.availableModes);
@@ -88,9 +62,6 @@ const ControlPanel = () => {
   const [activeFMTab, setActiveFMTab] = useState('global');
   const [activeOperator, setActiveOperator] = useState(1);
   const [activeLFO, setActiveLFO] = useState(1);
-  const [lfoWaveform, setLFOWaveform] = useState('sine');
-  const [lfoRetrig, setLFORetrig] = useState(false);
-  const [lfoLoop, setLFOLoop] = useState(true);
   
   // LFO modulation chain state
   const [lfoChainStatus, setLfoChainStatus] = useState({
@@ -101,28 +72,55 @@ const ControlPanel = () => {
   const [lastModParameterInfo, setLastModParameterInfo] = useState(null);
   const [modLinkActive, setModLinkActive] = useState(false);
   
-  // Envelope loop state
-  const [envelopeLoopActive, setEnvelopeLoopActive] = useState(false);
-  const [envelopeLoopPingpong, setEnvelopeLoopPingpong] = useState(false);
+  // Envelope loop fader timing
   const [lastEnvelopeFaderTimestamp, setLastEnvelopeFaderTimestamp] = useState(0);
   
-  // Voice mode controls
-  const [currentVoiceMode, setCurrentVoiceMode] = useState(0); // Default to POLY12
-  const [fatValue, setFatValue] = useState(0);
-  const [fatOctaveMode, setFatOctaveMode] = useState(false); 
-  const [glideValue, setGlideValue] = useState(0);
-  const [notePriority, setNotePriority] = useState(0); // Default to LOWEST
-  const [mpeMode, setMpeMode] = useState(false);
-  const [pitchBendRange, setPitchBendRange] = useState(48); // Default to max
+  // MegaFM patch values, kept in the synth slice so they follow the hardware
+  const synthParameters = useSelector(state => state.synth.parameters);
+  const currentBank = useSelector(state => state.synth.bank);
+  const currentPreset = useSelector(state => state.synth.preset);
+  const pitchBendRange = useSelector(state => state.synth.pitchBendRange);
   
-  // This section was removed to fix duplicate declaration
+  const currentVoiceMode = synthParameters.VOICE_MODE;
+  const fatValue = synthParameters.FAT;
+  const fatOctaveMode = isSwitchOn(synthParameters.FAT_MODE);
+  const glideValue = synthParameters.VOICE_GLIDE;
+  const notePriority = synthParameters.NOTE_PRIORITY;
+  const mpeMode = isSwitchOn(synthParameters.MPE_MODE);
+  const currentFmAlgorithm = `algo${synthParameters.ALGORITHM}`;
+  const lfoWaveform = getLfoWaveform(synthParameters, activeLFO);
+  const lfoRetrig = isSwitchOn(synthParameters[`LFO${activeLFO}_RETRIG`]);
+  const lfoLoop = isSwitchOn(synthParameters[`LFO${activeLFO}_LOOP`]);
+  const envelopeLoopActive = isSwitchOn(synthParameters[`OP${activeOperator}_ENV_LOOP`]);
+  const envelopeLoopPingpong = isSwitchOn(synthParameters[`OP${activeOperator}_ENV_LOOP_MODE`]);
   
-  // FM synthesis controls
-  const [currentFmAlgorithm, setCurrentFmAlgorithm] = useState('algo1'); // Default to algorithm 1
+  // Parameters of the operator and LFO being edited (e.g. 'ATTACK_RATE', 'DEPTH')
+  const operatorParameter = (name) => synthParameters[`OP${activeOperator}_${name}`];
+  const lfoParameter = (name) => synthParameters[`LFO${activeLFO}_${name}`];
   
-  // Preset browser state
-  const [currentBank, setCurrentBank] = useState(0);
-  const [currentPreset, setCurrentPreset] = useState(0);
+  // Setters writing the patch values to the synth slice. The LFO and
+  // envelope loop values belong to the LFO/operator being edited.
+  const updateSynthParameter = (cc, value) => dispatch(setSynthParameter({ cc, value }));
+  const setCurrentVoiceMode = (mode) => updateSynthParameter(CC.VOICE_MODE, mode);
+  const setFatValue = (value) => updateSynthParameter(CC.FAT, value);
+  const setFatOctaveMode = (octave) => updateSynthParameter(CC.FAT_MODE, octave ? 127 : 0);
+  const setGlideValue = (value) => updateSynthParameter(CC.VOICE_GLIDE, value);
+  const setNotePriorityValue = (priority) => updateSynthParameter(CC.NOTE_PRIORITY, priority);
+  const setMpeMode = (active) => updateSynthParameter(CC.MPE_MODE, active ? 127 : 0);
+  const setPitchBendRange = (range) => dispatch(setSynthPitchBendRange(range));
+  const setCurrentFmAlgorithm = (algo) => updateSynthParameter(CC.ALGORITHM, parseInt(algo.replace('algo', ''), 10));
+  const setCurrentBank = (bank) => dispatch(setSynthPreset({ bank }));
+  const setCurrentPreset = (preset) => dispatch(setSynthPreset({ preset }));
+  const setLFORetrig = (on) => updateSynthParameter(CC[`LFO${activeLFO}_RETRIG`], on ? 127 : 0);
+  const setLFOLoop = (on) => updateSynthParameter(CC[`LFO${activeLFO}_LOOP`], on ? 127 : 0);
+  const setEnvelopeLoopActive = (on) => updateSynthParameter(CC[`OP${activeOperator}_ENV_LOOP`], on ? 127 : 0);
+  const setEnvelopeLoopPingpong = (on) => updateSynthParameter(CC[`OP${activeOperator}_ENV_LOOP_MODE`], on ? 127 : 0);
+  // Velocity and aftertouch modes follow the LFO depth, so only real waveforms are stored
+  const setLFOWaveform = (waveform) => {
+    if (LFO_WAVEFORMS.includes(waveform)) {
+      updateSynthParameter(CC[`LFO${activeLFO}_WAVEFORM`], lfoWaveformValue(waveform));
+    }
+  };
   
   // Handle play/stop button
   const togglePlayback = () => {
@@ -144,6 +142,11 @@ const ControlPanel = () => {
     dispatch(setTempo(parseInt(e.target.value, 10)));
   };
   
+  // Handle clock source changes (internal tempo or external MIDI clock)
+  const handleClockSourceChange = (e) => {
+    dispatch(setClockSource(e.target.value));
+  };
+  
   // Handle visualization mode changes
   const handleVisualizationModeChange = (e) => {
     dispatch(setVisualizationMode(e.target.value));
@@ -156,6 +159,7 @@ const ControlPanel = () => {
   
   // Handle MegaFM param changes
   const handleMegaFMParamChange = (cc, value, paramName = null) => {
+    updateSynthParameter(cc, value);
     if (midiConnected && midiOutput) {
       // Send parameter change and track it for modulation purposes
       // The enhanced sendCC function will handle parameter tracking with modUtils.js
@@ -200,7 +204,7 @@ const ControlPanel = () => {
   
   // Handle note priority change (for unison mode)
   const handleNotePriorityChange = (priority) => {
-    setNotePriority(priority);
+    setNotePriorityValue(priority);
     if (midiConnected && midiOutput) {
       setNotePriority(midiOutput, priority);
     }
@@ -288,7 +292,8 @@ const ControlPanel = () => {
   const handlePitchBendRangeChange = (value) => {
     setPitchBendRange(value);
     if (midiConnected && midiOutput && mpeMode) {
-      setMPEMode(midiOutput, true, value);
+      // The zone is already set up, only the member channels' range changes
+      getMPEMemberChannels(MEGAFM_CHANNEL).forEach(channel => sendPitchBendRange(midiOutput, value, 0, channel));
     }
   };
   
@@ -298,31 +303,31 @@ const ControlPanel = () => {
       // Only apply these settings when algorithm changes
       if (currentAlgorithm === 'fractal') {
         // Set MegaFM parameters for fractal algorithm
-        sendCC(midiOutput, CC.ALGORITHM, 4); // Algorithm 4 works well with fractal melodies
-        sendCC(midiOutput, CC.FEEDBACK, 90); // High feedback for resonant tones
-        sendCC(midiOutput, CC.OP1_ATTACK_RATE, 20);
-        sendCC(midiOutput, CC.OP1_DECAY_RATE, 80);
+        handleMegaFMParamChange(CC.ALGORITHM, 4); // Algorithm 4 works well with fractal melodies
+        handleMegaFMParamChange(CC.FEEDBACK, 90); // High feedback for resonant tones
+        handleMegaFMParamChange(CC.OP1_ATTACK_RATE, 20);
+        handleMegaFMParamChange(CC.OP1_DECAY_RATE, 80);
       } 
       else if (currentAlgorithm === 'euclidean') {
         // Set MegaFM parameters for percussion-oriented rhythm
-        sendCC(midiOutput, CC.ALGORITHM, 6); // Algorithm 6 for percussive sounds
-        sendCC(midiOutput, CC.FEEDBACK, 110); // Higher feedback for sharper attacks
-        sendCC(midiOutput, CC.OP1_ATTACK_RATE, 0); // Fast attack for percussion
-        sendCC(midiOutput, CC.OP1_DECAY_RATE, 100);
+        handleMegaFMParamChange(CC.ALGORITHM, 6); // Algorithm 6 for percussive sounds
+        handleMegaFMParamChange(CC.FEEDBACK, 110); // Higher feedback for sharper attacks
+        handleMegaFMParamChange(CC.OP1_ATTACK_RATE, 0); // Fast attack for percussion
+        handleMegaFMParamChange(CC.OP1_DECAY_RATE, 100);
       }
       else if (currentAlgorithm === 'cellular') {
         // Set MegaFM parameters for experimental sounds
-        sendCC(midiOutput, CC.ALGORITHM, 1); // Algorithm 1 for complex timbres
-        sendCC(midiOutput, CC.FEEDBACK, 100);
-        sendCC(midiOutput, CC.OP1_ATTACK_RATE, 50);
-        sendCC(midiOutput, CC.OP1_DECAY_RATE, 50);
+        handleMegaFMParamChange(CC.ALGORITHM, 1); // Algorithm 1 for complex timbres
+        handleMegaFMParamChange(CC.FEEDBACK, 100);
+        handleMegaFMParamChange(CC.OP1_ATTACK_RATE, 50);
+        handleMegaFMParamChange(CC.OP1_DECAY_RATE, 50);
       }
       else if (currentAlgorithm === 'ruleBasedHarmony') {
         // Set MegaFM parameters for pad-like sounds
-        sendCC(midiOutput, CC.ALGORITHM, 2); // Algorithm 2 for harmonic richness
-        sendCC(midiOutput, CC.FEEDBACK, 40); // Lower feedback for smoother sound
-        sendCC(midiOutput, CC.OP1_ATTACK_RATE, 80); // Slow attack for pads
-        sendCC(midiOutput, CC.OP1_DECAY_RATE, 30);
+        handleMegaFMParamChange(CC.ALGORITHM, 2); // Algorithm 2 for harmonic richness
+        handleMegaFMParamChange(CC.FEEDBACK, 40); // Lower feedback for smoother sound
+        handleMegaFMParamChange(CC.OP1_ATTACK_RATE, 80); // Slow attack for pads
+        handleMegaFMParamChange(CC.OP1_DECAY_RATE, 30);
       }
     }
   }, [currentAlgorithm, midiConnected, midiOutput]);
@@ -331,7 +336,7 @@ const ControlPanel = () => {
   useEffect(() => {
     if (midiConnected && midiOutput) {
       // Set initial sync parameters for MIDI clock
-      sendCC(midiOutput, CC.LFO1_RATE, Math.floor(tempo / 2));
+      handleMegaFMParamChange(CC.LFO1_RATE, Math.floor(tempo / 2));
     }
   }, [tempo, midiConnected, midiOutput]);
 
@@ -342,9 +347,21 @@ const ControlPanel = () => {
     setIsCollapsed(!isCollapsed);
   };
   
+  // In MIDI Learn mode, clicking a learnable control picks it as the learn
+  // target instead of operating it
+  const handleLearnClick = (e) => {
+    if (!learnMode) return;
+    const control = e.target.closest('[data-learn]');
+    if (!control) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    dispatch(setLearnTarget(describeLearnTarget(control)));
+  };
+
   // Render the control panel with all our controls
   return (
-    <div style={{
+    <div onMouseDownCapture={handleLearnClick} style={{
       position: 'absolute',
       bottom: 0,
       left: 0,
@@ -363,6 +380,13 @@ const ControlPanel = () => {
       zIndex: 1000,
       transition: 'all 0.3s ease-in-out',
     }}>
+      {learnMode && (
+        <style>{`
+          [data-learn] { outline: 1px dashed rgba(255, 220, 100, 0.6); cursor: crosshair; }
+          [data-learn="${learnTarget ? learnTarget.target : ''}"] { outline: 2px solid #fd6; }
+        `}</style>
+      )}
+
       {/* Main Controls */}
       <div style={{ 
         display: 'flex', 
@@ -433,14 +457,26 @@ const ControlPanel = () => {
               type="range"
               min="60"
               max="200"
+              data-learn="tempo"
               value={tempo}
               onChange={handleTempoChange}
+              disabled={clockSource === 'external'}
               style={{ 
                 ...glowStyles.slider, 
                 marginLeft: '10px', 
                 width: '120px',
+                opacity: clockSource === 'external' ? 0.5 : 1,
               }}
             />
+            <select
+              value={clockSource}
+              onChange={handleClockSourceChange}
+              title="Follow the internal tempo or an external MIDI clock on the connected input"
+              style={{ ...selectStyle, marginLeft: '10px' }}
+            >
+              <option value="internal">Internal clock</option>
+              <option value="external">External MIDI clock</option>
+            </select>
           </div>
         </div>
       </div>
@@ -486,6 +522,63 @@ const ControlPanel = () => {
               ))}
             </div>
             
+            {/* When parameter changes reach the playing pattern */}
+            <div style={glowStyles.controlRow}>
+              <span style={glowStyles.label}>Apply changes:</span>
+              <select
+                value={changeQuantize}
+                onChange={(e) => dispatch(setChangeQuantize(e.target.value))}
+                style={selectStyle}
+              >
+                <option value="immediate">Immediately</option>
+                <option value="beat">Next beat</option>
+                <option value="bar">Next bar</option>
+                <option value="loop">Next loop</option>
+              </select>
+            </div>
+            
+            {/* Notes played on the MIDI input set the root of the generators */}
+            <div style={glowStyles.controlRow}>
+              <span style={glowStyles.label}>Keyboard follow:</span>
+              <select
+                value={keyboardFollow}
+                onChange={(e) => dispatch(setKeyboardFollow(e.target.value))}
+                title="Play notes on the MIDI input to re-root the running generators"
+                style={selectStyle}
+              >
+                <option value="off">Off</option>
+                <option value="last">Last note</option>
+                <option value="lowest">Lowest held note</option>
+                <option value="chord">Chord root</option>
+              </select>
+              {keyboardFollow !== 'off' && (
+                <span style={glowStyles.value}>
+                  {followRoot
+                    ? `${MIDI_CONFIG.NOTE_NAMES[followRoot.note % 12]}${followRoot.minor ? 'm' : ''}`
+                    : 'Play a note'}
+                </span>
+              )}
+            </div>
+            
+            {/* Random seed - the same seed and settings recall the same patterns */}
+            <div style={glowStyles.controlRow}>
+              <span style={glowStyles.label}>Seed:</span>
+              <input
+                type="number"
+                min="1"
+                value={seed}
+                onChange={(e) => dispatch(setSeed(parseInt(e.target.value, 10)))}
+                style={{ ...selectStyle, width: '90px' }}
+              />
+              <button
+                onClick={() => dispatch(setSeed(RandomService.newSeed()))}
+                style={{ ...glowStyles.button, padding: '4px 10px', margin: 0 }}
+                title="New random seed"
+              >
+                🎲 Reroll
+              </button>
+            </div>
+            
             {/* Algorithm-specific controls */}
             <div style={{ padding: '5px' }}>
               {currentAlgorithm === 'fractal' && (
@@ -500,6 +593,7 @@ const ControlPanel = () => {
                       min="0"
                       max="1"
                       step="0.01"
+                      data-learn="algorithm.fractal.complexity"
                       value={algorithms.fractal.parameters.complexity}
                       onChange={(e) => handleParameterChange('fractal', 'complexity', parseFloat(e.target.value))}
                       style={glowStyles.slider}
@@ -509,6 +603,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Scale:</span>
                     <select
+                      data-learn="algorithm.fractal.scale"
                       value={algorithms.fractal.parameters.scale}
                       onChange={(e) => handleParameterChange('fractal', 'scale', e.target.value)}
                       style={{
@@ -528,6 +623,7 @@ const ControlPanel = () => {
                     
                     <span style={{...glowStyles.label, marginLeft: '15px'}}>Octaves:</span>
                     <select
+                      data-learn="algorithm.fractal.octaveRange"
                       value={algorithms.fractal.parameters.octaveRange}
                       onChange={(e) => handleParameterChange('fractal', 'octaveRange', parseInt(e.target.value, 10))}
                       style={{
@@ -552,6 +648,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Steps:</span>
                     <select
+                      data-learn="algorithm.euclidean.steps"
                       value={algorithms.euclidean.parameters.steps}
                       onChange={(e) => handleParameterChange('euclidean', 'steps', parseInt(e.target.value, 10))}
                       style={{
@@ -577,6 +674,7 @@ const ControlPanel = () => {
                       type="range"
                       min="1"
                       max="16"
+                      data-learn="algorithm.euclidean.fills"
                       value={algorithms.euclidean.parameters.fills}
                       onChange={(e) => handleParameterChange('euclidean', 'fills', parseInt(e.target.value, 10))}
                       style={glowStyles.slider}
@@ -590,6 +688,7 @@ const ControlPanel = () => {
                       type="range"
                       min="0"
                       max="15"
+                      data-learn="algorithm.euclidean.rotation"
                       value={algorithms.euclidean.parameters.rotation}
                       onChange={(e) => handleParameterChange('euclidean', 'rotation', parseInt(e.target.value, 10))}
                       style={glowStyles.slider}
@@ -603,6 +702,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Type:</span>
                     <select
+                      data-learn="algorithm.cellular.type"
                       value={algorithms.cellular.parameters.type}
                       onChange={(e) => handleParameterChange('cellular', 'type', e.target.value)}
                       style={{
@@ -624,6 +724,7 @@ const ControlPanel = () => {
                       <div style={glowStyles.controlRow}>
                         <span style={glowStyles.label}>Rule:</span>
                         <select
+                          data-learn="algorithm.cellular.rule"
                           value={algorithms.cellular.parameters.rule}
                           onChange={(e) => handleParameterChange('cellular', 'rule', parseInt(e.target.value, 10))}
                           style={{
@@ -649,6 +750,7 @@ const ControlPanel = () => {
                       <div style={glowStyles.controlRow}>
                         <span style={glowStyles.label}>Pattern:</span>
                         <select
+                          data-learn="algorithm.cellular.initialCondition"
                           value={algorithms.cellular.parameters.initialCondition}
                           onChange={(e) => handleParameterChange('cellular', 'initialCondition', e.target.value)}
                           style={{
@@ -668,6 +770,7 @@ const ControlPanel = () => {
                         
                         <span style={{...glowStyles.label, marginLeft: '15px'}}>Width:</span>
                         <select
+                          data-learn="algorithm.cellular.width"
                           value={algorithms.cellular.parameters.width}
                           onChange={(e) => handleParameterChange('cellular', 'width', parseInt(e.target.value, 10))}
                           style={{
@@ -688,6 +791,7 @@ const ControlPanel = () => {
                       <div style={glowStyles.controlRow}>
                         <span style={glowStyles.label}>Velocity Mapping:</span>
                         <select
+                          data-learn="algorithm.cellular.velocityMap"
                           value={algorithms.cellular.parameters.velocityMap || 'linear'}
                           onChange={(e) => handleParameterChange('cellular', 'velocityMap', e.target.value)}
                           style={{
@@ -711,6 +815,7 @@ const ControlPanel = () => {
                       <div style={glowStyles.controlRow}>
                         <span style={glowStyles.label}>Pattern:</span>
                         <select
+                          data-learn="algorithm.cellular.initialCondition"
                           value={algorithms.cellular.parameters.initialCondition}
                           onChange={(e) => handleParameterChange('cellular', 'initialCondition', e.target.value)}
                           style={{
@@ -736,6 +841,7 @@ const ControlPanel = () => {
                       <div style={glowStyles.controlRow}>
                         <span style={glowStyles.label}>Grid Size:</span>
                         <select
+                          data-learn="algorithm.cellular.width"
                           value={algorithms.cellular.parameters.width}
                           onChange={(e) => {
                             const size = parseInt(e.target.value, 10);
@@ -762,6 +868,7 @@ const ControlPanel = () => {
                           min="0.1"
                           max="0.6"
                           step="0.05"
+                          data-learn="algorithm.cellular.density"
                           value={algorithms.cellular.parameters.density}
                           onChange={(e) => handleParameterChange('cellular', 'density', parseFloat(e.target.value))}
                           style={{...glowStyles.slider, width: '120px'}}
@@ -774,6 +881,7 @@ const ControlPanel = () => {
                       <div style={glowStyles.controlRow}>
                         <span style={glowStyles.label}>Velocity Mapping:</span>
                         <select
+                          data-learn="algorithm.cellular.velocityMap"
                           value={algorithms.cellular.parameters.velocityMap || 'linear'}
                           onChange={(e) => handleParameterChange('cellular', 'velocityMap', e.target.value)}
                           style={{
@@ -791,6 +899,7 @@ const ControlPanel = () => {
                         
                         <span style={{...glowStyles.label, marginLeft: '15px'}}>Note Scale:</span>
                         <select
+                          data-learn="algorithm.cellular.scale"
                           value={algorithms.cellular.parameters.scale || 'pentatonic'}
                           onChange={(e) => handleParameterChange('cellular', 'scale', e.target.value)}
                           style={{
@@ -818,6 +927,7 @@ const ControlPanel = () => {
                       min="16"
                       max="64"
                       step="8"
+                      data-learn="algorithm.cellular.iterations"
                       value={algorithms.cellular.parameters.iterations}
                       onChange={(e) => handleParameterChange('cellular', 'iterations', parseInt(e.target.value, 10))}
                       style={glowStyles.slider}
@@ -863,6 +973,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Note Range:</span>
                     <select
+                      data-learn="algorithm.cellular.noteRange"
                       value={algorithms.cellular.parameters.noteRange || 'mid'}
                       onChange={(e) => handleParameterChange('cellular', 'noteRange', e.target.value)}
                       style={{
@@ -884,6 +995,7 @@ const ControlPanel = () => {
                       min="0.1"
                       max="0.9"
                       step="0.1"
+                      data-learn="algorithm.cellular.threshold"
                       value={algorithms.cellular.parameters.threshold || 0.5}
                       onChange={(e) => handleParameterChange('cellular', 'threshold', parseFloat(e.target.value))}
                       style={{...glowStyles.slider, width: '120px'}}
@@ -892,6 +1004,37 @@ const ControlPanel = () => {
                       {Math.round((algorithms.cellular.parameters.threshold || 0.5) * 100)}%
                     </span>
                   </div>
+                  
+                  {/* Notes played on the MIDI input stamp live cells into the grid:
+                      pitch picks the cell, velocity a blinker, glider or acorn */}
+                  <div style={glowStyles.controlRow}>
+                    <label style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      cursor: 'pointer',
+                      marginRight: '15px',
+                    }}>
+                      <input
+                        type="checkbox"
+                        checked={!!algorithms.cellular.parameters.liveInput}
+                        onChange={(e) => handleParameterChange('cellular', 'liveInput', e.target.checked)}
+                        style={{ marginRight: '5px' }}
+                      />
+                      <span style={glowStyles.label}>Seed Cells from MIDI Input</span>
+                    </label>
+                    {liveCellCount > 0 && (
+                      <>
+                        <span style={glowStyles.value}>{liveCellCount} live</span>
+                        <button
+                          onClick={() => dispatch(clearLiveCells())}
+                          style={{ ...glowStyles.button, padding: '4px 10px', margin: '0 0 0 10px' }}
+                          title="Remove the cells played in"
+                        >
+                          Clear
+                        </button>
+                      </>
+                    )}
+                  </div>
                 </>
               )}
               
@@ -900,6 +1043,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Sequence Type:</span>
                     <select
+                      data-learn="algorithm.sequential.sequence"
                       value={algorithms.sequential.parameters.sequence}
                       onChange={(e) => handleParameterChange('sequential', 'sequence', e.target.value)}
                       style={{
@@ -924,6 +1068,7 @@ const ControlPanel = () => {
                       min="0"
                       max="1"
                       step="0.01"
+                      data-learn="algorithm.sequential.rhythmDensity"
                       value={algorithms.sequential.parameters.rhythmDensity}
                       onChange={(e) => handleParameterChange('sequential', 'rhythmDensity', parseFloat(e.target.value))}
                       style={glowStyles.slider}
@@ -933,9 +1078,27 @@ const ControlPanel = () => {
                     </span>
                   </div>
                   
+                  <div style={glowStyles.controlRow}>
+                    <span style={glowStyles.label}>Legato:</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      data-learn="algorithm.sequential.legato"
+                      value={algorithms.sequential.parameters.legato ?? 0}
+                      onChange={(e) => handleParameterChange('sequential', 'legato', parseFloat(e.target.value))}
+                      style={glowStyles.slider}
+                    />
+                    <span style={glowStyles.value}>
+                      {Math.round((algorithms.sequential.parameters.legato ?? 0) * 100)}%
+                    </span>
+                  </div>
+                  
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Scale:</span>
                     <select
+                      data-learn="algorithm.sequential.scale"
                       value={algorithms.sequential.parameters.scale}
                       onChange={(e) => handleParameterChange('sequential', 'scale', e.target.value)}
                       style={{
@@ -961,6 +1124,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Accent Pattern:</span>
                     <select
+                      data-learn="algorithm.sequential.accentPattern"
                       value={algorithms.sequential.parameters.accentPattern}
                       onChange={(e) => handleParameterChange('sequential', 'accentPattern', e.target.value)}
                       style={{
@@ -987,6 +1151,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Pattern Type:</span>
                     <select
+                      data-learn="algorithm.markov.patternType"
                       value={algorithms.markov.parameters.patternType}
                       onChange={(e) => handleParameterChange('markov', 'patternType', e.target.value)}
                       style={{
@@ -1006,6 +1171,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Learning Pattern:</span>
                     <select
+                      data-learn="algorithm.markov.learningPattern"
                       value={algorithms.markov.parameters.learningPattern}
                       onChange={(e) => handleParameterChange('markov', 'learningPattern', e.target.value)}
                       style={{
@@ -1029,6 +1195,7 @@ const ControlPanel = () => {
                       type="range"
                       min="1"
                       max="3"
+                      data-learn="algorithm.markov.order"
                       value={algorithms.markov.parameters.order}
                       onChange={(e) => handleParameterChange('markov', 'order', parseInt(e.target.value, 10))}
                       style={glowStyles.slider}
@@ -1043,6 +1210,7 @@ const ControlPanel = () => {
                       min="0"
                       max="1"
                       step="0.01"
+                      data-learn="algorithm.markov.randomness"
                       value={algorithms.markov.parameters.randomness}
                       onChange={(e) => handleParameterChange('markov', 'randomness', parseFloat(e.target.value))}
                       style={glowStyles.slider}
@@ -1059,6 +1227,7 @@ const ControlPanel = () => {
                       min="0.1"
                       max="1"
                       step="0.05"
+                      data-learn="algorithm.markov.density"
                       value={algorithms.markov.parameters.density}
                       onChange={(e) => handleParameterChange('markov', 'density', parseFloat(e.target.value))}
                       style={glowStyles.slider}
@@ -1071,6 +1240,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Scale:</span>
                     <select
+                      data-learn="algorithm.markov.scale"
                       value={algorithms.markov.parameters.scale}
                       onChange={(e) => handleParameterChange('markov', 'scale', e.target.value)}
                       style={{
@@ -1098,6 +1268,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Waveform:</span>
                     <select
+                      data-learn="algorithm.waveshaper.waveform"
                       value={algorithms.waveshaper.parameters.waveform}
                       onChange={(e) => handleParameterChange('waveshaper', 'waveform', e.target.value)}
                       style={{
@@ -1123,6 +1294,7 @@ const ControlPanel = () => {
                       min="1"
                       max="10"
                       step="1"
+                      data-learn="algorithm.waveshaper.harmonics"
                       value={algorithms.waveshaper.parameters.harmonics}
                       onChange={(e) => handleParameterChange('waveshaper', 'harmonics', parseInt(e.target.value))}
                       style={glowStyles.slider}
@@ -1139,6 +1311,7 @@ const ControlPanel = () => {
                       min="0"
                       max="1"
                       step="0.01"
+                      data-learn="algorithm.waveshaper.folding"
                       value={algorithms.waveshaper.parameters.folding}
                       onChange={(e) => handleParameterChange('waveshaper', 'folding', parseFloat(e.target.value))}
                       style={glowStyles.slider}
@@ -1169,6 +1342,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Progression:</span>
                     <select
+                      data-learn="algorithm.ruleBasedHarmony.progression"
                       value={algorithms.ruleBasedHarmony.parameters.progression}
                       onChange={(e) => handleParameterChange('ruleBasedHarmony', 'progression', e.target.value)}
                       style={{
@@ -1192,6 +1366,7 @@ const ControlPanel = () => {
                   <div style={glowStyles.controlRow}>
                     <span style={glowStyles.label}>Key:</span>
                     <select
+                      data-learn="algorithm.ruleBasedHarmony.keycenter"
                       value={algorithms.ruleBasedHarmony.parameters.keycenter}
                       onChange={(e) => handleParameterChange('ruleBasedHarmony', 'keycenter', e.target.value)}
                       style={{
@@ -1216,6 +1391,7 @@ const ControlPanel = () => {
                     
                     <span style={{...glowStyles.label, marginLeft: '15px'}}>Voicing:</span>
                     <select
+                      data-learn="algorithm.ruleBasedHarmony.voicing"
                       value={algorithms.ruleBasedHarmony.parameters.voicing}
                       onChange={(e) => handleParameterChange('ruleBasedHarmony', 'voicing', e.target.value)}
                       style={{
@@ -1237,6 +1413,30 @@ const ControlPanel = () => {
               )}
             </div>
           </div>
+
+          {/* Groove Controls */}
+          <GroovePanel />
+
+          {/* Output Devices */}
+          <DevicePanel />
+
+          {/* Track Controls */}
+          <TrackPanel />
+
+          {/* MIDI Clock Output */}
+          <ClockPanel />
+
+          {/* Performance Recorder */}
+          <RecorderPanel />
+
+          {/* Session Save/Load */}
+          <SessionPanel />
+
+          {/* MIDI Learn */}
+          <MidiLearnPanel />
+
+          {/* MIDI Monitor */}
+          <MidiMonitorPanel />
         </div>
         
         {/* Right Column */}
@@ -1256,6 +1456,7 @@ const ControlPanel = () => {
             <div style={glowStyles.controlRow}>
               <span style={glowStyles.label}>Mode:</span>
               <select 
+                data-learn="visualizer.visualizationMode"
                 value={visualizationMode} 
                 onChange={handleVisualizationModeChange}
                 style={{
@@ -1275,6 +1476,7 @@ const ControlPanel = () => {
               
               <span style={{...glowStyles.label, marginLeft: '15px'}}>Colors:</span>
               <select 
+                data-learn="visualizer.colorScheme"
                 value={colorScheme} 
                 onChange={handleColorSchemeChange}
                 style={{
@@ -1301,6 +1503,7 @@ const ControlPanel = () => {
                 min="0.5"
                 max="2"
                 step="0.1"
+                data-learn="visualizer.noteSize"
                 value={noteSize}
                 onChange={(e) => dispatch(setNoteSize(parseFloat(e.target.value)))}
                 style={glowStyles.slider}
@@ -1357,6 +1560,7 @@ const ControlPanel = () => {
             <div style={glowStyles.controlRow}>
               <span style={glowStyles.label}>Performance:</span>
               <select 
+                data-learn="visualizer.renderQuality"
                 value={renderQuality}
                 onChange={(e) => dispatch(setRenderQuality(e.target.value))}
                 style={{
@@ -1583,23 +1787,22 @@ const ControlPanel = () => {
                         type="range"
                         min="0"
                         max="127"
-                        defaultValue="64"
+                        value={synthParameters.FEEDBACK}
                         onChange={(e) => {
                           const feedbackValue = parseInt(e.target.value, 10);
                           
                           // Debug logs
                           console.log(`Setting Feedback to: ${feedbackValue} using CC: ${CC.FEEDBACK}`);
                           
-                          if (midiConnected && midiOutput) {
-                            // Send feedback value
-                            handleMegaFMParamChange(CC.FEEDBACK, feedbackValue);
-                          } else {
+                          // Send feedback value
+                          handleMegaFMParamChange(CC.FEEDBACK, feedbackValue);
+                          if (!midiConnected || !midiOutput) {
                             console.warn("MIDI not connected, cannot change feedback");
                           }
                         }}
                         style={{...glowStyles.slider, flex: '1'}}
                       />
-                      <span style={glowStyles.value}>{Math.round((64/127) * 100)}%</span>
+                      <span style={glowStyles.value}>{Math.round((synthParameters.FEEDBACK/127) * 100)}%</span>
                     </div>
                     
                     <div style={glowStyles.controlRow}>
@@ -1608,24 +1811,22 @@ const ControlPanel = () => {
                         type="range"
                         min="0"
                         max="127"
-                        defaultValue="20"
+                        value={synthParameters.FAT}
                         onChange={(e) => {
                           const fatValue = parseInt(e.target.value, 10);
                           
                           // Debug logs
                           console.log(`Setting FAT to: ${fatValue} using CC: ${CC.FAT}`);
                           
-                          if (midiConnected && midiOutput) {
-                            // Send FAT value and update local state
-                            handleMegaFMParamChange(CC.FAT, fatValue);
-                            setFatValue(fatValue); // Update state for the voicing tab
-                          } else {
+                          // Send FAT value (the voicing tab reads it from the synth state)
+                          handleMegaFMParamChange(CC.FAT, fatValue);
+                          if (!midiConnected || !midiOutput) {
                             console.warn("MIDI not connected, cannot change FAT parameter");
                           }
                         }}
                         style={{...glowStyles.slider, flex: '1'}}
                       />
-                      <span style={glowStyles.value}>{Math.round((20/127) * 100)}%</span>
+                      <span style={glowStyles.value}>{Math.round((synthParameters.FAT/127) * 100)}%</span>
                     </div>
                     
                     <div style={glowStyles.controlRow}>
@@ -1736,11 +1937,11 @@ const ControlPanel = () => {
                         type="range"
                         min="0"
                         max="127"
-                        defaultValue="40"
+                        value={synthParameters.VIBRATO_RATE}
                         onChange={(e) => handleMegaFMParamChange(CC.VIBRATO_RATE, parseInt(e.target.value, 10))}
                         style={{...glowStyles.slider, flex: '1'}}
                       />
-                      <span style={glowStyles.value}>{Math.round((40/127) * 100)}%</span>
+                      <span style={glowStyles.value}>{Math.round((synthParameters.VIBRATO_RATE/127) * 100)}%</span>
                     </div>
                     
                     <div style={glowStyles.controlRow}>
@@ -1749,11 +1950,11 @@ const ControlPanel = () => {
                         type="range"
                         min="0"
                         max="127"
-                        defaultValue="20"
+                        value={synthParameters.VIBRATO_DEPTH}
                         onChange={(e) => handleMegaFMParamChange(CC.VIBRATO_DEPTH, parseInt(e.target.value, 10))}
                         style={{...glowStyles.slider, flex: '1'}}
                       />
-                      <span style={glowStyles.value}>{Math.round((20/127) * 100)}%</span>
+                      <span style={glowStyles.value}>{Math.round((synthParameters.VIBRATO_DEPTH/127) * 100)}%</span>
                     </div>
                     
                     {/* Algorithm Visualization */}
@@ -1930,7 +2131,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="100"
+                          value={operatorParameter('TOTAL_LEVEL')}
                           onChange={(e) => {
                             const cc = activeOperator === 1 ? CC.OP1_TOTAL_LEVEL :
                                       activeOperator === 2 ? CC.OP2_TOTAL_LEVEL :
@@ -1940,7 +2141,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>{Math.round((100/127) * 100)}%</span>
+                        <span style={glowStyles.value}>{Math.round((operatorParameter('TOTAL_LEVEL')/127) * 100)}%</span>
                       </div>
                       
                       <div style={glowStyles.controlRow}>
@@ -1953,7 +2154,7 @@ const ControlPanel = () => {
                                       CC.OP4_MULTIPLIER;
                             handleMegaFMParamChange(cc, parseInt(e.target.value, 10));
                           }}
-                          defaultValue="1"
+                          value={operatorParameter('MULTIPLIER')}
                           style={{
                             background: 'rgba(30, 30, 50, 0.8)',
                             color: 'white',
@@ -1978,7 +2179,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="64"
+                          value={operatorParameter('DETUNE')}
                           onChange={(e) => {
                             const cc = activeOperator === 1 ? CC.OP1_DETUNE :
                                       activeOperator === 2 ? CC.OP2_DETUNE :
@@ -1988,7 +2189,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>0</span>
+                        <span style={glowStyles.value}>{operatorParameter('DETUNE') - 64}</span>
                       </div>
                       
                       <div style={{
@@ -2026,7 +2227,7 @@ const ControlPanel = () => {
                             min="0"
                             max="3"
                             step="1"
-                            defaultValue="0"
+                            value={operatorParameter('RATE_SCALING')}
                             onChange={(e) => {
                               const value = parseInt(e.target.value, 10);
                               const cc = activeOperator === 1 ? CC.OP1_RATE_SCALING :
@@ -2038,7 +2239,7 @@ const ControlPanel = () => {
                             }}
                             style={{...glowStyles.slider, flex: '1'}}
                           />
-                          <span style={{...glowStyles.value, minWidth: '30px'}}>0</span>
+                          <span style={{...glowStyles.value, minWidth: '30px'}}>{operatorParameter('RATE_SCALING')}</span>
                         </div>
                         
                         <div style={{
@@ -2229,7 +2430,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="20"
+                          value={operatorParameter('ATTACK_RATE')}
                           onChange={(e) => {
                             const value = parseInt(e.target.value, 10);
                             const cc = activeOperator === 1 ? CC.OP1_ATTACK_RATE :
@@ -2242,7 +2443,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>20</span>
+                        <span style={glowStyles.value}>{operatorParameter('ATTACK_RATE')}</span>
                       </div>
                       
                       <div style={glowStyles.controlRow}>
@@ -2251,7 +2452,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="80"
+                          value={operatorParameter('DECAY_RATE')}
                           onChange={(e) => {
                             const cc = activeOperator === 1 ? CC.OP1_DECAY_RATE :
                                       activeOperator === 2 ? CC.OP2_DECAY_RATE :
@@ -2262,7 +2463,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>80</span>
+                        <span style={glowStyles.value}>{operatorParameter('DECAY_RATE')}</span>
                       </div>
                       
                       <div style={glowStyles.controlRow}>
@@ -2271,7 +2472,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="60"
+                          value={operatorParameter('SUSTAIN_LEVEL')}
                           onChange={(e) => {
                             const cc = activeOperator === 1 ? CC.OP1_SUSTAIN_LEVEL :
                                       activeOperator === 2 ? CC.OP2_SUSTAIN_LEVEL :
@@ -2282,7 +2483,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>60</span>
+                        <span style={glowStyles.value}>{operatorParameter('SUSTAIN_LEVEL')}</span>
                       </div>
                       
                       <div style={glowStyles.controlRow}>
@@ -2291,7 +2492,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="40"
+                          value={operatorParameter('SUSTAIN_RATE')}
                           onChange={(e) => {
                             const cc = activeOperator === 1 ? CC.OP1_SUSTAIN_RATE :
                                       activeOperator === 2 ? CC.OP2_SUSTAIN_RATE :
@@ -2302,7 +2503,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>40</span>
+                        <span style={glowStyles.value}>{operatorParameter('SUSTAIN_RATE')}</span>
                       </div>
                       
                       <div style={glowStyles.controlRow}>
@@ -2311,7 +2512,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="40"
+                          value={operatorParameter('RELEASE_RATE')}
                           onChange={(e) => {
                             const cc = activeOperator === 1 ? CC.OP1_RELEASE_RATE :
                                       activeOperator === 2 ? CC.OP2_RELEASE_RATE :
@@ -2322,7 +2523,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>40</span>
+                        <span style={glowStyles.value}>{operatorParameter('RELEASE_RATE')}</span>
                       </div>
                       
                       {/* Envelope looping controls - Implementation according to MEGAfm Manual */}
@@ -2942,7 +3143,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue={50}
+                          value={lfoParameter('RATE')}
                           onChange={(e) => {
                             const cc = activeLFO === 1 ? CC.LFO1_RATE :
                                       activeLFO === 2 ? CC.LFO2_RATE :
@@ -2959,7 +3160,7 @@ const ControlPanel = () => {
                                    (activeLFO === 3 && lfoWaveform === 'aftertouch') ? 0.5 : 1
                         }}>
                           {(activeLFO === 1 && lfoWaveform === 'velocity') ? 'Ve' : 
-                           (activeLFO === 3 && lfoWaveform === 'aftertouch') ? 'At' : '50'}
+                           (activeLFO === 3 && lfoWaveform === 'aftertouch') ? 'At' : lfoParameter('RATE')}
                         </span>
                       </div>
                       
@@ -2969,24 +3170,19 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue={70}
+                          value={lfoParameter('DEPTH')}
                           onChange={(e) => {
                             const value = parseInt(e.target.value, 10);
                             const cc = activeLFO === 1 ? CC.LFO1_DEPTH :
                                       activeLFO === 2 ? CC.LFO2_DEPTH :
                                       CC.LFO3_DEPTH;
+                            // A depth above 63 puts LFO1 in velocity mode and LFO3 in
+                            // aftertouch mode (see getLfoWaveform)
                             handleMegaFMParamChange(cc, value);
-                            
-                            // Check for special modes when depth > 50%
-                            if (activeLFO === 1 && value > 63) {
-                              setLFOWaveform('velocity');
-                            } else if (activeLFO === 3 && value > 63) {
-                              setLFOWaveform('aftertouch');
-                            }
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>70</span>
+                        <span style={glowStyles.value}>{lfoParameter('DEPTH')}</span>
                       </div>
                     </div>
                     
@@ -3867,7 +4063,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="50"
+                          value={lfoParameter('RATE')}
                           onChange={(e) => {
                             const cc = activeLFO === 1 ? CC.LFO1_RATE :
                                       activeLFO === 2 ? CC.LFO2_RATE :
@@ -3876,7 +4072,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>50</span>
+                        <span style={glowStyles.value}>{lfoParameter('RATE')}</span>
                       </div>
                       
                       <div style={glowStyles.controlRow}>
@@ -3885,7 +4081,7 @@ const ControlPanel = () => {
                           type="range"
                           min="0"
                           max="127"
-                          defaultValue="30"
+                          value={lfoParameter('DEPTH')}
                           onChange={(e) => {
                             const cc = activeLFO === 1 ? CC.LFO1_DEPTH :
                                       activeLFO === 2 ? CC.LFO2_DEPTH :
@@ -3894,7 +4090,7 @@ const ControlPanel = () => {
                           }}
                           style={{...glowStyles.slider, flex: '1'}}
                         />
-                        <span style={glowStyles.value}>30</span>
+                        <span style={glowStyles.value}>{lfoParameter('DEPTH')}</span>
                       </div>
                       
                       {/* LFO special modes */}
@@ -4134,8 +4330,6 @@ const ControlPanel = () => {
                       // Fractal algorithm works well with complex FM modulation paths
                       const algorithmNum = 3;
                       handleMegaFMParamChange(CC.ALGORITHM, algorithmNum);
-                      // Set current algorithm display to match what was sent to the hardware
-                      setCurrentFmAlgorithm(`algo${algorithmNum}`);
                       
                       // Apply fractal-appropriate FM settings
                       handleMegaFMParamChange(CC.OP1_MULTIPLIER, Math.floor(Math.random() * 5) + 1);
@@ -4149,13 +4343,11 @@ const ControlPanel = () => {
                       handleMegaFMParamChange(CC.LFO1_DEPTH, 30 + Math.floor(Math.random() * 50));
                       // Set waveform to sine
                       handleMegaFMParamChange(CC.LFO1_WAVEFORM, 0);
-                      setLFOWaveform('sine');
                       
                     } else if (currentAlgorithm === 'cellular') {
                       // Conway's Game of Life works well with percussive timbres
                       const algorithmNum = 6;
                       handleMegaFMParamChange(CC.ALGORITHM, algorithmNum);
-                      setCurrentFmAlgorithm(`algo${algorithmNum}`);
                       
                       // Apply cellular-appropriate FM settings
                       handleMegaFMParamChange(CC.OP1_ATTACK_RATE, 0);
@@ -4169,13 +4361,11 @@ const ControlPanel = () => {
                       handleMegaFMParamChange(CC.LFO2_DEPTH, 40 + Math.floor(Math.random() * 30));
                       // Set waveform to noise
                       handleMegaFMParamChange(CC.LFO2_WAVEFORM, 4 * 25); // 4 = noise
-                      setLFOWaveform('noise');
                       
                     } else if (currentAlgorithm === 'euclidean') {
                       // Rhythmic patterns work well with sharp attacks
                       const algorithmNum = Math.min(8, 5 + Math.floor(Math.random() * 4));
                       handleMegaFMParamChange(CC.ALGORITHM, algorithmNum);
-                      setCurrentFmAlgorithm(`algo${algorithmNum}`);
                       
                       // Apply euclidean-appropriate FM settings
                       handleMegaFMParamChange(CC.OP1_ATTACK_RATE, 0);
@@ -4187,13 +4377,11 @@ const ControlPanel = () => {
                       handleMegaFMParamChange(CC.LFO3_DEPTH, 50 + Math.floor(Math.random() * 40));
                       // Set waveform to square
                       handleMegaFMParamChange(CC.LFO3_WAVEFORM, 3 * 25); // 3 = square
-                      setLFOWaveform('square');
                       
                     } else {
                       // Default to a classic FM bass sound
                       const algorithmNum = 5;
                       handleMegaFMParamChange(CC.ALGORITHM, algorithmNum);
-                      setCurrentFmAlgorithm(`algo${algorithmNum}`);
                       
                       // Apply harmony-appropriate FM settings
                       handleMegaFMParamChange(CC.FEEDBACK, 80);
@@ -4206,7 +4394,6 @@ const ControlPanel = () => {
                       handleMegaFMParamChange(CC.LFO1_DEPTH, 30);
                       // Set waveform to triangle
                       handleMegaFMParamChange(CC.LFO1_WAVEFORM, 1 * 25); // 1 = triangle
-                      setLFOWaveform('triangle');
                     }
                     
                     // Confirmation to the user
@@ -4232,13 +4419,12 @@ const ControlPanel = () => {
                       return;
                     }
                     
-                    // Send all notes off command
-                    sendAllNotesOff(midiOutput);
-                    console.log("Sent All Notes Off command to MEGAfm");
-                    
-                    // Also update UI state if needed
-                    // If you have any state tracking active notes, reset it here
+                    // Note off for every note on every channel, and Reset All
+                    // Controllers, on each port notes were played on
+                    AudioManager.panic();
+                    dispatch(clearNotes());
                   }}
+                  title="Note off for all 128 notes on every channel, then Reset All Controllers"
                   style={{
                     ...glowStyles.button,
                     background: 'linear-gradient(to right, #f44, #f84)',
@@ -4248,7 +4434,7 @@ const ControlPanel = () => {
                     fontWeight: 'bold'
                   }}
                 >
-                  🛑 Panic (All Notes Off)
+                  🛑 Panic
                 </button>
                 
                 <select
@@ -0,0 +1,141 @@
+import React, { useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { addDeviceProfile, setOutputProfile, setVirtualEcho } from '../state/midiSlice';
+import {
+  DEVICE_PROFILES, validateDeviceProfile, normalizeDeviceProfile, matchDeviceProfile, getDeviceProfile
+} from '../midi/deviceProfiles';
+import { glowStyles, selectStyle, sectionTitleStyle } from './panelStyles';
+
+// Turn a profile name into an id that cannot clash with the built-ins
+const toProfileId = (name) => `custom-${name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+// One line summary of what a profile lets tracks play
+const describeProfile = (profile) => {
+  const { channels, noteRange, polyphony, ccMap } = profile;
+  const channelText = channels.length === 16 ? 'Ch 1-16' : `Ch ${channels.join(', ')}`;
+  return `${channelText} · Notes ${noteRange.low}-${noteRange.high} · ${polyphony} voices · ${Object.keys(ccMap).length} CCs`;
+};
+
+/**
+ * MIDI output devices and their profiles
+ * Every output gets the profile its port name matches, or the one picked
+ * here. Tracks routed to an output play within its profile's note range
+ * and polyphony. Profiles can be loaded from JSON files (one profile or a
+ * list of them, see deviceProfiles.js for the fields).
+ *
+ * The virtual loopback (VirtualMidiDevice.js) is listed too, and can echo
+ * what it is sent back out of its input.
+ */
+const DevicePanel = () => {
+  const dispatch = useDispatch();
+  const availableOutputs = useSelector(state => state.midi.availableOutputs);
+  const deviceProfiles = useSelector(state => state.midi.deviceProfiles);
+  const outputProfiles = useSelector(state => state.midi.outputProfiles);
+  const virtualEcho = useSelector(state => state.midi.virtualEcho);
+  const fileInputRef = useRef(null);
+  const [loadMessage, setLoadMessage] = useState(null);
+
+  // Read one or more device profiles from a JSON file
+  const handleLoadProfiles = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const profiles = Array.isArray(parsed) ? parsed : [parsed];
+
+      for (const profile of profiles) {
+        const error = validateDeviceProfile(profile);
+        if (error) {
+          setLoadMessage({ error: true, text: error });
+          return;
+        }
+      }
+
+      profiles.forEach(profile => {
+        dispatch(addDeviceProfile({
+          id: toProfileId(profile.name),
+          profile: normalizeDeviceProfile(profile)
+        }));
+      });
+
+      setLoadMessage({ error: false, text: `Loaded ${profiles.length} device profile${profiles.length > 1 ? 's' : ''}` });
+    } catch (error) {
+      console.error('Failed to load device profile:', error);
+      setLoadMessage({ error: true, text: `Could not read profile file: ${error.message}` });
+    }
+  };
+
+  const profileEntries = [...Object.entries(DEVICE_PROFILES), ...Object.entries(deviceProfiles)];
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={sectionTitleStyle}>
+        Devices
+      </div>
+
+      {(availableOutputs || []).length === 0 && (
+        <div style={glowStyles.label}>No MIDI outputs connected</div>
+      )}
+
+      {(availableOutputs || []).map(device => {
+        const matchedId = matchDeviceProfile(device.name, deviceProfiles);
+        const profile = getDeviceProfile(outputProfiles[device.id] || matchedId, deviceProfiles);
+
+        return (
+          <div key={device.id} style={{ ...glowStyles.controlRow, flexWrap: 'wrap' }}>
+            <span style={{ ...glowStyles.label, minWidth: '130px' }}>{device.name}</span>
+            <select
+              value={outputProfiles[device.id] || ''}
+              onChange={(e) => dispatch(setOutputProfile({ outputId: device.id, profileId: e.target.value || null }))}
+              style={selectStyle}
+              title="Device profile for this output"
+            >
+              <option value="">Auto ({getDeviceProfile(matchedId, deviceProfiles).name})</option>
+              {profileEntries.map(([id, entry]) => (
+                <option key={id} value={id}>{entry.name}</option>
+              ))}
+            </select>
+            <span style={{ ...glowStyles.label, fontSize: '11px' }}>{describeProfile(profile)}</span>
+            {device.virtual && (
+              <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={virtualEcho}
+                  onChange={() => dispatch(setVirtualEcho(!virtualEcho))}
+                  style={{ marginRight: '5px' }}
+                />
+                <span style={glowStyles.label}>Echo to input</span>
+              </label>
+            )}
+          </div>
+        );
+      })}
+
+      <div style={glowStyles.controlRow}>
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          style={{ ...glowStyles.button, padding: '4px 10px', margin: 0 }}
+        >
+          Load profiles...
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleLoadProfiles}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {loadMessage && (
+        <div style={{ ...glowStyles.label, color: loadMessage.error ? '#f88' : '#8f8' }}>
+          {loadMessage.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DevicePanel;
@@ -0,0 +1,131 @@
+import React, { useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setGroove, addGrooveTemplate } from '../state/algorithmSlice';
+import { GROOVE_TEMPLATES, SWING_CONFIG } from '../config/constants';
+import { validateGrooveTemplate } from '../utils/grooveUtils';
+import { glowStyles, selectStyle, sectionTitleStyle } from './panelStyles';
+
+// Turn a template name into an id that cannot clash with the built-ins
+const toTemplateId = (name) => `custom-${name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+/**
+ * Global swing and groove template
+ * Groove templates can be loaded from JSON files:
+ *   { "name": "My Groove", "offsets": [0, 0.05], "accents": [1.2, 0.8] }
+ * (or a list of them). Offsets are fractions of a step, accents are
+ * velocity multipliers. A template written in sixteenths gives
+ * "stepsPerBeat": 4, and is mapped onto the transport's steps.
+ */
+const GroovePanel = () => {
+  const dispatch = useDispatch();
+  const groove = useSelector(state => state.algorithm.groove);
+  const grooveTemplates = useSelector(state => state.algorithm.grooveTemplates);
+  const fileInputRef = useRef(null);
+  const [loadMessage, setLoadMessage] = useState(null);
+
+  // Read one or more groove templates from a JSON file
+  const handleLoadTemplates = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const templates = Array.isArray(parsed) ? parsed : [parsed];
+
+      for (const template of templates) {
+        const error = validateGrooveTemplate(template);
+        if (error) {
+          setLoadMessage({ error: true, text: error });
+          return;
+        }
+      }
+
+      templates.forEach(template => {
+        dispatch(addGrooveTemplate({
+          id: toTemplateId(template.name),
+          template: {
+            name: template.name,
+            offsets: template.offsets || [0],
+            accents: template.accents || [1],
+            ...(template.stepsPerBeat ? { stepsPerBeat: template.stepsPerBeat } : {})
+          }
+        }));
+      });
+
+      dispatch(setGroove({ template: toTemplateId(templates[templates.length - 1].name) }));
+      setLoadMessage({ error: false, text: `Loaded ${templates.length} groove template${templates.length > 1 ? 's' : ''}` });
+    } catch (error) {
+      console.error('Failed to load groove template:', error);
+      setLoadMessage({ error: true, text: `Could not read groove file: ${error.message}` });
+    }
+  };
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={sectionTitleStyle}>
+        Groove
+      </div>
+
+      <div style={glowStyles.controlRow}>
+        <span style={glowStyles.label}>Template:</span>
+        <select
+          value={groove.template}
+          onChange={(e) => dispatch(setGroove({ template: e.target.value }))}
+          style={selectStyle}
+        >
+          <GrooveTemplateOptions customTemplates={grooveTemplates} />
+        </select>
+
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          style={{ ...glowStyles.button, padding: '4px 10px', margin: 0 }}
+        >
+          Load...
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleLoadTemplates}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      <div style={glowStyles.controlRow}>
+        <span style={glowStyles.label}>Swing:</span>
+        <input
+          type="range"
+          min={SWING_CONFIG.MIN}
+          max={SWING_CONFIG.MAX}
+          value={groove.swing}
+          onChange={(e) => dispatch(setGroove({ swing: parseInt(e.target.value, 10) }))}
+          style={{ ...glowStyles.slider, flex: 1 }}
+        />
+        <span style={glowStyles.value}>{groove.swing}%</span>
+      </div>
+
+      {loadMessage && (
+        <div style={{ ...glowStyles.label, color: loadMessage.error ? '#f88' : '#8f8' }}>
+          {loadMessage.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Options for every built-in and loaded groove template
+ */
+export const GrooveTemplateOptions = ({ customTemplates }) => (
+  <>
+    {Object.entries(GROOVE_TEMPLATES).map(([id, template]) => (
+      <option key={id} value={id}>{template.name}</option>
+    ))}
+    {Object.entries(customTemplates || {}).map(([id, template]) => (
+      <option key={id} value={id}>{template.name}</option>
+    ))}
+  </>
+);
+
+export default GroovePanel;
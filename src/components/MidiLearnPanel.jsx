@@ -0,0 +1,126 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setLearnMode, updateMidiMapping, removeMidiMapping } from '../state/midiSlice';
+import { glowStyles, selectStyle, sectionTitleStyle } from './panelStyles';
+
+const rangeInputStyle = {
+  ...selectStyle,
+  width: '56px',
+  padding: '2px 4px'
+};
+
+/**
+ * MIDI Learn
+ * Turn learn mode on, click a parameter, then move a knob or fader on any
+ * MIDI input to bind it. Each binding scales onto its own range and picks up
+ * the current value (soft takeover) or jumps to it.
+ */
+const MidiLearnPanel = () => {
+  const dispatch = useDispatch();
+  const learnMode = useSelector(state => state.midi.learnMode);
+  const learnTarget = useSelector(state => state.midi.learnTarget);
+  const mappings = useSelector(state => state.midi.midiMappings);
+
+  const updateRange = (mapping, key, text) => {
+    const value = parseFloat(text);
+    if (!Number.isFinite(value)) return;
+
+    // Lists scale over option indices, sliders over their own range
+    const min = mapping.options ? 0 : mapping.min;
+    const max = mapping.options ? mapping.options.length - 1 : mapping.max;
+    dispatch(updateMidiMapping({
+      id: mapping.id,
+      changes: { [key]: Math.min(max, Math.max(min, value)) }
+    }));
+  };
+
+  let hint = 'Turn on learn mode and click a parameter, the tempo or a visualizer setting';
+  if (learnMode) {
+    hint = learnTarget
+      ? `Move a control on your MIDI controller to bind it to ${learnTarget.label}`
+      : 'Click the parameter to bind (outlined controls can be learned)';
+  }
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={sectionTitleStyle}>
+        MIDI Learn
+      </div>
+
+      <div style={glowStyles.controlRow}>
+        <button
+          onClick={() => dispatch(setLearnMode(!learnMode))}
+          style={{
+            ...glowStyles.button,
+            margin: 0,
+            ...(learnMode ? glowStyles.activeButton : {})
+          }}
+        >
+          {learnMode ? 'Done' : 'Learn'}
+        </button>
+        <span style={{ ...glowStyles.label, marginLeft: '10px' }}>{hint}</span>
+      </div>
+
+      {mappings.length > 0 && (
+        <table style={{ width: '100%', fontSize: '12px', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ ...glowStyles.label, textAlign: 'left' }}>
+              <th>Parameter</th>
+              <th>Control</th>
+              <th>Low</th>
+              <th>High</th>
+              <th>Takeover</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {mappings.map(mapping => (
+              <tr key={mapping.id}>
+                <td style={glowStyles.value}>{mapping.label}</td>
+                <td style={glowStyles.label} title={mapping.input}>
+                  Ch {mapping.channel} CC {mapping.cc}
+                </td>
+                {['low', 'high'].map(key => (
+                  <td key={key}>
+                    <input
+                      type="number"
+                      value={mapping[key]}
+                      step={mapping.options ? 1 : mapping.step}
+                      onChange={(e) => updateRange(mapping, key, e.target.value)}
+                      title={mapping.options ? 'Option index' : undefined}
+                      style={rangeInputStyle}
+                    />
+                  </td>
+                ))}
+                <td>
+                  <select
+                    value={mapping.takeover}
+                    onChange={(e) => dispatch(updateMidiMapping({
+                      id: mapping.id,
+                      changes: { takeover: e.target.value }
+                    }))}
+                    style={{ ...selectStyle, padding: '2px 4px' }}
+                  >
+                    <option value="pickup">Pickup</option>
+                    <option value="jump">Jump</option>
+                  </select>
+                </td>
+                <td>
+                  <button
+                    onClick={() => dispatch(removeMidiMapping(mapping.id))}
+                    title="Remove this binding"
+                    style={{ ...glowStyles.button, margin: 0, padding: '2px 8px' }}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default MidiLearnPanel;
@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import MidiMonitor, { MONITOR_TYPES, formatMonitorEntry } from '../midi/MidiMonitor';
+import { downloadBlob } from '../utils/downloadUtils';
+import { glowStyles, sectionTitleStyle } from './panelStyles';
+
+// Entries shown in the panel (the export has every entry of the shown types)
+const VISIBLE_ENTRIES = 200;
+
+// Redraw at most this often (ms) while messages stream in
+const REFRESH_INTERVAL = 150;
+
+const logStyle = {
+  height: '180px',
+  overflowY: 'auto',
+  background: '#111',
+  border: '1px solid #333',
+  borderRadius: '4px',
+  padding: '4px 6px',
+  fontFamily: 'monospace',
+  fontSize: '11px',
+  whiteSpace: 'pre',
+  color: '#ccc'
+};
+
+/**
+ * MIDI monitor
+ * Every message in and out of the app with its time, port, channel and
+ * decoded name, to debug hardware without the browser console. Message
+ * types can be hidden, the capture paused and the log saved as text.
+ * Messages are only captured while the monitor is open.
+ */
+const MidiMonitorPanel = () => {
+  const [open, setOpen] = useState(false);
+  const [, setVersion] = useState(0);
+  const logRef = useRef(null);
+
+  // Capture while open, and redraw when the monitor changes, throttled
+  useEffect(() => {
+    if (!open) return;
+
+    MidiMonitor.attach();
+    let timer = null;
+    const unsubscribe = MidiMonitor.subscribe(() => {
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        setVersion(version => version + 1);
+      }, REFRESH_INTERVAL);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+      MidiMonitor.detach();
+    };
+  }, [open]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  });
+
+  const handleExport = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadBlob(MidiMonitor.exportText(), `midi-monitor-${stamp}.txt`, 'text/plain');
+  };
+
+  const shown = MidiMonitor.getEntries();
+  const entries = shown.slice(-VISIBLE_ENTRIES);
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={{ ...sectionTitleStyle, display: 'flex', alignItems: 'center' }}>
+        MIDI Monitor
+        <button
+          onClick={() => setOpen(!open)}
+          style={{ ...glowStyles.button, padding: '2px 8px', margin: '0 0 0 auto', fontSize: '11px' }}
+        >
+          {open ? 'Close' : 'Open'}
+        </button>
+      </div>
+
+      {open && (
+        <>
+          <div style={{ ...glowStyles.controlRow, flexWrap: 'wrap' }}>
+            {Object.entries(MONITOR_TYPES).map(([type, label]) => (
+              <label key={type} style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', marginRight: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={MidiMonitor.types.has(type)}
+                  onChange={(e) => MidiMonitor.setTypeEnabled(type, e.target.checked)}
+                  style={{ marginRight: '4px' }}
+                />
+                <span style={glowStyles.label}>{label}</span>
+              </label>
+            ))}
+          </div>
+
+          <div style={glowStyles.controlRow}>
+            <button
+              onClick={() => MidiMonitor.setPaused(!MidiMonitor.paused)}
+              style={{
+                ...glowStyles.button,
+                padding: '4px 10px',
+                margin: 0,
+                ...(MidiMonitor.paused ? glowStyles.activeButton : {})
+              }}
+            >
+              {MidiMonitor.paused ? 'Resume' : 'Pause'}
+            </button>
+            <button
+              onClick={() => MidiMonitor.clear()}
+              style={{ ...glowStyles.button, padding: '4px 10px', margin: 0 }}
+            >
+              Clear
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={shown.length === 0}
+              style={{ ...glowStyles.button, padding: '4px 10px', margin: 0 }}
+              title="Save the whole log as a text file"
+            >
+              Export
+            </button>
+            <span style={{ ...glowStyles.label, marginLeft: 'auto' }}>
+              {shown.length} of {MidiMonitor.entries.length} messages
+            </span>
+          </div>
+
+          <div ref={logRef} style={logStyle}>
+            {entries.length === 0
+              ? 'No MIDI messages yet'
+              : entries.map((entry, index) => (
+                <div key={index} style={{ color: entry.direction === 'in' ? '#8cf' : '#cfc' }}>
+                  {formatMonitorEntry(entry)}
+                </div>
+              ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MidiMonitorPanel;
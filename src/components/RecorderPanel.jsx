@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setRecording } from '../state/midiSlice';
+import PerformanceRecorder from '../midi/PerformanceRecorder';
+import { downloadMidiFile } from '../midi/midiFileUtils';
+import { glowStyles, sectionTitleStyle } from './panelStyles';
+
+// Format a duration in ms as m:ss
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Live performance recorder
+ * Records the notes of every track plus CC moves and preset changes, and
+ * exports the take as a MIDI file with CC automation lanes.
+ */
+const RecorderPanel = () => {
+  const dispatch = useDispatch();
+  const isRecording = useSelector(state => state.midi.isRecording);
+  const tempo = useSelector(state => state.algorithm.tempo);
+  const [elapsed, setElapsed] = useState(0);
+  const [eventCount, setEventCount] = useState(0);
+
+  // Update the take length while recording
+  useEffect(() => {
+    if (!isRecording) return;
+
+    const timerId = setInterval(() => {
+      setElapsed(performance.now() - PerformanceRecorder.startTime);
+      setEventCount(PerformanceRecorder.events.length);
+    }, 500);
+
+    return () => clearInterval(timerId);
+  }, [isRecording]);
+
+  const toggleRecording = () => {
+    if (isRecording) {
+      PerformanceRecorder.stop();
+      setElapsed(PerformanceRecorder.stopTime - PerformanceRecorder.startTime);
+      setEventCount(PerformanceRecorder.events.length);
+      dispatch(setRecording(false));
+    } else {
+      PerformanceRecorder.start(tempo);
+      setElapsed(0);
+      setEventCount(0);
+      dispatch(setRecording(true));
+    }
+  };
+
+  const handleExport = () => {
+    const bytes = PerformanceRecorder.createMidiFile();
+    if (!bytes) return;
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadMidiFile(bytes, `megafm-take-${stamp}.mid`);
+  };
+
+  const canExport = !isRecording && eventCount > 0;
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={sectionTitleStyle}>
+        Recorder
+      </div>
+
+      <div style={glowStyles.controlRow}>
+        <button
+          onClick={toggleRecording}
+          style={{
+            ...glowStyles.button,
+            margin: 0,
+            ...(isRecording ? {
+              background: 'linear-gradient(to right, #f00, #f50)',
+              boxShadow: '0 0 15px rgba(255, 50, 50, 0.7)'
+            } : {})
+          }}
+        >
+          {isRecording ? '■ Stop Recording' : '● Record'}
+        </button>
+
+        <button
+          onClick={handleExport}
+          disabled={!canExport}
+          style={{ ...glowStyles.button, margin: 0, opacity: canExport ? 1 : 0.5 }}
+        >
+          ⬇ Export Take
+        </button>
+
+        <span style={glowStyles.value}>{formatDuration(elapsed)}</span>
+        <span style={glowStyles.label}>{eventCount} events</span>
+      </div>
+    </div>
+  );
+};
+
+export default RecorderPanel;
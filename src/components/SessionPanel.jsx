@@ -0,0 +1,116 @@
+import React, { useRef, useState } from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { loadAlgorithmSession } from '../state/algorithmSlice';
+import { loadVisualizerSession } from '../state/visualizerSlice';
+import { loadSynthSession } from '../state/synthSlice';
+import { loadMidiMappings, loadDeviceProfiles } from '../state/midiSlice';
+import { sendSynthPatch } from '../midi/midiUtils';
+import { createSession, parseSession, downloadSession } from '../utils/sessionUtils';
+import { createShareLink } from '../utils/shareUtils';
+import { glowStyles, sectionTitleStyle } from './panelStyles';
+
+/**
+ * Save and load the whole session as a JSON file, or share the current
+ * pattern as a link
+ * Loading a session also sends its patch to the MegaFM when connected.
+ */
+const SessionPanel = () => {
+  const dispatch = useDispatch();
+  const store = useStore();
+  const midiOutput = useSelector(state => state.midi.output);
+  const midiConnected = useSelector(state => state.midi.connected);
+  const fileInputRef = useRef(null);
+  const [loadMessage, setLoadMessage] = useState(null);
+
+  const handleSave = () => {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadSession(createSession(store.getState()), `megafm-session-${stamp}.json`);
+  };
+
+  // Put the current pattern in the address bar and on the clipboard
+  const handleShare = async () => {
+    try {
+      const link = await createShareLink(store.getState());
+      window.history.replaceState(null, '', link);
+      await navigator.clipboard.writeText(link);
+      setLoadMessage({ error: false, text: 'Share link copied to the clipboard' });
+    } catch (error) {
+      console.error('Failed to create share link:', error);
+      setLoadMessage({ error: true, text: `Could not copy the link (it is in the address bar): ${error.message}` });
+    }
+  };
+
+  const handleLoad = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const session = parseSession(await file.text());
+
+      dispatch(loadAlgorithmSession(session.algorithm));
+      dispatch(loadVisualizerSession(session.visualizer));
+      dispatch(loadSynthSession(session.synth));
+      dispatch(loadMidiMappings(session.midi.mappings || []));
+      dispatch(loadDeviceProfiles({
+        profiles: session.midi.deviceProfiles,
+        outputProfiles: session.midi.outputProfiles
+      }));
+
+      if (midiConnected && midiOutput) {
+        sendSynthPatch(midiOutput, store.getState().synth);
+      }
+
+      setLoadMessage({ error: false, text: `Loaded ${file.name}` });
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      setLoadMessage({ error: true, text: `Could not load session: ${error.message}` });
+    }
+  };
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={sectionTitleStyle}>
+        Session
+      </div>
+
+      <div style={glowStyles.controlRow}>
+        <button
+          onClick={handleSave}
+          style={{ ...glowStyles.button, margin: 0 }}
+        >
+          ⬇ Save Session
+        </button>
+
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          style={{ ...glowStyles.button, margin: 0 }}
+        >
+          Load...
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleLoad}
+          style={{ display: 'none' }}
+        />
+
+        <button
+          onClick={handleShare}
+          style={{ ...glowStyles.button, margin: 0 }}
+        >
+          🔗 Copy Link
+        </button>
+      </div>
+
+      {loadMessage && (
+        <div style={{ ...glowStyles.label, color: loadMessage.error ? '#f88' : '#8f8' }}>
+          {loadMessage.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionPanel;
@@ -0,0 +1,218 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toggleAlgorithm, setMultiTrack, updateTrack } from '../state/algorithmSlice';
+import { SWING_CONFIG } from '../config/constants';
+import { glowStyles, selectStyle, sectionTitleStyle } from './panelStyles';
+import { GrooveTemplateOptions } from './GroovePanel';
+import { createSequenceMidiFile } from '../algorithms/sequenceExport';
+import { downloadMidiFile } from '../midi/midiFileUtils';
+import { getDeviceProfile, getOutputProfileId } from '../midi/deviceProfiles';
+
+// Short display names for the track list
+const TRACK_LABELS = {
+  fractal: '🌀 Fractal',
+  euclidean: '⚙️ Euclidean',
+  cellular: '🧬 Cellular',
+  markov: '🎲 Markov',
+  sequential: '📊 Sequential',
+  waveshaper: '〰️ Waveshaper',
+  ruleBasedHarmony: '🎹 Harmony'
+};
+
+/**
+ * Track setup for multi-track playback
+ * Each enabled algorithm runs as its own track with a channel, output,
+ * mute/solo and loop length, all driven by the shared transport. The
+ * channels offered are those of the output's device profile.
+ */
+const TrackPanel = () => {
+  const dispatch = useDispatch();
+  const algorithms = useSelector(state => state.algorithm.algorithms);
+  const tracks = useSelector(state => state.algorithm.tracks);
+  const multiTrack = useSelector(state => state.algorithm.multiTrack);
+  const availableOutputs = useSelector(state => state.midi.availableOutputs);
+  const defaultOutput = useSelector(state => state.midi.output);
+  const deviceProfiles = useSelector(state => state.midi.deviceProfiles);
+  const outputProfiles = useSelector(state => state.midi.outputProfiles);
+  const globalGroove = useSelector(state => state.algorithm.groove);
+  const grooveTemplates = useSelector(state => state.algorithm.grooveTemplates);
+  const algorithmState = useSelector(state => state.algorithm);
+
+  const handleTrackChange = (algorithm, changes) => {
+    dispatch(updateTrack({ algorithm, changes }));
+  };
+
+  // Device profile of an output (the default output when no id is given)
+  const getProfile = (outputId) => {
+    const device = outputId ? (availableOutputs || []).find(output => output.id === outputId) : defaultOutput;
+    return getDeviceProfile(getOutputProfileId(device, { deviceProfiles, outputProfiles }), deviceProfiles);
+  };
+
+  // A track moved to another device lands on a channel that device listens on
+  const handleTrackOutputChange = (algorithm, track, outputId) => {
+    const { channels } = getProfile(outputId);
+    const channel = channels.includes(track.channel) ? track.channel : channels[0];
+    handleTrackChange(algorithm, { outputId, channel });
+  };
+
+  // An empty template follows the global groove
+  const handleTrackGrooveChange = (algorithm, track, changes) => {
+    if (changes.template === '') {
+      handleTrackChange(algorithm, { groove: null });
+      return;
+    }
+
+    const current = track.groove || globalGroove;
+    handleTrackChange(algorithm, { groove: { ...current, ...changes } });
+  };
+
+  // Render the playing tracks into a .mid file
+  const handleExportMidi = () => {
+    try {
+      // Each track is folded into the note range of the device it plays on
+      const profiles = Object.fromEntries(
+        Object.entries(algorithmState.tracks).map(([id, track]) => [id, getProfile(track.outputId)])
+      );
+      const bytes = createSequenceMidiFile(algorithmState, profiles);
+      const name = algorithmState.multiTrack ? 'tracks' : algorithmState.currentAlgorithm;
+      downloadMidiFile(bytes, `megafm-${name}-${algorithmState.seed}.mid`);
+    } catch (error) {
+      console.error('Failed to export MIDI file:', error);
+    }
+  };
+
+  const toggleButtonStyle = (active, color) => ({
+    ...glowStyles.button,
+    padding: '4px 8px',
+    margin: 0,
+    minWidth: '28px',
+    ...(active ? { background: color, boxShadow: `0 0 10px ${color}` } : { background: '#333', boxShadow: 'none' })
+  });
+
+  return (
+    <div style={glowStyles.controlGroup}>
+      <div style={sectionTitleStyle}>
+        Tracks
+      </div>
+
+      <div style={glowStyles.controlRow}>
+        <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={multiTrack}
+            onChange={() => dispatch(setMultiTrack(!multiTrack))}
+            style={{ marginRight: '5px' }}
+          />
+          <span style={glowStyles.label}>Multi-track (play all enabled algorithms)</span>
+        </label>
+
+        <button
+          onClick={handleExportMidi}
+          style={{ ...glowStyles.button, padding: '4px 10px', margin: '0 0 0 auto' }}
+          title="Export the current pattern (or all playing tracks) as a Standard MIDI File"
+        >
+          ⬇ Export MIDI
+        </button>
+      </div>
+
+      {multiTrack && Object.keys(algorithms).map(algorithm => {
+        const track = tracks[algorithm];
+        if (!track) return null;
+
+        // The track's channel stays listed even when its device does not use it
+        const { channels } = getProfile(track.outputId);
+        const channelOptions = channels.includes(track.channel)
+          ? channels
+          : [...channels, track.channel].sort((a, b) => a - b);
+
+        return (
+          <div key={algorithm} style={{ ...glowStyles.controlRow, opacity: algorithms[algorithm].enabled ? 1 : 0.5 }}>
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', minWidth: '130px' }}>
+              <input
+                type="checkbox"
+                checked={algorithms[algorithm].enabled}
+                onChange={() => dispatch(toggleAlgorithm(algorithm))}
+                style={{ marginRight: '5px' }}
+              />
+              <span style={glowStyles.label}>{TRACK_LABELS[algorithm] || algorithm}</span>
+            </label>
+
+            <span style={glowStyles.label}>Ch:</span>
+            <select
+              value={track.channel}
+              onChange={(e) => handleTrackChange(algorithm, { channel: parseInt(e.target.value, 10) })}
+              style={selectStyle}
+            >
+              {channelOptions.map(channel => (
+                <option key={channel} value={channel}>{channel}</option>
+              ))}
+            </select>
+
+            <select
+              value={track.outputId || ''}
+              onChange={(e) => handleTrackOutputChange(algorithm, track, e.target.value || null)}
+              style={{ ...selectStyle, maxWidth: '140px' }}
+            >
+              <option value="">Default output</option>
+              {(availableOutputs || []).map(device => (
+                <option key={device.id} value={device.id}>
+                  {device.name} ({getProfile(device.id).name})
+                </option>
+              ))}
+            </select>
+
+            <span style={glowStyles.label}>Loop:</span>
+            <input
+              type="number"
+              min="0"
+              max="128"
+              value={track.loopLength}
+              title="Loop length in steps (0 = sequence length)"
+              onChange={(e) => handleTrackChange(algorithm, { loopLength: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              style={{ ...selectStyle, width: '50px' }}
+            />
+
+            <select
+              value={track.groove ? track.groove.template : ''}
+              onChange={(e) => handleTrackGrooveChange(algorithm, track, { template: e.target.value })}
+              style={selectStyle}
+              title="Groove template for this track"
+            >
+              <option value="">Global groove</option>
+              <GrooveTemplateOptions customTemplates={grooveTemplates} />
+            </select>
+
+            {track.groove && (
+              <input
+                type="number"
+                min={SWING_CONFIG.MIN}
+                max={SWING_CONFIG.MAX}
+                value={track.groove.swing}
+                title="Swing for this track (%)"
+                onChange={(e) => handleTrackGrooveChange(algorithm, track, { swing: parseInt(e.target.value, 10) || SWING_CONFIG.DEFAULT })}
+                style={{ ...selectStyle, width: '50px' }}
+              />
+            )}
+
+            <button
+              onClick={() => handleTrackChange(algorithm, { muted: !track.muted })}
+              style={toggleButtonStyle(track.muted, '#c33')}
+              title="Mute"
+            >
+              M
+            </button>
+            <button
+              onClick={() => handleTrackChange(algorithm, { solo: !track.solo })}
+              style={toggleButtonStyle(track.solo, '#cc3')}
+              title="Solo"
+            >
+              S
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TrackPanel;
@@ -0,0 +1,73 @@
+/**
+ * Shared styles for the control panels
+ */
+
+// Add reactive styling with glow effects
+export const glowStyles = {
+  button: {
+    background: 'linear-gradient(to right, #4a00e0, #8e2de2)',
+    color: 'white',
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontWeight: 'bold',
+    boxShadow: '0 0 10px rgba(142, 45, 226, 0.5)',
+    transition: 'all 0.3s ease',
+    margin: '5px'
+  },
+  activeButton: {
+    background: 'linear-gradient(to right, #8e2de2, #4a00e0)',
+    boxShadow: '0 0 15px rgba(142, 45, 226, 0.8)',
+  },
+  slider: {
+    width: '100%',
+    accentColor: '#8e2de2',
+    cursor: 'pointer'
+  },
+  controlGroup: {
+    background: 'rgba(20, 20, 30, 0.8)',
+    borderRadius: '8px',
+    padding: '10px 15px',
+    margin: '5px 0',
+    boxShadow: '0 0 10px rgba(0, 0, 0, 0.3)',
+    border: '1px solid rgba(100, 100, 255, 0.2)',
+  },
+  controlRow: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '10px',
+    margin: '8px 0',
+  },
+  label: {
+    fontSize: '14px',
+    fontWeight: 'bold',
+    color: '#bbb',
+  },
+  value: {
+    fontSize: '14px',
+    fontWeight: 'bold',
+    color: '#fff',
+    minWidth: '40px',
+    textAlign: 'center',
+  }
+};
+
+// Dropdown styling shared by the panels
+export const selectStyle = {
+  background: 'rgba(30, 30, 50, 0.8)',
+  color: 'white',
+  border: '1px solid rgba(100, 100, 255, 0.3)',
+  borderRadius: '4px',
+  padding: '5px 10px'
+};
+
+// Heading shown at the top of each control group
+export const sectionTitleStyle = {
+  fontSize: '16px',
+  fontWeight: 'bold',
+  marginBottom: '10px',
+  color: '#aaf',
+  textShadow: '0 0 5px rgba(100, 100, 255, 0.5)',
+};
@@ -94,6 +94,63 @@ export const ALGORITHM_CONFIG = {
   DEFAULT_STEPS: 16
 };
 
+// Transport Configuration
+export const TRANSPORT_CONFIG = {
+  // Lookahead scheduling
+  LOOKAHEAD_MS: 200,     // How far ahead of the playhead notes are queued
+  TICK_INTERVAL_MS: 25,  // How often the scheduler wakes up to fill the lookahead window
+  START_DELAY_MS: 50,    // Offset before the first step so it is not scheduled in the past
+
+  // Grid
+  STEPS_PER_BEAT: 1,     // noteInterval is a quarter note, so one step per beat
+  BEATS_PER_BAR: 4,
+  POSITION_THROTTLE_MS: 100, // Minimum time between playback position updates in Redux (bar starts always go out)
+
+  // External MIDI clock
+  CLOCK_PPQN: 24,            // MIDI clock pulses per quarter note
+  CLOCK_TEMPO_WINDOW: 24,    // Clock pulses averaged when measuring the tempo
+  CLOCK_MAX_GAP_MS: 250,     // Longer gaps between pulses restart the tempo measurement
+  CLOCK_SYNC_SMOOTHING: 0.5  // Share of the measured drift corrected on each step
+};
+
+// Groove Templates
+// offsets: per-step timing shift as a fraction of a step (positive = late)
+// accents: per-step velocity multipliers
+// stepsPerBeat: optional resolution the template is written in (defaults to
+// TRANSPORT_CONFIG.STEPS_PER_BEAT); it is mapped onto the transport's steps
+// Both lists repeat over their own length. The swing amount is applied on
+// top of the template.
+export const GROOVE_TEMPLATES = {
+  straight: {
+    name: 'Straight',
+    offsets: [0],
+    accents: [1]
+  },
+  shuffle: {
+    name: 'Shuffle',
+    offsets: [0, 1 / 3],
+    accents: [1.1, 0.8]
+  },
+  laidBack: {
+    name: 'Laid Back',
+    offsets: [0, 0.06, 0.02, 0.1],
+    accents: [1.15, 0.85, 1, 0.8]
+  },
+  push: {
+    name: 'Push',
+    offsets: [0, -0.04, 0, -0.08],
+    accents: [1.1, 0.9, 1.05, 0.95]
+  }
+};
+
+// MPC-style swing: position of every second step within a pair of steps, in percent
+// (50 = straight, 66 = triplet feel, 75 = dotted)
+export const SWING_CONFIG = {
+  MIN: 50,
+  MAX: 75,
+  DEFAULT: 50
+};
+
 // Musical Scale Configuration
 export const SCALES = {
   major: [0, 2, 4, 5, 7, 9, 11],
@@ -115,7 +172,16 @@ export const MIDI_CONFIG = {
   A440: 69,
 
   // Note names
-  NOTE_NAMES: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+  NOTE_NAMES: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+
+  // Outbound CC rate per port (see MidiOutputQueue): about a third of the
+  // DIN bandwidth, leaving the rest for notes
+  CC_RATE_LIMIT: 300,  // Messages per second
+  CC_BURST: 8,         // Messages sent back to back before the rate applies
+
+  // Note offs per second a panic sends (see sendPanic): about the DIN
+  // bandwidth, so the 2048 note offs take two seconds
+  PANIC_RATE: 1000
 };
 
 // FM Synthesis Algorithms
@@ -162,6 +228,9 @@ export default {
   VR_CONFIG,
   VISUAL_CONFIG,
   ALGORITHM_CONFIG,
+  TRANSPORT_CONFIG,
+  GROOVE_TEMPLATES,
+  SWING_CONFIG,
   SCALES,
   MIDI_CONFIG,
   FM_ALGORITHMS,
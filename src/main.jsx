@@ -2,12 +2,31 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { Provider } from 'react-redux';
 import { store } from './state/store';
+import { loadAlgorithmSession } from './state/algorithmSlice';
+import { loadVisualizerSession } from './state/visualizerSlice';
+import { decodeShareFragment } from './utils/shareUtils';
 import App from './App';
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <Provider store={store}>
-      <App />
-    </Provider>
-  </React.StrictMode>
-);
\ No newline at end of file
+// Apply the settings of a shared link before the first render, so the
+// generators start from the shared patch
+const hydrateFromShareLink = async () => {
+  try {
+    const shared = await decodeShareFragment(window.location.hash);
+    if (shared) {
+      store.dispatch(loadAlgorithmSession(shared.algorithm));
+      store.dispatch(loadVisualizerSession(shared.visualizer));
+    }
+  } catch (error) {
+    console.error('Could not read the shared link:', error);
+  }
+};
+
+hydrateFromShareLink().then(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <Provider store={store}>
+        <App />
+      </Provider>
+    </React.StrictMode>
+  );
+});
@@ -0,0 +1,155 @@
+/**
+ * Keyboard Follow
+ * Lets notes played on a MIDI keyboard set the root of the running
+ * generators, so generative parts can be conducted live.
+ *
+ * Modes:
+ * - 'last': the last note played
+ * - 'lowest': the lowest note held (the root stays when every key is released)
+ * - 'chord': the root of the chord held, major or minor (falls back to the
+ *   lowest note when the held notes are not a known chord)
+ *
+ * The receiver only reports roots; AlgorithmEngine re-roots the generators
+ * (see generators.applyLiveInput) from the next step.
+ */
+
+// Chord shapes by pitch classes above the root, and whether they are minor
+const CHORD_SHAPES = [
+  { intervals: [0, 4, 7, 11], minor: false },  // maj7
+  { intervals: [0, 4, 7, 10], minor: false },  // dom7
+  { intervals: [0, 3, 7, 10], minor: true },   // min7
+  { intervals: [0, 3, 6, 10], minor: true },   // half-dim7
+  { intervals: [0, 4, 7], minor: false },
+  { intervals: [0, 3, 7], minor: true },
+  { intervals: [0, 3, 6], minor: true },
+  { intervals: [0, 5, 7], minor: false },      // sus4
+  { intervals: [0, 2, 7], minor: false },      // sus2
+  { intervals: [0, 7], minor: false }          // power chord
+];
+
+/**
+ * Find the root of the chord formed by some notes
+ * Every held pitch class is tried as the root, and the largest matching
+ * shape wins (inversions are recognised).
+ * @param {Array} pitches - MIDI note numbers
+ * @returns {Object|null} { note, minor } with note the held pitch of the
+ *   root closest to the bass, or null when no chord shape matches
+ */
+export const detectChordRoot = (pitches) => {
+  if (pitches.length < 2) return null;
+
+  const sorted = [...pitches].sort((a, b) => a - b);
+  const pitchClasses = [...new Set(sorted.map(pitch => pitch % 12))];
+
+  let best = null;
+  sorted.forEach(candidate => {
+    const rootClass = candidate % 12;
+    const intervals = pitchClasses.map(pc => (pc - rootClass + 12) % 12);
+
+    CHORD_SHAPES.forEach(shape => {
+      // Every held note belongs to the shape, and the triad (or power
+      // chord) of the shape is held
+      const covered = intervals.every(interval => shape.intervals.includes(interval));
+      const complete = shape.intervals.slice(0, 3).every(interval => intervals.includes(interval));
+      if (!covered || !complete || (best && best.size >= shape.intervals.length)) return;
+      best = { note: candidate, minor: shape.minor, size: shape.intervals.length };
+    });
+  });
+
+  return best ? { note: best.note, minor: best.minor } : null;
+};
+
+class KeyboardFollow {
+  constructor() {
+    this.input = null;
+    this.mode = 'off';
+    this.callbacks = {};
+    this.heldNotes = new Set();
+    this.root = null;  // { note, minor } last reported
+
+    this.handleNoteOn = this.handleNoteOn.bind(this);
+    this.handleNoteOff = this.handleNoteOff.bind(this);
+  }
+
+  /**
+   * Follow the notes played on a MIDI input (every channel)
+   * @param {Object} input - WebMidi input
+   * @param {String} mode - 'last', 'lowest' or 'chord'
+   * @param {Object} callbacks - { onRootChange({ note, minor }) }
+   */
+  attach(input, mode, callbacks = {}) {
+    this.detach();
+    if (!input || mode === 'off') return;
+
+    this.input = input;
+    this.mode = mode;
+    this.callbacks = callbacks;
+
+    input.addListener('noteon', this.handleNoteOn);
+    input.addListener('noteoff', this.handleNoteOff);
+
+    console.log(`KeyboardFollow: Following ${input.name} (${mode})`);
+  }
+
+  /**
+   * Stop listening to the current input
+   */
+  detach() {
+    if (this.input) {
+      try {
+        this.input.removeListener('noteon', this.handleNoteOn);
+        this.input.removeListener('noteoff', this.handleNoteOff);
+      } catch (error) {
+        console.warn('KeyboardFollow: Error removing listeners:', error.message);
+      }
+    }
+
+    this.input = null;
+    this.mode = 'off';
+    this.callbacks = {};
+    this.heldNotes.clear();
+    this.root = null;
+  }
+
+  handleNoteOn(e) {
+    const pitch = e.note.number;
+    this.heldNotes.add(pitch);
+
+    if (this.mode === 'last') {
+      this.report({ note: pitch, minor: false });
+    } else {
+      this.updateFromHeldNotes();
+    }
+  }
+
+  handleNoteOff(e) {
+    this.heldNotes.delete(e.note.number);
+
+    // A chord keeps its root while it is released key by key, and the root
+    // set by the last notes holds after every key is released
+    if (this.mode === 'lowest' && this.heldNotes.size > 0) {
+      this.updateFromHeldNotes();
+    }
+  }
+
+  updateFromHeldNotes() {
+    const pitches = [...this.heldNotes];
+    const lowest = { note: Math.min(...pitches), minor: false };
+
+    if (this.mode === 'chord') {
+      this.report(detectChordRoot(pitches) || lowest);
+    } else {
+      this.report(lowest);
+    }
+  }
+
+  report(root) {
+    if (this.root && this.root.note === root.note && this.root.minor === root.minor) return;
+
+    this.root = root;
+    if (this.callbacks.onRootChange) this.callbacks.onRootChange(root);
+  }
+}
+
+// Export singleton instance
+export default new KeyboardFollow();
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import KeyboardFollow, { detectChordRoot } from './KeyboardFollow';
+import { createVirtualMidiDevice } from './VirtualMidiDevice';
+
+describe('detectChordRoot', () => {
+  it('needs at least two notes', () => {
+    expect(detectChordRoot([])).toBeNull();
+    expect(detectChordRoot([60])).toBeNull();
+  });
+
+  it('finds the root of major and minor triads', () => {
+    expect(detectChordRoot([60, 64, 67])).toEqual({ note: 60, minor: false });
+    expect(detectChordRoot([57, 60, 64])).toEqual({ note: 57, minor: true });
+  });
+
+  it('recognises inversions, reporting the held root', () => {
+    // C major, first inversion: E G C
+    expect(detectChordRoot([64, 67, 72])).toEqual({ note: 72, minor: false });
+    // A minor, second inversion: E A C
+    expect(detectChordRoot([52, 57, 60])).toEqual({ note: 57, minor: true });
+  });
+
+  it('reports the root closest to the bass when it is doubled', () => {
+    expect(detectChordRoot([48, 64, 67, 72])).toEqual({ note: 48, minor: false });
+  });
+
+  it('prefers the largest matching shape', () => {
+    // A C E G is A minor seventh rather than a C chord with an added sixth
+    expect(detectChordRoot([57, 60, 64, 67])).toEqual({ note: 57, minor: true });
+    expect(detectChordRoot([55, 59, 62, 65])).toEqual({ note: 55, minor: false });
+  });
+
+  it('recognises suspended and power chords', () => {
+    expect(detectChordRoot([62, 67, 69])).toEqual({ note: 62, minor: false });
+    expect(detectChordRoot([40, 47])).toEqual({ note: 40, minor: false });
+  });
+
+  it('gives up on clusters', () => {
+    expect(detectChordRoot([60, 61, 62])).toBeNull();
+  });
+});
+
+describe('KeyboardFollow', () => {
+  afterEach(() => {
+    KeyboardFollow.detach();
+  });
+
+  const follow = (mode) => {
+    const { input } = createVirtualMidiDevice();
+    const onRootChange = vi.fn();
+    KeyboardFollow.attach(input, mode, { onRootChange });
+    return { input, onRootChange };
+  };
+
+  it('follows the last note played', () => {
+    const { input, onRootChange } = follow('last');
+
+    input.receive([0x90, 62, 100]);
+    input.receive([0x91, 65, 100]);
+
+    expect(onRootChange.mock.calls.map(([root]) => root)).toEqual([
+      { note: 62, minor: false },
+      { note: 65, minor: false }
+    ]);
+  });
+
+  it('follows the lowest held note, also while keys are released', () => {
+    const { input, onRootChange } = follow('lowest');
+
+    input.receive([0x90, 64, 100]);
+    input.receive([0x90, 60, 100]);
+    input.receive([0x80, 60, 0]);
+
+    expect(onRootChange).toHaveBeenLastCalledWith({ note: 64, minor: false });
+  });
+
+  it('keeps a chord root while the chord is released', () => {
+    const { input, onRootChange } = follow('chord');
+
+    [57, 60, 64].forEach(note => input.receive([0x90, note, 100]));
+    [57, 60, 64].forEach(note => input.receive([0x80, note, 0]));
+
+    expect(onRootChange).toHaveBeenLastCalledWith({ note: 57, minor: true });
+  });
+
+  it('stops listening when detached', () => {
+    const { input, onRootChange } = follow('last');
+
+    KeyboardFollow.detach();
+    input.receive([0x90, 60, 100]);
+
+    expect(onRootChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * MIDI Clock Receiver
+ * Follows an external MIDI clock (slave mode) from a DAW or drum machine.
+ *
+ * - Clock (0xF8): measures the tempo and keeps the transport's step grid
+ *   aligned with the sender
+ * - Start / Continue: start the transport on the next step boundary
+ * - Stop: stops the transport
+ * - Song Position Pointer: sets the position Continue resumes from
+ *
+ * Clock pulses arrive in real time while the transport schedules ahead, so
+ * the receiver never plays notes itself. It only drives the transport's
+ * tempo and phase, and the lookahead scheduling carries on as usual.
+ */
+
+import Transport from '../audio/Transport';
+import { TRANSPORT_CONFIG } from '../config/constants';
+
+// Clock pulses per transport step
+const CLOCKS_PER_STEP = TRANSPORT_CONFIG.CLOCK_PPQN / TRANSPORT_CONFIG.STEPS_PER_BEAT;
+
+// Song Position Pointer counts MIDI beats (sixteenth notes) of 6 pulses each
+const CLOCKS_PER_MIDI_BEAT = 6;
+
+class MidiClockReceiver {
+  constructor() {
+    this.input = null;
+    this.callbacks = {};
+
+    this.clockTimes = [];      // Timestamps of the most recent pulses
+    this.clockCount = 0;       // Pulses since the song start
+    this.running = false;      // Whether the sender is playing
+    this.pendingStart = false; // Start the transport on the next step boundary
+    this.tempo = null;         // Last measured tempo (BPM)
+
+    this.handleClock = this.handleClock.bind(this);
+    this.handleStart = this.handleStart.bind(this);
+    this.handleContinue = this.handleContinue.bind(this);
+    this.handleStop = this.handleStop.bind(this);
+    this.handleSongPosition = this.handleSongPosition.bind(this);
+  }
+
+  /**
+   * Listen to the clock messages of a MIDI input
+   * @param {Object} input - WebMidi input
+   * @param {Object} callbacks - { onStart(), onStop(), onTempoChange(bpm) }
+   */
+  attach(input, callbacks = {}) {
+    this.detach();
+    if (!input) return;
+
+    this.input = input;
+    this.callbacks = callbacks;
+
+    input.addListener('clock', this.handleClock);
+    input.addListener('start', this.handleStart);
+    input.addListener('continue', this.handleContinue);
+    input.addListener('stop', this.handleStop);
+    input.addListener('songposition', this.handleSongPosition);
+
+    console.log(`MidiClockReceiver: Following clock from ${input.name}`);
+  }
+
+  /**
+   * Stop listening to the current input
+   */
+  detach() {
+    if (this.input) {
+      try {
+        this.input.removeListener('clock', this.handleClock);
+        this.input.removeListener('start', this.handleStart);
+        this.input.removeListener('continue', this.handleContinue);
+        this.input.removeListener('stop', this.handleStop);
+        this.input.removeListener('songposition', this.handleSongPosition);
+      } catch (error) {
+        console.warn('MidiClockReceiver: Error removing listeners:', error.message);
+      }
+    }
+
+    this.input = null;
+    this.callbacks = {};
+    this.clockTimes = [];
+    this.running = false;
+    this.pendingStart = false;
+    this.tempo = null;
+  }
+
+  /**
+   * Start playback on the next step boundary of the incoming clock
+   * (used when playback is started locally while following the clock)
+   */
+  requestStart() {
+    this.pendingStart = true;
+  }
+
+  /**
+   * Cancel a start that is still waiting for the clock
+   */
+  cancelStart() {
+    this.pendingStart = false;
+  }
+
+  handleClock(e) {
+    const time = e.timestamp;
+    this.measureTempo(time);
+
+    if (!this.running) return;
+
+    if (this.clockCount % CLOCKS_PER_STEP === 0) {
+      const step = this.clockCount / CLOCKS_PER_STEP;
+
+      if (Transport.isRunning) {
+        Transport.syncToClock(step, time);
+      } else if (this.pendingStart) {
+        this.pendingStart = false;
+        // The pulse has already passed by the time it is handled
+        Transport.start(Math.max(time, performance.now()), step);
+      }
+    }
+
+    this.clockCount++;
+  }
+
+  handleStart() {
+    // The first pulse after Start is the downbeat of the song
+    this.clockCount = 0;
+    this.running = true;
+    this.pendingStart = true;
+
+    if (this.callbacks.onStart) this.callbacks.onStart();
+  }
+
+  handleContinue() {
+    this.running = true;
+    this.pendingStart = true;
+
+    if (this.callbacks.onStart) this.callbacks.onStart();
+  }
+
+  handleStop() {
+    this.running = false;
+    this.pendingStart = false;
+    Transport.stop();
+
+    if (this.callbacks.onStop) this.callbacks.onStop();
+  }
+
+  handleSongPosition(e) {
+    const [, lsb = 0, msb = 0] = e.message.data;
+    const midiBeats = (msb << 7) | lsb;
+
+    this.clockCount = midiBeats * CLOCKS_PER_MIDI_BEAT;
+    console.log(`MidiClockReceiver: Song position ${midiBeats} (step ${this.clockCount / CLOCKS_PER_STEP})`);
+  }
+
+  /**
+   * Derive the tempo from the average spacing of the recent pulses
+   */
+  measureTempo(time) {
+    const lastTime = this.clockTimes[this.clockTimes.length - 1];
+
+    // A long gap means the clock was paused, so start measuring afresh
+    if (lastTime !== undefined && time - lastTime > TRANSPORT_CONFIG.CLOCK_MAX_GAP_MS) {
+      this.clockTimes = [];
+    }
+
+    this.clockTimes.push(time);
+    if (this.clockTimes.length > TRANSPORT_CONFIG.CLOCK_TEMPO_WINDOW + 1) {
+      this.clockTimes.shift();
+    }
+
+    if (this.clockTimes.length < 2) return;
+
+    const pulseDuration = (time - this.clockTimes[0]) / (this.clockTimes.length - 1);
+    Transport.setStepDuration(pulseDuration * CLOCKS_PER_STEP);
+
+    const bpm = Math.round(60000 / (pulseDuration * TRANSPORT_CONFIG.CLOCK_PPQN));
+    if (bpm !== this.tempo) {
+      this.tempo = bpm;
+      if (this.callbacks.onTempoChange) this.callbacks.onTempoChange(bpm);
+    }
+  }
+}
+
+// Export singleton instance
+export default new MidiClockReceiver();
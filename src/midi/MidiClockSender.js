@@ -0,0 +1,152 @@
+/**
+ * MIDI Clock Sender
+ * Transmits MIDI clock (master mode) on the enabled outputs so hardware such
+ * as the MegaFM's arpeggiator and LFO sync follows our tempo.
+ *
+ * Clock pulses are derived from the transport's step events: every step is
+ * split into 24 PPQN pulses that are queued with timestamps in the same
+ * lookahead window as the notes, so the clock stays locked to the sequence
+ * and follows tempo changes from the next step on.
+ *
+ * Start is sent when playback starts from the top; otherwise the Song
+ * Position Pointer is sent followed by Continue. Outputs enabled while
+ * playing join at the next step the same way.
+ */
+
+import Transport from '../audio/Transport';
+import { TRANSPORT_CONFIG } from '../config/constants';
+
+// Clock pulses per transport step
+const CLOCKS_PER_STEP = TRANSPORT_CONFIG.CLOCK_PPQN / TRANSPORT_CONFIG.STEPS_PER_BEAT;
+
+// Song Position Pointer counts MIDI beats (sixteenth notes) of 6 pulses each
+const MIDI_BEATS_PER_STEP = CLOCKS_PER_STEP / 6;
+
+const SONG_POSITION = 0xF2;
+
+class MidiClockSender {
+  constructor() {
+    this.outputs = new Map();   // Output id -> { output, started, lastPulseTime }
+    this.removeListeners = [];
+
+    this.handleStart = this.handleStart.bind(this);
+    this.handleStep = this.handleStep.bind(this);
+    this.handleStop = this.handleStop.bind(this);
+  }
+
+  /**
+   * Set the outputs that receive clock
+   * Outputs that are removed while playing get a Stop message.
+   * @param {Array} outputs - WebMidi outputs
+   */
+  setOutputs(outputs = []) {
+    const ids = outputs.map(output => output.id);
+
+    this.outputs.forEach((entry, id) => {
+      if (!ids.includes(id)) {
+        if (entry.started) this.sendStop(entry);
+        this.outputs.delete(id);
+      }
+    });
+
+    outputs.forEach(output => {
+      if (!this.outputs.has(output.id)) {
+        this.outputs.set(output.id, { output, started: false, lastPulseTime: 0 });
+      }
+    });
+
+    if (this.outputs.size > 0) {
+      this.attach();
+    } else {
+      this.detach();
+    }
+  }
+
+  /**
+   * Subscribe to the transport
+   */
+  attach() {
+    if (this.removeListeners.length > 0) return;
+
+    this.removeListeners = [
+      Transport.addListener('start', this.handleStart),
+      Transport.addListener('step', this.handleStep),
+      Transport.addListener('stop', this.handleStop)
+    ];
+  }
+
+  /**
+   * Unsubscribe from the transport
+   */
+  detach() {
+    this.removeListeners.forEach(remove => remove());
+    this.removeListeners = [];
+  }
+
+  handleStart() {
+    // Every output is (re)started on the first step
+    this.outputs.forEach(entry => {
+      entry.started = false;
+    });
+  }
+
+  handleStep({ step, time, duration }) {
+    const pulseDuration = duration / CLOCKS_PER_STEP;
+
+    this.outputs.forEach(entry => {
+      const { output } = entry;
+
+      try {
+        if (!entry.started) {
+          this.sendStart(output, step, time);
+          entry.started = true;
+        }
+
+        for (let pulse = 0; pulse < CLOCKS_PER_STEP; pulse++) {
+          output.sendClock({ time: time + pulse * pulseDuration });
+        }
+        entry.lastPulseTime = time + (CLOCKS_PER_STEP - 1) * pulseDuration;
+      } catch (error) {
+        console.warn(`MidiClockSender: Failed to send clock to ${output.name}:`, error.message);
+      }
+    });
+  }
+
+  handleStop() {
+    this.outputs.forEach(entry => {
+      if (entry.started) this.sendStop(entry);
+      entry.started = false;
+    });
+  }
+
+  /**
+   * Send Start, or Song Position Pointer and Continue when not starting from the top
+   */
+  sendStart(output, step, time) {
+    if (step === 0) {
+      output.sendStart({ time });
+      return;
+    }
+
+    // Song Position Pointer is LSB first (WebMidi's sendSongPosition sends MSB first)
+    const midiBeats = Math.min(0x3FFF, step * MIDI_BEATS_PER_STEP);
+    output.send([SONG_POSITION, midiBeats & 0x7F, (midiBeats >> 7) & 0x7F], { time });
+    output.sendContinue({ time });
+  }
+
+  /**
+   * Send Stop after the last clock pulse queued in the lookahead window,
+   * so the receiver gets no clock after Stop
+   */
+  sendStop({ output, lastPulseTime }) {
+    try {
+      const time = lastPulseTime > performance.now() ? lastPulseTime + 1 : undefined;
+      output.sendStop({ time });
+    } catch (error) {
+      console.warn(`MidiClockSender: Failed to send Stop to ${output.name}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+export default new MidiClockSender();
@@ -1,7 +1,19 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { WebMidi } from 'webmidi';
-import { useDispatch, useSelector } from 'react-redux';
+import { useDispatch, useSelector, useStore } from 'react-redux';
 import { midiConnected, midiDisconnected, midiError, midiDevicesDetected } from '../state/midiSlice';
+import { setPlaying, setTempo, setFollowRoot, addLiveCell } from '../state/algorithmSlice';
+import { setSynthParameter, setSynthPreset, CC_PARAMETERS } from '../state/synthSlice';
+import { trackParameterMovement } from './modUtils';
+import MidiClockReceiver from './MidiClockReceiver';
+import MidiLearn from './MidiLearn';
+import KeyboardFollow from './KeyboardFollow';
+import { matchDeviceProfile, getDeviceProfile, getOutputProfileId } from './deviceProfiles';
+import { setOutputCCMap } from './midiUtils';
+import MidiOutputQueue from './MidiOutputQueue';
+import NoteLedger from './NoteLedger';
+import VirtualMidiDevice from './VirtualMidiDevice';
+import Transport from '../audio/Transport';
 
 // MegaFM uses MIDI port 1 (vs 0) channel 1
 const MEGAFM_CHANNEL = 1;
@@ -11,8 +23,17 @@ const RECONNECT_DEBOUNCE_TIME = 500;
 
 const MidiConnector = () => {
   const dispatch = useDispatch();
+  const store = useStore();
   const isConnected = useSelector(state => state.midi.connected);
   const connectedOutput = useSelector(state => state.midi.output);
+  const connectedInput = useSelector(state => state.midi.input);
+  const clockSource = useSelector(state => state.midi.clockSource);
+  const keyboardFollow = useSelector(state => state.algorithm.keyboardFollow);
+  const cellularLiveInput = useSelector(state => state.algorithm.algorithms.cellular.parameters.liveInput);
+  const virtualEcho = useSelector(state => state.midi.virtualEcho);
+  const availableOutputs = useSelector(state => state.midi.availableOutputs);
+  const deviceProfiles = useSelector(state => state.midi.deviceProfiles);
+  const outputProfiles = useSelector(state => state.midi.outputProfiles);
   const connectionAttemptedRef = useRef(false);
   const reconnectTimeoutRef = useRef(null);
   const [deviceState, setDeviceState] = useState({
@@ -29,7 +50,8 @@ const MidiConnector = () => {
         connectToMegaFM();
         connectionAttemptedRef.current = true;
       }
-      return;
+      MidiLearn.attach(store);
+      return () => MidiLearn.detach();
     }
     
     // Initialize WebMidi
@@ -42,6 +64,9 @@ const MidiConnector = () => {
         updateAvailableDevices();
         connectToMegaFM();
         connectionAttemptedRef.current = true;
+
+        // Listen for controller moves on every input for MIDI Learn
+        MidiLearn.attach(store);
         
         // Set up event listeners for device connections/disconnections with debouncing
         WebMidi.addListener("connected", handleDeviceConnection);
@@ -50,10 +75,13 @@ const MidiConnector = () => {
       .catch(err => {
         console.error('WebMidi could not be enabled:', err);
         dispatch(midiError(`WebMidi could not be enabled: ${err.message}`));
+        // The virtual loopback still works without Web MIDI
+        updateAvailableDevices();
       });
 
     // Cleanup listeners and disable WebMidi on component unmount
     return () => {
+      MidiLearn.detach();
       if (WebMidi.enabled) {
         try {
           // Remove listeners with proper handler references to prevent memory leaks
@@ -76,16 +104,115 @@ const MidiConnector = () => {
     };
   }, [dispatch]);
   
-  // Update available devices in Redux store
+  // Release the notes still sounding when the tab is closed
+  useEffect(() => {
+    NoteLedger.attach();
+    return () => NoteLedger.detach();
+  }, []);
+  
+  // Send CCs to each output as numbered by its device profile
+  useEffect(() => {
+    (availableOutputs || []).forEach(device => {
+      const profileId = getOutputProfileId(device, { deviceProfiles, outputProfiles });
+      setOutputCCMap(device.id, getDeviceProfile(profileId, deviceProfiles).ccMap);
+    });
+  }, [availableOutputs, deviceProfiles, outputProfiles]);
+  
+  // Loop what the virtual device is sent back out of its input
+  useEffect(() => {
+    VirtualMidiDevice.output.echo = virtualEcho;
+  }, [virtualEcho]);
+  
+  // Follow the external MIDI clock on the connected input
+  useEffect(() => {
+    if (clockSource !== 'external' || !connectedInput) {
+      MidiClockReceiver.detach();
+      return;
+    }
+
+    MidiClockReceiver.attach(connectedInput, {
+      onStart: () => dispatch(setPlaying(true)),
+      onStop: () => dispatch(setPlaying(false)),
+      onTempoChange: (bpm) => dispatch(setTempo(bpm))
+    });
+
+    return () => MidiClockReceiver.detach();
+  }, [clockSource, connectedInput, dispatch]);
+  
+  // Let notes played on the connected input re-root the generators
+  useEffect(() => {
+    KeyboardFollow.attach(connectedInput, keyboardFollow, {
+      onRootChange: (root) => dispatch(setFollowRoot(root))
+    });
+
+    return () => KeyboardFollow.detach();
+  }, [keyboardFollow, connectedInput, dispatch]);
+  
+  // Let notes played on the connected input seed live cells in the cellular
+  // automaton, on the next step the transport schedules
+  useEffect(() => {
+    if (!cellularLiveInput || !connectedInput) return;
+
+    const handleNoteOn = (e) => {
+      dispatch(addLiveCell({
+        step: Transport.currentStep,
+        pitch: e.note.number,
+        velocity: e.note.rawAttack
+      }));
+    };
+
+    connectedInput.addListener('noteon', handleNoteOn);
+
+    return () => connectedInput.removeListener('noteon', handleNoteOn);
+  }, [cellularLiveInput, connectedInput, dispatch]);
+  
+  // Follow the MegaFM's knobs and preset changes on the input, so the
+  // synth state (and the control panel) matches the hardware. Knob moves
+  // count as parameter movements, so they can be chained to an LFO.
+  useEffect(() => {
+    if (!connectedInput || !connectedInput.channels) return;
+
+    const inputChannel = connectedInput.channels[MEGAFM_CHANNEL];
+
+    const handleControlChange = (e) => {
+      if (e.controller.number === 0) {
+        // Bank select ahead of a program change
+        dispatch(setSynthPreset({ bank: e.rawValue }));
+        return;
+      }
+
+      const name = CC_PARAMETERS[e.controller.number];
+      if (!name) return;
+
+      dispatch(setSynthParameter({ cc: e.controller.number, value: e.rawValue }));
+      trackParameterMovement(e.controller.number, e.rawValue, name);
+    };
+
+    const handleProgramChange = (e) => {
+      dispatch(setSynthPreset({ preset: e.rawValue }));
+    };
+
+    inputChannel.addListener('controlchange', handleControlChange);
+    inputChannel.addListener('programchange', handleProgramChange);
+
+    return () => {
+      inputChannel.removeListener('controlchange', handleControlChange);
+      inputChannel.removeListener('programchange', handleProgramChange);
+    };
+  }, [connectedInput, dispatch]);
+  
+  // Update available devices in Redux store (the hardware outputs, then
+  // the virtual loopback)
   const updateAvailableDevices = () => {
-    if (!WebMidi.enabled) return;
+    const ports = WebMidi.enabled ? [...WebMidi.outputs, VirtualMidiDevice.output] : [VirtualMidiDevice.output];
     
-    const outputs = WebMidi.outputs.map(output => ({
+    const outputs = ports.map(output => ({
       id: output.id,
       name: output.name,
       manufacturer: output.manufacturer || 'Unknown',
       connection: output.connection,
       state: output.state,
+      virtual: !!output.virtual,
       instance: output
     }));
     
@@ -154,10 +281,9 @@ const MidiConnector = () => {
       }
       
       // Look for a MIDI device that might be the MegaFM
-      // First try to find a device with "MegaFM" or "MEGA" in the name
-      let outputDevice = WebMidi.outputs.find(output => 
-        output.name.toLowerCase().includes('megafm') ||
-        output.name.toLowerCase().includes('mega')
+      // First try to find a device whose name matches the MegaFM profile
+      let outputDevice = WebMidi.outputs.find(output =>
+        matchDeviceProfile(output.name) === 'megafm'
       );
       
       // Then try to find any device with "MIDI" in the name 
@@ -239,10 +365,12 @@ const MidiConnector = () => {
         updateAvailableDevices();
         
         // If not connected or connected to a "through" device, try to find a better device
+        // (the virtual loopback stays until another output is picked)
         if (!isConnected || 
             (connectedOutput && connectedOutput.name.toLowerCase().includes('through')) ||
             // Also reconnect if the current device is no longer in the device list
-            (connectedOutput && !WebMidi.outputs.some(output => output.id === connectedOutput.id))) {
+            (connectedOutput && !connectedOutput.virtual &&
+             !WebMidi.outputs.some(output => output.id === connectedOutput.id))) {
           connectToMegaFM();
         }
       } else {
@@ -269,6 +397,12 @@ const MidiConnector = () => {
     // Update available devices immediately
     updateAvailableDevices();
     
+    // CCs still queued and notes still sounding on the port have nowhere to go
+    if (e.port.type === 'output') {
+      MidiOutputQueue.clear(e.port);
+      NoteLedger.forget(e.port);
+    }
+    
     // Check if the disconnected device is our current MIDI device
     if (isConnected && connectedOutput && 
         e.port.type === 'output' && 
@@ -285,6 +419,18 @@ const MidiConnector = () => {
   // Function to manually select a MIDI output device
   // This will be called from the dropdown menu
   window.selectMidiOutput = (outputId) => {
+    // The loopback's input is not connected: with echo on it would play the
+    // app's own notes, CCs and clock back into keyboard follow, live cells,
+    // the synth state and the clock receiver. The MIDI monitor shows it.
+    if (outputId === VirtualMidiDevice.output.id) {
+      console.log(`Manually selected output device: ${VirtualMidiDevice.output.name}`);
+      dispatch(midiConnected({
+        output: VirtualMidiDevice.output,
+        input: null
+      }));
+      return true;
+    }
+    
     if (!WebMidi.enabled) {
       console.warn('WebMidi not enabled');
       return;
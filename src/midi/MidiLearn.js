@@ -0,0 +1,235 @@
+/**
+ * MIDI Learn
+ * Binds the knobs and faders of an external controller to app parameters:
+ * generator parameters, tempo and visualizer settings.
+ *
+ * In learn mode, clicking a control marked with a data-learn attribute makes
+ * it the learn target, and the next CC arriving on any MIDI input is bound
+ * to it. Targets are paths into the state:
+ *   'tempo', 'algorithm.<algorithm>.<parameter>', 'visualizer.<setting>'
+ *
+ * Each mapping scales the CC range onto [low, high] of the control (or its
+ * options, for lists) and can pick up the current value (soft takeover) so
+ * parameters do not jump when the knob is somewhere else.
+ */
+
+import { WebMidi } from 'webmidi';
+import { updateAlgorithmParameter, setTempo } from '../state/algorithmSlice';
+import { addMidiMapping } from '../state/midiSlice';
+import { VISUALIZER_ACTIONS } from './learnTargets';
+
+// How close (as a fraction of the range) a knob must come to the current
+// value to pick it up
+const PICKUP_TOLERANCE = 2 / 127;
+
+/**
+ * Describe the control a learn target was picked from
+ * Ranges come from the control itself: min/max/step for sliders, the list
+ * of options for selects.
+ * @param {HTMLElement} element - Control with a data-learn attribute
+ * @returns {Object} { target, label, min, max, step } or { target, label, options }
+ */
+export const describeLearnTarget = (element) => {
+  const target = element.dataset.learn;
+  const label = target.split('.').slice(1).join(' › ') || target;
+
+  if (element.tagName === 'SELECT') {
+    const values = Array.from(element.options).map(option => option.value);
+    const numeric = values.every(value => value !== '' && !isNaN(Number(value)));
+    return { target, label, options: numeric ? values.map(Number) : values };
+  }
+
+  return {
+    target,
+    label,
+    min: Number(element.min) || 0,
+    max: element.max === '' ? 127 : Number(element.max),
+    step: Number(element.step) || 1
+  };
+};
+
+/**
+ * Create a mapping from a learn target and the CC that was moved
+ * @param {Object} learnTarget - Result of describeLearnTarget
+ * @param {Object} source - { input (name), channel, cc }
+ * @returns {Object} Mapping
+ */
+export const createMapping = (learnTarget, source) => {
+  const { options } = learnTarget;
+  return {
+    id: `${source.input}:${source.channel}:${source.cc}`,
+    ...learnTarget,
+    ...source,
+    // Scaling range, in units of the control (or option indices for lists)
+    low: options ? 0 : learnTarget.min,
+    high: options ? options.length - 1 : learnTarget.max,
+    takeover: 'pickup'   // 'pickup' (soft takeover) or 'jump'
+  };
+};
+
+/**
+ * Read the current value of a target from the state
+ */
+export const readTarget = (state, target) => {
+  const [scope, key, parameter] = target.split('.');
+  if (scope === 'tempo') return state.algorithm.tempo;
+  if (scope === 'algorithm') return state.algorithm.algorithms[key]?.parameters[parameter];
+  if (scope === 'visualizer') return state.visualizer[key];
+  return undefined;
+};
+
+/**
+ * Action that sets a target, or null when the target is unknown
+ */
+const targetAction = (target, value) => {
+  const [scope, key, parameter] = target.split('.');
+  if (scope === 'tempo') return setTempo(value);
+  if (scope === 'algorithm') return updateAlgorithmParameter({ algorithm: key, parameter, value });
+  if (scope === 'visualizer' && VISUALIZER_ACTIONS[key]) return VISUALIZER_ACTIONS[key](value);
+  return null;
+};
+
+/**
+ * Scale a CC value (0-127) onto a mapping
+ * @returns {Object} { value, position } - Target value, and its position
+ *   in the mapping range (0-1)
+ */
+export const scaleMapping = (mapping, ccValue) => {
+  const fraction = ccValue / 127;
+  const position = mapping.low + fraction * (mapping.high - mapping.low);
+
+  if (mapping.options) {
+    const index = Math.max(0, Math.min(mapping.options.length - 1, Math.round(position)));
+    return { value: mapping.options[index], position: fraction };
+  }
+
+  const stepped = mapping.min + Math.round((position - mapping.min) / mapping.step) * mapping.step;
+  const value = Math.max(mapping.min, Math.min(mapping.max, stepped));
+  // Round away floating point noise from the step arithmetic
+  return { value: Number(value.toFixed(6)), position: fraction };
+};
+
+// Position (0-1) of a target value in a mapping range
+const positionOf = (mapping, value) => {
+  const current = mapping.options ? mapping.options.indexOf(value) : value;
+  if (typeof current !== 'number' || current < 0 || mapping.high === mapping.low) return null;
+  return (current - mapping.low) / (mapping.high - mapping.low);
+};
+
+class MidiLearn {
+  constructor() {
+    this.store = null;
+    this.inputs = [];
+    this.pickup = new Map(); // Mapping id -> { pickedUp, lastPosition, lastValue }
+
+    this.handleControlChange = this.handleControlChange.bind(this);
+    this.refreshInputs = this.refreshInputs.bind(this);
+  }
+
+  /**
+   * Listen for controller CCs on every MIDI input
+   * @param {Object} store - Redux store (mappings and learn state live in the midi slice)
+   */
+  attach(store) {
+    this.detach();
+    this.store = store;
+
+    this.refreshInputs();
+    WebMidi.addListener('connected', this.refreshInputs);
+    WebMidi.addListener('disconnected', this.refreshInputs);
+  }
+
+  /**
+   * Stop listening
+   */
+  detach() {
+    this.removeInputListeners();
+    if (this.store) {
+      WebMidi.removeListener('connected', this.refreshInputs);
+      WebMidi.removeListener('disconnected', this.refreshInputs);
+    }
+    this.store = null;
+    this.pickup.clear();
+  }
+
+  // Follow the inputs that come and go
+  refreshInputs() {
+    this.removeInputListeners();
+    this.inputs = WebMidi.enabled ? [...WebMidi.inputs] : [];
+    this.inputs.forEach(input => input.addListener('controlchange', this.handleControlChange));
+  }
+
+  removeInputListeners() {
+    this.inputs.forEach(input => {
+      try {
+        input.removeListener('controlchange', this.handleControlChange);
+      } catch (error) {
+        console.warn('MidiLearn: Error removing listener:', error.message);
+      }
+    });
+    this.inputs = [];
+  }
+
+  handleControlChange(e) {
+    if (!this.store) return;
+
+    const { midi } = this.store.getState();
+    const source = { input: e.port.name, channel: e.message.channel, cc: e.controller.number };
+
+    // Bind the control waiting in learn mode
+    if (midi.learnMode && midi.learnTarget) {
+      const mapping = createMapping(midi.learnTarget, source);
+      this.pickup.delete(mapping.id);
+      this.store.dispatch(addMidiMapping(mapping));
+      console.log(`MidiLearn: ${mapping.target} bound to ${source.input} ch ${source.channel} CC ${source.cc}`);
+      return;
+    }
+
+    midi.midiMappings
+      .filter(m => m.input === source.input && m.channel === source.channel && m.cc === source.cc)
+      .forEach(mapping => this.applyMapping(mapping, e.rawValue));
+  }
+
+  /**
+   * Move a target from a CC value, honouring soft takeover
+   */
+  applyMapping(mapping, ccValue) {
+    const state = this.store.getState();
+
+    // Tempo follows the external clock when there is one
+    if (mapping.target === 'tempo' && state.midi.clockSource === 'external') return;
+
+    const { value, position } = scaleMapping(mapping, ccValue);
+    const current = readTarget(state, mapping.target);
+    const pickup = this.pickup.get(mapping.id) || { pickedUp: false, lastPosition: null, lastValue: undefined };
+
+    if (mapping.takeover === 'pickup') {
+      // Something else moved the parameter since the knob last set it
+      if (pickup.pickedUp && current !== pickup.lastValue) pickup.pickedUp = false;
+
+      if (!pickup.pickedUp) {
+        const currentPosition = positionOf(mapping, current);
+        const reached = currentPosition === null ||
+          Math.abs(position - currentPosition) <= PICKUP_TOLERANCE ||
+          (pickup.lastPosition !== null &&
+            (pickup.lastPosition - currentPosition) * (position - currentPosition) <= 0);
+
+        pickup.lastPosition = position;
+        this.pickup.set(mapping.id, pickup);
+        if (!reached) return;
+        pickup.pickedUp = true;
+      }
+    }
+
+    pickup.lastPosition = position;
+    pickup.lastValue = value;
+    this.pickup.set(mapping.id, pickup);
+
+    if (value === current) return;
+    const action = targetAction(mapping.target, value);
+    if (action) this.store.dispatch(action);
+  }
+}
+
+// Export singleton instance
+export default new MidiLearn();
@@ -0,0 +1,299 @@
+/**
+ * MIDI Monitor
+ * Captures every MIDI message going in and out of the app, decoded, so
+ * hardware problems can be debugged from the MIDI monitor panel instead of
+ * the browser console.
+ *
+ * The monitor panel attaches it only while it is open, so the app does not
+ * pay for the capture otherwise. Incoming messages are read from every input
+ * (the virtual loopback included). Outgoing messages are captured where
+ * every WebMidi send ends up, Output.send(), which is wrapped on each
+ * output while the monitor is attached - so notes, queued
+ * CCs, RPN sequences and clock are all seen exactly as sent, with the time
+ * they were scheduled for.
+ *
+ * Every message is kept; message types are filtered out when the log is
+ * shown or exported (clock is, by default, as its 24 pulses per beat would
+ * bury everything else), so turning a type back on shows what was missed.
+ */
+
+import { WebMidi } from 'webmidi';
+import { CC } from './midiUtils';
+import VirtualMidiDevice from './VirtualMidiDevice';
+import { MIDI_CONFIG } from '../config/constants';
+
+// Entries kept before the oldest are dropped (clock alone adds 48 a second
+// at 120 BPM)
+const MAX_ENTRIES = 5000;
+
+// Message types the log can be filtered by
+export const MONITOR_TYPES = {
+  note: 'Notes',
+  cc: 'CC',
+  program: 'Program',
+  pitchbend: 'Pitch bend',
+  aftertouch: 'Aftertouch',
+  transport: 'Start/Stop/SPP',
+  clock: 'Clock',
+  sysex: 'SysEx',
+  other: 'Other'
+};
+
+const DEFAULT_TYPES = Object.keys(MONITOR_TYPES).filter(type => type !== 'clock');
+
+// CC numbers to their MegaFM parameter names; generic names for the rest
+const CC_NAMES = {
+  0: 'BANK_SELECT',
+  1: 'MOD_WHEEL',
+  7: 'VOLUME',
+  38: 'DATA_ENTRY_LSB',
+  64: 'SUSTAIN',
+  98: 'NRPN_LSB',
+  99: 'NRPN_MSB',
+  100: 'RPN_LSB',
+  101: 'RPN_MSB',
+  120: 'ALL_SOUND_OFF',
+  121: 'RESET_ALL_CONTROLLERS',
+  123: 'ALL_NOTES_OFF',
+  ...Object.fromEntries(Object.entries(CC).map(([name, cc]) => [cc, name]))
+};
+
+const SYSTEM_MESSAGES = {
+  0xF0: ['sysex', 'SysEx'],
+  0xF1: ['other', 'MTC Quarter Frame'],
+  0xF2: ['transport', 'Song Position'],
+  0xF3: ['other', 'Song Select'],
+  0xF6: ['other', 'Tune Request'],
+  0xF8: ['clock', 'Clock'],
+  0xFA: ['transport', 'Start'],
+  0xFB: ['transport', 'Continue'],
+  0xFC: ['transport', 'Stop'],
+  0xFE: ['other', 'Active Sensing'],
+  0xFF: ['other', 'Reset']
+};
+
+/**
+ * Note name with octave (middle C = C4)
+ */
+export const noteName = (note) =>
+  `${MIDI_CONFIG.NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+
+/**
+ * Decode a MIDI message
+ * @param {Array} data - Message bytes
+ * @returns {Object} { type, channel (null for system messages), name, detail }
+ */
+export const describeMidiMessage = (data) => {
+  const [status, data1 = 0, data2 = 0] = data;
+
+  if (status >= 0xF0) {
+    const [type, name] = SYSTEM_MESSAGES[status] || ['other', `System 0x${status.toString(16).toUpperCase()}`];
+    let detail = '';
+    if (status === 0xF2) detail = `${(data2 << 7) | data1} sixteenths`;
+    if (status === 0xF0) detail = `${data.length} bytes`;
+    return { type, channel: null, name, detail };
+  }
+
+  const channel = (status & 0x0F) + 1;
+  switch (status & 0xF0) {
+    case 0x90:
+      if (data2 > 0) return { type: 'note', channel, name: 'Note On', detail: `${noteName(data1)} (${data1}) vel ${data2}` };
+      return { type: 'note', channel, name: 'Note Off', detail: `${noteName(data1)} (${data1})` };
+    case 0x80:
+      return { type: 'note', channel, name: 'Note Off', detail: `${noteName(data1)} (${data1})` };
+    case 0xA0:
+      return { type: 'aftertouch', channel, name: 'Poly Aftertouch', detail: `${noteName(data1)} (${data1}) ${data2}` };
+    case 0xB0:
+      return {
+        type: 'cc',
+        channel,
+        name: 'CC',
+        detail: CC_NAMES[data1] ? `${data1} ${CC_NAMES[data1]} = ${data2}` : `${data1} = ${data2}`
+      };
+    case 0xC0:
+      return { type: 'program', channel, name: 'Program Change', detail: `${data1}` };
+    case 0xD0:
+      return { type: 'aftertouch', channel, name: 'Channel Pressure', detail: `${data1}` };
+    default:
+      return { type: 'pitchbend', channel, name: 'Pitch Bend', detail: `${((data2 << 7) | data1) - 8192}` };
+  }
+};
+
+// Message bytes from whatever was handed to Output.send()
+const toBytes = (message, options) => {
+  if (typeof message === 'number') {
+    return [message, ...(Array.isArray(options) ? options : [])];
+  }
+  if (message && message.rawData) return Array.from(message.rawData);
+  return Array.from(message || []);
+};
+
+/**
+ * Format an entry as one line of text
+ */
+export const formatMonitorEntry = (entry) => {
+  const time = (entry.time / 1000).toFixed(3).padStart(10);
+  const direction = entry.direction === 'in' ? 'IN ' : 'OUT';
+  const channel = entry.channel ? `Ch ${String(entry.channel).padStart(2)}` : '     ';
+  return `${time}  ${direction}  ${entry.port}  ${channel}  ${entry.name}  ${entry.detail}`.trimEnd();
+};
+
+class MidiMonitor {
+  constructor() {
+    this.entries = [];
+    this.paused = false;
+    this.types = new Set(DEFAULT_TYPES);
+    this.listeners = new Set();
+    this.attached = false;
+    this.inputs = [];
+    this.outputs = new Map();  // WebMidi output -> its own send()
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.refreshPorts = this.refreshPorts.bind(this);
+  }
+
+  /**
+   * Start capturing on every input and output
+   */
+  attach() {
+    this.detach();
+    this.attached = true;
+
+    this.refreshPorts();
+    WebMidi.addListener('enabled', this.refreshPorts);
+    WebMidi.addListener('connected', this.refreshPorts);
+    WebMidi.addListener('disconnected', this.refreshPorts);
+  }
+
+  /**
+   * Stop capturing and give the outputs back their own send()
+   */
+  detach() {
+    if (this.attached) {
+      WebMidi.removeListener('enabled', this.refreshPorts);
+      WebMidi.removeListener('connected', this.refreshPorts);
+      WebMidi.removeListener('disconnected', this.refreshPorts);
+    }
+    this.releasePorts();
+    this.attached = false;
+  }
+
+  /**
+   * Be told when entries change
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.notify();
+  }
+
+  /**
+   * Choose whether a message type is shown (every type is still captured)
+   */
+  setTypeEnabled(type, enabled) {
+    if (enabled) {
+      this.types.add(type);
+    } else {
+      this.types.delete(type);
+    }
+    this.notify();
+  }
+
+  clear() {
+    this.entries = [];
+    this.notify();
+  }
+
+  /**
+   * The entries of the message types shown
+   */
+  getEntries() {
+    return this.entries.filter(entry => this.types.has(entry.type));
+  }
+
+  /**
+   * The log as text, one message per line, filtered like the panel
+   */
+  exportText() {
+    return this.getEntries().map(formatMonitorEntry).join('\n');
+  }
+
+  /**
+   * Add a message to the log
+   * @param {String} direction - 'in' or 'out'
+   * @param {String} port - Port name
+   * @param {Array} data - Message bytes
+   * @param {Number} time - Timestamp (performance.now() ms)
+   */
+  record(direction, port, data, time = performance.now()) {
+    if (this.paused || data.length === 0) return;
+
+    const decoded = describeMidiMessage(data);
+    this.entries.push({ time, direction, port, data, ...decoded });
+    if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+    this.notify();
+  }
+
+  notify() {
+    if (this.listeners.size === 0) return;
+    this.listeners.forEach(listener => listener());
+  }
+
+  handleMessage(e) {
+    this.record('in', e.port.name, Array.from(e.message.rawData || e.message.data), e.timestamp);
+  }
+
+  // Follow the ports that come and go
+  refreshPorts() {
+    this.releasePorts();
+
+    const outputs = [VirtualMidiDevice.output];
+    this.inputs = [VirtualMidiDevice.input];
+    if (WebMidi.enabled) {
+      outputs.push(...WebMidi.outputs);
+      this.inputs.push(...WebMidi.inputs);
+    }
+
+    this.inputs.forEach(input => input.addListener('midimessage', this.handleMessage));
+
+    outputs.forEach(output => {
+      const send = output.send;
+      this.outputs.set(output, send);
+
+      output.send = (message, options, legacy) => {
+        const time = options && typeof options.time === 'number' && options.time > 0
+          ? options.time
+          : performance.now();
+        this.record('out', output.name, toBytes(message, options), time);
+        return send.call(output, message, options, legacy);
+      };
+    });
+  }
+
+  releasePorts() {
+    this.inputs.forEach(input => {
+      try {
+        input.removeListener('midimessage', this.handleMessage);
+      } catch (error) {
+        console.warn('MidiMonitor: Error removing listener:', error.message);
+      }
+    });
+    this.inputs = [];
+
+    // Drop the wrapper so the output's own send() is used again
+    this.outputs.forEach((send, output) => {
+      delete output.send;
+      if (output.send !== send) output.send = send;
+    });
+    this.outputs.clear();
+  }
+}
+
+// Export singleton instance
+export default new MidiMonitor();
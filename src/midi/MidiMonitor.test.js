@@ -0,0 +1,23 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import MidiMonitor from './MidiMonitor';
+
+describe('MidiMonitor', () => {
+  afterEach(() => {
+    MidiMonitor.setTypeEnabled('clock', false);
+    MidiMonitor.clear();
+  });
+
+  it('keeps hidden message types and shows them once turned back on', () => {
+    MidiMonitor.record('in', 'Clock Box', [0xF8], 1);
+    MidiMonitor.record('out', 'MegaFM', [0x90, 60, 100], 2);
+
+    expect(MidiMonitor.entries).toHaveLength(2);
+    expect(MidiMonitor.getEntries().map(entry => entry.type)).toEqual(['note']);
+    expect(MidiMonitor.exportText()).not.toMatch(/Clock/);
+
+    MidiMonitor.setTypeEnabled('clock', true);
+
+    expect(MidiMonitor.getEntries().map(entry => entry.type)).toEqual(['clock', 'note']);
+    expect(MidiMonitor.exportText().split('\n')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * MIDI Output Queue
+ * Every control change from the app (sliders, presets, patch loads, LFO
+ * linking) goes out through this queue, so bursts cannot overrun the
+ * MegaFM's input buffer:
+ *
+ * - Coalescing: a CC still waiting in the queue is updated in place, so a
+ *   slider dragged faster than the port drains only sends its latest value
+ * - Rate limiting: each port sends at most MIDI_CONFIG.CC_RATE_LIMIT CCs per
+ *   second after a burst of MIDI_CONFIG.CC_BURST (a token bucket)
+ * - Note priority: notes are never queued. They go out straight away and
+ *   use up the port's budget, so CCs wait for the notes instead of the
+ *   other way round.
+ *
+ * Timed and ordered messages (RPN/NRPN sequences, bank select ahead of a
+ * program change, per-note expression) bypass the queue. Ordered messages
+ * flush() the port first, so they cannot overtake the CCs still waiting.
+ */
+
+import { MIDI_CONFIG } from '../config/constants';
+
+class MidiOutputQueue {
+  constructor() {
+    this.ports = new Map(); // WebMidi output -> { pending, tokens, refilledAt, timer }
+  }
+
+  /**
+   * Queue a control change
+   * @param {Object} output - WebMidi output device
+   * @param {Number} channel - MIDI channel (1-16)
+   * @param {Number} cc - Controller number
+   * @param {Number} value - Controller value (0-127)
+   */
+  controlChange(output, channel, cc, value) {
+    const port = this.getPort(output);
+
+    // A map keeps its insertion order, so a coalesced CC keeps its place in line
+    port.pending.set(`${channel}:${cc}`, { channel, cc, value });
+    this.drain(output, port);
+  }
+
+  /**
+   * Charge notes sent straight to a port against its CC budget
+   * @param {Object} output - WebMidi output device
+   * @param {Number} count - Number of messages sent
+   */
+  noteSent(output, count = 1) {
+    const port = this.getPort(output);
+    this.refill(port);
+    port.tokens -= count;
+  }
+
+  /**
+   * Send the CCs waiting for a port right away, ahead of messages that
+   * bypass the queue but must not overtake them. They still use up the
+   * port's budget.
+   * @param {Object} output - WebMidi output device
+   */
+  flush(output) {
+    const port = this.ports.get(output);
+    if (!port || port.pending.size === 0) return;
+
+    clearTimeout(port.timer);
+    port.timer = null;
+    this.refill(port);
+
+    port.pending.forEach(message => this.send(output, message));
+    port.tokens -= port.pending.size;
+    port.pending.clear();
+  }
+
+  /**
+   * Drop the CCs still waiting for a port (e.g. when it was disconnected)
+   * @param {Object} output - WebMidi output device, or the port description
+   *   of a 'disconnected' event (matched by id)
+   */
+  clear(output) {
+    this.ports.forEach((port, key) => {
+      if (key !== output && key.id !== output.id) return;
+
+      clearTimeout(port.timer);
+      this.ports.delete(key);
+    });
+  }
+
+  /**
+   * Number of CCs waiting for a port
+   */
+  getPendingCount(output) {
+    const port = this.ports.get(output);
+    return port ? port.pending.size : 0;
+  }
+
+  getPort(output) {
+    let port = this.ports.get(output);
+    if (!port) {
+      port = {
+        pending: new Map(),     // 'channel:cc' -> { channel, cc, value }
+        tokens: MIDI_CONFIG.CC_BURST,
+        refilledAt: performance.now(),
+        timer: null
+      };
+      this.ports.set(output, port);
+    }
+    return port;
+  }
+
+  refill(port) {
+    const now = performance.now();
+    const earned = (now - port.refilledAt) * MIDI_CONFIG.CC_RATE_LIMIT / 1000;
+    port.tokens = Math.min(MIDI_CONFIG.CC_BURST, port.tokens + earned);
+    port.refilledAt = now;
+  }
+
+  // Send what the budget allows, and come back when the next CC is due
+  drain(output, port) {
+    this.refill(port);
+
+    for (const [key, message] of port.pending) {
+      if (port.tokens < 1) break;
+
+      port.pending.delete(key);
+      port.tokens -= 1;
+      this.send(output, message);
+    }
+
+    if (port.pending.size > 0 && !port.timer) {
+      const wait = Math.ceil((1 - port.tokens) * 1000 / MIDI_CONFIG.CC_RATE_LIMIT);
+      port.timer = setTimeout(() => {
+        port.timer = null;
+        this.drain(output, port);
+      }, Math.max(1, wait));
+    }
+  }
+
+  send(output, message) {
+    try {
+      output.channels[message.channel].sendControlChange(message.cc, message.value);
+    } catch (error) {
+      console.error('MidiOutputQueue: Error sending Control Change:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export default new MidiOutputQueue();
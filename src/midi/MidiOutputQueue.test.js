@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import MidiOutputQueue from './MidiOutputQueue';
+import { createVirtualMidiDevice } from './VirtualMidiDevice';
+import { MIDI_CONFIG } from '../config/constants';
+
+const sent = (output) => output.messages.map(message => message.data);
+
+describe('MidiOutputQueue', () => {
+  let output;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    ({ output } = createVirtualMidiDevice());
+  });
+
+  afterEach(() => {
+    MidiOutputQueue.clear(output);
+    vi.useRealTimers();
+  });
+
+  it('sends a burst straight away, then waits for the budget', () => {
+    for (let cc = 0; cc < MIDI_CONFIG.CC_BURST + 2; cc++) {
+      MidiOutputQueue.controlChange(output, 1, cc, 64);
+    }
+
+    expect(output.messages).toHaveLength(MIDI_CONFIG.CC_BURST);
+    expect(MidiOutputQueue.getPendingCount(output)).toBe(2);
+
+    vi.advanceTimersByTime(Math.ceil(1000 / MIDI_CONFIG.CC_RATE_LIMIT));
+    expect(output.messages).toHaveLength(MIDI_CONFIG.CC_BURST + 1);
+
+    vi.advanceTimersByTime(Math.ceil(1000 / MIDI_CONFIG.CC_RATE_LIMIT));
+    expect(output.messages).toHaveLength(MIDI_CONFIG.CC_BURST + 2);
+    expect(MidiOutputQueue.getPendingCount(output)).toBe(0);
+  });
+
+  it('keeps to the rate limit over time', () => {
+    for (let cc = 0; cc < 100; cc++) {
+      MidiOutputQueue.controlChange(output, 1, cc, 1);
+    }
+
+    vi.advanceTimersByTime(100);
+
+    const allowed = MIDI_CONFIG.CC_BURST + MIDI_CONFIG.CC_RATE_LIMIT / 10;
+    expect(output.messages.length).toBeLessThanOrEqual(allowed + 1);
+    expect(output.messages.length).toBeGreaterThanOrEqual(allowed - 1);
+  });
+
+  it('updates a waiting CC in place instead of sending it twice', () => {
+    MidiOutputQueue.noteSent(output, MIDI_CONFIG.CC_BURST);
+
+    MidiOutputQueue.controlChange(output, 1, 74, 10);
+    MidiOutputQueue.controlChange(output, 1, 71, 20);
+    MidiOutputQueue.controlChange(output, 1, 74, 30);
+    expect(MidiOutputQueue.getPendingCount(output)).toBe(2);
+
+    vi.advanceTimersByTime(1000);
+    expect(sent(output)).toEqual([[0xB0, 74, 30], [0xB0, 71, 20]]);
+  });
+
+  it('tells channels apart', () => {
+    MidiOutputQueue.noteSent(output, MIDI_CONFIG.CC_BURST);
+
+    MidiOutputQueue.controlChange(output, 1, 74, 10);
+    MidiOutputQueue.controlChange(output, 2, 74, 20);
+
+    expect(MidiOutputQueue.getPendingCount(output)).toBe(2);
+  });
+
+  it('charges notes against the budget', () => {
+    MidiOutputQueue.noteSent(output, MIDI_CONFIG.CC_BURST);
+    MidiOutputQueue.controlChange(output, 1, 74, 10);
+
+    expect(output.messages).toHaveLength(0);
+    vi.advanceTimersByTime(Math.ceil(1000 / MIDI_CONFIG.CC_RATE_LIMIT));
+    expect(sent(output)).toEqual([[0xB0, 74, 10]]);
+  });
+
+  it('refills the budget while idle, up to a burst', () => {
+    MidiOutputQueue.noteSent(output, MIDI_CONFIG.CC_BURST);
+    vi.advanceTimersByTime(10000);
+
+    for (let cc = 0; cc < MIDI_CONFIG.CC_BURST + 1; cc++) {
+      MidiOutputQueue.controlChange(output, 1, cc, 1);
+    }
+
+    expect(output.messages).toHaveLength(MIDI_CONFIG.CC_BURST);
+  });
+
+  it('flushes waiting CCs ahead of messages that bypass the queue', () => {
+    MidiOutputQueue.noteSent(output, MIDI_CONFIG.CC_BURST);
+    MidiOutputQueue.controlChange(output, 1, 74, 10);
+    MidiOutputQueue.controlChange(output, 1, 71, 20);
+
+    MidiOutputQueue.flush(output);
+    output.channels[1].sendProgramChange(5);
+
+    expect(sent(output)).toEqual([[0xB0, 74, 10], [0xB0, 71, 20], [0xC0, 5]]);
+    expect(MidiOutputQueue.getPendingCount(output)).toBe(0);
+
+    // The flushed CCs used up budget, and nothing is sent twice
+    MidiOutputQueue.controlChange(output, 1, 1, 1);
+    expect(output.messages).toHaveLength(3);
+    vi.advanceTimersByTime(1000);
+    expect(output.messages).toHaveLength(4);
+  });
+
+  it('drops the waiting CCs of a port that went away, matched by id', () => {
+    MidiOutputQueue.noteSent(output, MIDI_CONFIG.CC_BURST);
+    MidiOutputQueue.controlChange(output, 1, 74, 10);
+
+    MidiOutputQueue.clear({ id: output.id, name: output.name });
+    vi.advanceTimersByTime(1000);
+
+    expect(output.messages).toHaveLength(0);
+    expect(MidiOutputQueue.getPendingCount(output)).toBe(0);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * MPE Channel Allocator
+ * Hands out the member channels of an MPE zone, one per sounding note, so
+ * every note can carry its own pitch bend, pressure and slide.
+ *
+ * A free channel is picked round robin, starting after the channel used
+ * last, so a note's release tail is not disturbed by the expression of the
+ * next note. When every channel is busy, the channel whose note started
+ * first is shared.
+ */
+
+import { getMPEMemberChannels } from './midiUtils';
+
+class MpeChannelAllocator {
+  /**
+   * @param {Array} memberChannels - Member channels of the zone
+   */
+  constructor(memberChannels = getMPEMemberChannels()) {
+    this.setMemberChannels(memberChannels);
+  }
+
+  /**
+   * Change the zone's member channels, forgetting every allocation
+   * @param {Array} memberChannels - Member channels of the zone
+   */
+  setMemberChannels(memberChannels) {
+    this.memberChannels = [...memberChannels];
+    this.notes = new Map();   // Channel -> number of notes sounding on it
+    this.startTimes = new Map(); // Channel -> start time of its latest note
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Take a member channel for a new note
+   * @param {Number} time - Start time of the note (performance.now() ms)
+   * @returns {Number|null} Member channel, or null when the zone has none
+   */
+  allocate(time) {
+    const count = this.memberChannels.length;
+    if (count === 0) return null;
+
+    let channel = null;
+    for (let i = 0; i < count; i++) {
+      const candidate = this.memberChannels[(this.nextIndex + i) % count];
+      if (!this.notes.get(candidate)) {
+        channel = candidate;
+        break;
+      }
+    }
+
+    // Every channel is busy: share the one whose note started first
+    if (channel === null) {
+      channel = this.memberChannels.reduce((oldest, candidate) =>
+        this.startTimes.get(candidate) < this.startTimes.get(oldest) ? candidate : oldest
+      );
+    }
+
+    this.nextIndex = (this.memberChannels.indexOf(channel) + 1) % count;
+    this.notes.set(channel, (this.notes.get(channel) || 0) + 1);
+    this.startTimes.set(channel, time);
+    return channel;
+  }
+
+  /**
+   * Give back the channel of a note that ended
+   * @param {Number} channel - Member channel returned by allocate()
+   */
+  release(channel) {
+    const count = this.notes.get(channel);
+    if (count > 1) {
+      this.notes.set(channel, count - 1);
+    } else {
+      this.notes.delete(channel);
+    }
+  }
+
+  /**
+   * Forget every allocation (after all notes were released)
+   */
+  reset() {
+    this.notes.clear();
+    this.startTimes.clear();
+  }
+}
+
+export default MpeChannelAllocator;
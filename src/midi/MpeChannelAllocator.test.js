@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import MpeChannelAllocator from './MpeChannelAllocator';
+import { getMPEMemberChannels, MPE_ZONE } from './midiUtils';
+
+describe('getMPEMemberChannels', () => {
+  it('counts up from channel 2 in a lower zone', () => {
+    expect(getMPEMemberChannels(1, 3)).toEqual([2, 3, 4]);
+    expect(getMPEMemberChannels()).toHaveLength(MPE_ZONE.MEMBER_CHANNELS);
+  });
+
+  it('counts down from channel 15 in an upper zone', () => {
+    expect(getMPEMemberChannels(16, 3)).toEqual([15, 14, 13]);
+  });
+
+  it('has at most 15 member channels', () => {
+    expect(getMPEMemberChannels(1, 20)).toHaveLength(15);
+    expect(getMPEMemberChannels(1, 0)).toEqual([]);
+  });
+});
+
+describe('MpeChannelAllocator', () => {
+  it('hands out free channels round robin', () => {
+    const allocator = new MpeChannelAllocator([2, 3, 4]);
+
+    expect(allocator.allocate(0)).toBe(2);
+    expect(allocator.allocate(1)).toBe(3);
+    allocator.release(2);
+    // Channel 2 is free again, but 4 comes first after the last one used
+    expect(allocator.allocate(2)).toBe(4);
+    expect(allocator.allocate(3)).toBe(2);
+  });
+
+  it('does not reuse a channel straight after its note ended', () => {
+    const allocator = new MpeChannelAllocator([2, 3, 4]);
+
+    const channel = allocator.allocate(0);
+    allocator.release(channel);
+
+    expect(allocator.allocate(1)).not.toBe(channel);
+  });
+
+  it('shares the channel whose note started first when every channel is busy', () => {
+    const allocator = new MpeChannelAllocator([2, 3]);
+
+    allocator.allocate(100); // 2
+    allocator.allocate(50);  // 3
+
+    expect(allocator.allocate(200)).toBe(3);
+  });
+
+  it('keeps a shared channel busy until each of its notes ended', () => {
+    const allocator = new MpeChannelAllocator([2]);
+
+    allocator.allocate(0);
+    allocator.allocate(1);
+    allocator.release(2);
+    expect(allocator.notes.get(2)).toBe(1);
+
+    allocator.release(2);
+    expect(allocator.notes.has(2)).toBe(false);
+  });
+
+  it('has nothing to hand out without member channels', () => {
+    expect(new MpeChannelAllocator([]).allocate(0)).toBeNull();
+  });
+
+  it('forgets its allocations when the zone changes', () => {
+    const allocator = new MpeChannelAllocator([2, 3]);
+    allocator.allocate(0);
+
+    allocator.setMemberChannels([15, 14]);
+
+    expect(allocator.allocate(1)).toBe(15);
+  });
+
+  it('starts from every channel being free after a reset', () => {
+    const allocator = new MpeChannelAllocator([2, 3]);
+    allocator.allocate(0);
+    allocator.allocate(1);
+
+    allocator.reset();
+
+    expect(allocator.notes.size).toBe(0);
+    expect([2, 3]).toContain(allocator.allocate(2));
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Note Ledger
+ * Keeps every note that has been sent a note on but no note off yet, per
+ * port and channel, so the notes can always be released one by one with
+ * matching note offs - on stop, when the output is switched and when the
+ * tab is closed. All Notes Off (CC 123) alone is not enough: some gear
+ * ignores it.
+ *
+ * sendNoteOn() and sendNoteOff() in midiUtils keep the ledger up to date.
+ * A note played twice before its note off is counted twice and gets two
+ * note offs.
+ */
+
+class NoteLedger {
+  constructor() {
+    this.ports = new Map(); // WebMidi output -> Map of 'channel:note' -> { channel, note, count, time }
+    this.attached = false;
+
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  /**
+   * Release the sounding notes when the page goes away
+   */
+  attach() {
+    if (this.attached) return;
+    window.addEventListener('pagehide', this.handlePageHide);
+    this.attached = true;
+  }
+
+  detach() {
+    if (!this.attached) return;
+    window.removeEventListener('pagehide', this.handlePageHide);
+    this.attached = false;
+  }
+
+  /**
+   * Book a note on
+   * @param {Object} output - WebMidi output device
+   * @param {Number} channel - MIDI channel (1-16)
+   * @param {Number} note - MIDI note number
+   * @param {Number} time - Optional performance.now() timestamp the note on is scheduled at
+   */
+  noteOn(output, channel, note, time = undefined) {
+    let notes = this.ports.get(output);
+    if (!notes) {
+      notes = new Map();
+      this.ports.set(output, notes);
+    }
+
+    const key = `${channel}:${note}`;
+    const entry = notes.get(key) || { channel, note, count: 0, time: 0 };
+    entry.count += 1;
+    entry.time = Math.max(entry.time, time || 0);
+    notes.set(key, entry);
+  }
+
+  /**
+   * Book a note off
+   * @param {Object} output - WebMidi output device
+   * @param {Number} channel - MIDI channel (1-16)
+   * @param {Number} note - MIDI note number
+   */
+  noteOff(output, channel, note) {
+    const notes = this.ports.get(output);
+    if (!notes) return;
+
+    const key = `${channel}:${note}`;
+    const entry = notes.get(key);
+    if (!entry) return;
+
+    entry.count -= 1;
+    if (entry.count <= 0) notes.delete(key);
+  }
+
+  /**
+   * Send a note off for every note still sounding on a port
+   * Notes whose note on is still scheduled ahead are released after it.
+   * @param {Object} output - WebMidi output device
+   * @param {Array} channels - Only release these channels (all by default)
+   * @returns {Number} Number of note offs sent
+   */
+  release(output, channels = null) {
+    const notes = this.ports.get(output);
+    if (!notes) return 0;
+
+    const now = performance.now();
+    let sent = 0;
+
+    notes.forEach((entry, key) => {
+      if (channels && !channels.includes(entry.channel)) return;
+      notes.delete(key);
+
+      try {
+        const time = entry.time > now ? entry.time : undefined;
+        for (let i = 0; i < entry.count; i++) {
+          output.channels[entry.channel].sendNoteOff(entry.note, { time });
+          sent += 1;
+        }
+      } catch (error) {
+        console.error('NoteLedger: Error sending Note Off:', error);
+      }
+    });
+
+    return sent;
+  }
+
+  /**
+   * Send a note off for every note still sounding on every port
+   * @returns {Number} Number of note offs sent
+   */
+  releaseAll() {
+    let sent = 0;
+    this.ports.forEach((notes, output) => {
+      sent += this.release(output);
+    });
+    return sent;
+  }
+
+  /**
+   * Forget a port without sending anything (e.g. when it was disconnected,
+   * or after a panic has silenced it)
+   * @param {Object} output - WebMidi output device, or the port description
+   *   of a 'disconnected' event (matched by id)
+   */
+  forget(output) {
+    this.ports.forEach((notes, port) => {
+      if (port === output || port.id === output.id) this.ports.delete(port);
+    });
+  }
+
+  /**
+   * Number of notes sounding on a port, or on every port
+   */
+  getActiveCount(output = null) {
+    const count = (notes) => [...notes.values()].reduce((sum, entry) => sum + entry.count, 0);
+    if (output) return this.ports.has(output) ? count(this.ports.get(output)) : 0;
+    return [...this.ports.values()].reduce((sum, notes) => sum + count(notes), 0);
+  }
+
+  /**
+   * Every port a note has been played on
+   */
+  getOutputs() {
+    return [...this.ports.keys()];
+  }
+
+  handlePageHide() {
+    const sent = this.releaseAll();
+    if (sent > 0) console.log(`NoteLedger: Released ${sent} notes on page hide`);
+  }
+}
+
+// Export singleton instance
+export default new NoteLedger();
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import NoteLedger from './NoteLedger';
+import { createVirtualMidiDevice } from './VirtualMidiDevice';
+import { sendNoteOn, sendNoteOff, sendPanic } from './midiUtils';
+import MidiOutputQueue from './MidiOutputQueue';
+import { MIDI_CONFIG } from '../config/constants';
+
+const sent = (output) => output.messages.map(message => message.data);
+
+describe('NoteLedger', () => {
+  afterEach(() => {
+    NoteLedger.getOutputs().forEach(output => NoteLedger.forget(output));
+    vi.useRealTimers();
+  });
+
+  it('books note ons until their note off', () => {
+    const { output } = createVirtualMidiDevice();
+
+    sendNoteOn(output, 60, 100, 1);
+    sendNoteOn(output, 64, 100, 2);
+    sendNoteOff(output, 60, 1);
+
+    expect(NoteLedger.getActiveCount(output)).toBe(1);
+    expect(NoteLedger.getActiveCount()).toBe(1);
+  });
+
+  it('counts a note played twice twice', () => {
+    const { output } = createVirtualMidiDevice();
+
+    sendNoteOn(output, 60, 100, 1);
+    sendNoteOn(output, 60, 100, 1);
+    output.clear();
+
+    expect(NoteLedger.release(output)).toBe(2);
+    expect(sent(output)).toEqual([[0x80, 60, 64], [0x80, 60, 64]]);
+  });
+
+  it('releases only the channels asked for', () => {
+    const { output } = createVirtualMidiDevice();
+
+    sendNoteOn(output, 60, 100, 1);
+    sendNoteOn(output, 62, 100, 2);
+    output.clear();
+
+    NoteLedger.release(output, [2]);
+
+    expect(sent(output)).toEqual([[0x81, 62, 64]]);
+    expect(NoteLedger.getActiveCount(output)).toBe(1);
+  });
+
+  it('releases a note scheduled ahead after its note on', () => {
+    const { output } = createVirtualMidiDevice();
+    const time = performance.now() + 100;
+
+    sendNoteOn(output, 60, 100, 1, time);
+    output.clear();
+    NoteLedger.release(output);
+
+    expect(output.messages[0].time).toBe(time);
+  });
+
+  it('releases every port', () => {
+    const first = createVirtualMidiDevice({ id: 'first' }).output;
+    const second = createVirtualMidiDevice({ id: 'second' }).output;
+
+    sendNoteOn(first, 60, 100, 1);
+    sendNoteOn(second, 62, 100, 3);
+
+    expect(NoteLedger.releaseAll()).toBe(2);
+    expect(NoteLedger.getActiveCount()).toBe(0);
+  });
+
+  it('forgets a port described by a disconnect event', () => {
+    const { output } = createVirtualMidiDevice();
+    sendNoteOn(output, 60, 100, 1);
+
+    NoteLedger.forget({ id: output.id, name: output.name });
+
+    expect(NoteLedger.getOutputs()).not.toContain(output);
+  });
+
+  it('releases the sounding notes when the page goes away', () => {
+    const { output } = createVirtualMidiDevice();
+    NoteLedger.attach();
+    sendNoteOn(output, 60, 100, 1);
+
+    window.dispatchEvent(new Event('pagehide'));
+    NoteLedger.detach();
+
+    expect(NoteLedger.getActiveCount(output)).toBe(0);
+    expect(sent(output)).toContainEqual([0x80, 60, 64]);
+  });
+});
+
+describe('sendPanic', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('drops what is still queued for the port', () => {
+    vi.useFakeTimers();
+    const { output } = createVirtualMidiDevice({ echo: true });
+    const received = vi.fn();
+    output.input.addListener('noteon', received);
+
+    sendNoteOn(output, 60, 100, 1, performance.now() + 50);
+    output.echo = false;
+    MidiOutputQueue.noteSent(output, MIDI_CONFIG.CC_BURST);
+    MidiOutputQueue.controlChange(output, 1, 74, 10);
+
+    sendPanic(output);
+    vi.advanceTimersByTime(5000);
+
+    expect(received).not.toHaveBeenCalled();
+    expect(sent(output)).not.toContainEqual([0xB0, 74, 10]);
+    expect(NoteLedger.getActiveCount(output)).toBe(0);
+  });
+
+  it('sends All Sound Off and All Notes Off first, then paced note offs', () => {
+    const { output } = createVirtualMidiDevice();
+    const start = performance.now();
+
+    sendPanic(output);
+
+    const messages = output.messages;
+    expect(messages).toHaveLength(16 * 2 + 16 * 128 + 16);
+    expect(messages.slice(0, 2).map(message => message.data)).toEqual([[0xB0, 120, 0], [0xB0, 123, 0]]);
+
+    const noteOffs = messages.filter(message => (message.data[0] & 0xF0) === 0x80);
+    expect(noteOffs).toHaveLength(16 * 128);
+    noteOffs.slice(1).forEach((message, index) => {
+      expect(message.time).toBeGreaterThan(noteOffs[index].time);
+    });
+
+    const duration = noteOffs[noteOffs.length - 1].time - start;
+    expect(duration).toBeGreaterThanOrEqual(16 * 128 * 1000 / MIDI_CONFIG.PANIC_RATE - 1);
+  });
+
+  it('resets the controllers of each channel after its note offs', () => {
+    const { output } = createVirtualMidiDevice();
+
+    sendPanic(output);
+
+    const data = sent(output);
+    const reset = data.findIndex(bytes => bytes[0] === 0xB0 && bytes[1] === 121);
+    expect(data[reset - 1]).toEqual([0x80, 127, 64]);
+  });
+});
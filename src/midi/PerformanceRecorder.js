@@ -0,0 +1,219 @@
+/**
+ * Performance Recorder
+ * Captures a live take - the notes played by every track plus the CC moves
+ * and preset changes sent to the MegaFM - so it can be saved as a MIDI file.
+ *
+ * Events are stored with their performance.now() timestamps (notes carry
+ * the time they are scheduled to sound) and only converted to ticks on
+ * export, using the tempo changes recorded along the way.
+ *
+ * The exported file has a tempo track, one track per playing track and a
+ * "Controllers" track holding the CC automation lanes and program changes.
+ */
+
+import {
+  DEFAULT_PPQ, createMidiFile, trackNameEvent, tempoEvent, timeSignatureEvent
+} from './midiFileUtils';
+import { TRANSPORT_CONFIG } from '../config/constants';
+
+const CONTROLLERS_TRACK = 'Controllers';
+
+class PerformanceRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.startTime = 0;
+    this.stopTime = 0;
+    this.events = [];        // { type, time, track, channel, ... }
+    this.tempoChanges = [];  // { time, bpm }
+  }
+
+  /**
+   * Start a new recording (the previous take is discarded)
+   * @param {Number} tempo - Tempo at the start of the take (BPM)
+   */
+  start(tempo = 120) {
+    this.startTime = performance.now();
+    this.stopTime = 0;
+    this.events = [];
+    this.tempoChanges = [{ time: this.startTime, bpm: tempo }];
+    this.isRecording = true;
+    console.log('PerformanceRecorder: Recording started');
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    if (!this.isRecording) return;
+
+    this.isRecording = false;
+    this.stopTime = performance.now();
+    console.log(`PerformanceRecorder: Recording stopped (${this.events.length} events)`);
+  }
+
+  /**
+   * Whether there is a take to export
+   */
+  hasRecording() {
+    return !this.isRecording && this.events.length > 0;
+  }
+
+  /**
+   * Record a note on
+   * @param {String} track - Track the note belongs to
+   * @param {Number} channel - MIDI channel (1-16)
+   * @param {Number} pitch - MIDI note number
+   * @param {Number} velocity - MIDI velocity (1-127)
+   * @param {Number} time - Timestamp the note sounds at (performance.now() ms)
+   */
+  recordNoteOn(track, channel, pitch, velocity, time = performance.now()) {
+    this.record({ type: 'noteOn', time, track, channel, pitch, velocity });
+  }
+
+  /**
+   * Record a note off
+   */
+  recordNoteOff(track, channel, pitch, time = performance.now()) {
+    this.record({ type: 'noteOff', time, track, channel, pitch });
+  }
+
+  /**
+   * Record a control change
+   */
+  recordControlChange(channel, cc, value, time = performance.now()) {
+    this.record({ type: 'controlChange', time, track: CONTROLLERS_TRACK, channel, cc, value });
+  }
+
+  /**
+   * Record a program change, with the bank select that precedes it
+   */
+  recordProgramChange(channel, program, bank = null, time = performance.now()) {
+    this.record({ type: 'programChange', time, track: CONTROLLERS_TRACK, channel, program, bank });
+  }
+
+  /**
+   * Record a tempo change
+   * @param {Number} bpm - New tempo
+   */
+  recordTempo(bpm, time = performance.now()) {
+    if (!this.isRecording) return;
+
+    const last = this.tempoChanges[this.tempoChanges.length - 1];
+    if (last && last.bpm === bpm) return;
+    this.tempoChanges.push({ time, bpm });
+  }
+
+  record(event) {
+    if (!this.isRecording || event.time < this.startTime) return;
+    this.events.push(event);
+  }
+
+  /**
+   * Convert a timestamp to ticks since the start of the take, following
+   * the recorded tempo changes
+   */
+  timeToTicks(time) {
+    let ticks = 0;
+
+    this.tempoChanges.forEach((change, index) => {
+      const next = this.tempoChanges[index + 1];
+      const segmentEnd = Math.min(time, next ? next.time : Infinity);
+      if (segmentEnd > change.time) {
+        ticks += ((segmentEnd - change.time) / (60000 / change.bpm)) * DEFAULT_PPQ;
+      }
+    });
+
+    return Math.round(ticks);
+  }
+
+  /**
+   * Render the take into a Type 1 MIDI file
+   * Notes still sounding when recording stopped end at the stop time;
+   * notes scheduled after it are left out.
+   * @returns {Uint8Array|null} File contents, or null when there is nothing recorded
+   */
+  createMidiFile() {
+    if (!this.hasRecording()) return null;
+
+    const tempoTrack = [
+      { tick: 0, data: trackNameEvent('Performance') },
+      { tick: 0, data: timeSignatureEvent(TRANSPORT_CONFIG.BEATS_PER_BAR, 4) },
+      ...this.tempoChanges.map(change => ({
+        tick: this.timeToTicks(change.time),
+        data: tempoEvent(change.bpm)
+      }))
+    ];
+
+    // Group the events by track, keeping note tracks in the order they first played
+    const tracks = new Map();
+    this.events
+      .filter(event => event.time <= this.stopTime || event.type === 'noteOff')
+      .sort((a, b) => a.time - b.time)
+      .forEach(event => {
+        if (!tracks.has(event.track)) tracks.set(event.track, []);
+        tracks.get(event.track).push(event);
+      });
+
+    const trackChunks = Array.from(tracks.entries())
+      .sort(([a], [b]) => (a === CONTROLLERS_TRACK) - (b === CONTROLLERS_TRACK))
+      .map(([name, events]) => [
+        { tick: 0, data: trackNameEvent(name) },
+        ...this.toMidiEvents(events)
+      ]);
+
+    return createMidiFile([tempoTrack, ...trackChunks], DEFAULT_PPQ);
+  }
+
+  /**
+   * Turn recorded events into { tick, data } events, pairing note ons and offs
+   */
+  toMidiEvents(events) {
+    const midiEvents = [];
+    const sounding = new Map(); // 'channel:pitch' -> note on event
+
+    const noteOff = (channel, pitch, time) => {
+      midiEvents.push({ tick: this.timeToTicks(time), data: [0x80 | (channel - 1), pitch, 0] });
+      sounding.delete(`${channel}:${pitch}`);
+    };
+
+    events.forEach(event => {
+      const status = event.channel - 1;
+      const tick = this.timeToTicks(event.time);
+
+      switch (event.type) {
+        case 'noteOn': {
+          const key = `${event.channel}:${event.pitch}`;
+          if (sounding.has(key)) noteOff(event.channel, event.pitch, event.time);
+          midiEvents.push({ tick, data: [0x90 | status, event.pitch, event.velocity] });
+          sounding.set(key, event);
+          break;
+        }
+        case 'noteOff':
+          // Offs without a recorded on belong to notes started before the take
+          if (sounding.has(`${event.channel}:${event.pitch}`)) {
+            noteOff(event.channel, event.pitch, Math.min(event.time, this.stopTime));
+          }
+          break;
+        case 'controlChange':
+          midiEvents.push({ tick, data: [0xB0 | status, event.cc, event.value] });
+          break;
+        case 'programChange':
+          if (event.bank !== null) {
+            midiEvents.push({ tick, data: [0xB0 | status, 0, event.bank] });
+          }
+          midiEvents.push({ tick, data: [0xC0 | status, event.program] });
+          break;
+        default:
+          break;
+      }
+    });
+
+    // Close notes that were still sounding when recording stopped
+    sounding.forEach(event => noteOff(event.channel, event.pitch, this.stopTime));
+
+    return midiEvents;
+  }
+}
+
+// Export singleton instance
+export default new PerformanceRecorder();
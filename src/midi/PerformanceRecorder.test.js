@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import PerformanceRecorder from './PerformanceRecorder';
+import { createVirtualMidiDevice } from './VirtualMidiDevice';
+import MidiOutputQueue from './MidiOutputQueue';
+import { CC, sendCC, setGlide, setFatDetune, setEnvelopeLooping, setMPEMode } from './midiUtils';
+
+const recordedCCs = () => PerformanceRecorder.events
+  .filter(event => event.type === 'controlChange')
+  .map(({ channel, cc, value }) => [channel, cc, value]);
+
+describe('PerformanceRecorder', () => {
+  let output;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    PerformanceRecorder.stop();
+    MidiOutputQueue.clear(output);
+    vi.restoreAllMocks();
+  });
+
+  it('records the CCs of every send helper', () => {
+    ({ output } = createVirtualMidiDevice());
+    PerformanceRecorder.start(120);
+
+    sendCC(output, CC.ALGORITHM, 3);
+    setGlide(output, 40);
+    setFatDetune(output, 20, true);
+    setEnvelopeLooping(output, 1, true);
+    setMPEMode(output, false);
+
+    expect(recordedCCs()).toEqual(expect.arrayContaining([
+      [1, CC.ALGORITHM, 3],
+      [1, CC.VOICE_GLIDE, 40],
+      [1, CC.FAT, 20],
+      [1, CC.FAT_MODE, 127],
+      [1, CC.OP1_ENV_LOOP, 127],
+      [1, CC.MPE_MODE, 0]
+    ]));
+  });
+
+  it('records nothing while stopped', () => {
+    ({ output } = createVirtualMidiDevice());
+    const before = PerformanceRecorder.events.length;
+
+    setGlide(output, 40);
+
+    expect(PerformanceRecorder.events).toHaveLength(before);
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * Virtual MIDI Device
+ * A loopback output/input pair with the parts of the WebMidi Output and
+ * Input surface the app uses, so every midiUtils path can run without a
+ * MegaFM plugged in - in the browser (pick "Virtual Loopback" as the MIDI
+ * output) or in automated tests.
+ *
+ * The output records every message it is sent, with the time it was
+ * scheduled for. With echo on, messages come back out of the paired input
+ * at that time, decoded into the same events WebMidi inputs emit
+ * ('midimessage', 'noteon', 'controlchange', 'clock', ...), on the input
+ * and on its channels.
+ *
+ *   const { output, input } = createVirtualMidiDevice({ echo: true });
+ *   input.addListener('noteon', e => console.log(e.note.number));
+ *   sendNoteOn(output, 60, 100);   // logs 60
+ *   output.messages                // [{ data: [0x90, 60, 100], time }]
+ *   input.receive([0xB0, 4, 3]);   // as if a controller sent it
+ */
+
+// Messages the output keeps before the oldest are dropped
+const MAX_RECORDED_MESSAGES = 10000;
+
+const CHANNEL_EVENTS = {
+  0x8: 'noteoff',
+  0x9: 'noteon',
+  0xA: 'keyaftertouch',
+  0xB: 'controlchange',
+  0xC: 'programchange',
+  0xD: 'channelaftertouch',
+  0xE: 'pitchbend'
+};
+
+const SYSTEM_EVENTS = {
+  0xF0: 'sysex',
+  0xF1: 'timecode',
+  0xF2: 'songposition',
+  0xF3: 'songselect',
+  0xF6: 'tunerequest',
+  0xF8: 'clock',
+  0xFA: 'start',
+  0xFB: 'continue',
+  0xFC: 'stop',
+  0xFE: 'activesensing',
+  0xFF: 'reset'
+};
+
+const toMidiValue = (value) => Math.max(0, Math.min(127, Math.round(value)));
+
+// Timestamp of a WebMidi `time` option: a timestamp, '+ms' from now, or now
+const resolveTime = (time) => {
+  const now = performance.now();
+  if (typeof time === 'string' && time.startsWith('+')) return now + (parseFloat(time) || 0);
+  return typeof time === 'number' && time > now ? time : now;
+};
+
+/**
+ * Listener registry with the WebMidi addListener/removeListener surface
+ */
+class VirtualEventTarget {
+  constructor() {
+    this.listeners = new Map(); // Event type -> Set of listeners
+  }
+
+  addListener(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return listener;
+  }
+
+  removeListener(type, listener) {
+    if (type === undefined) {
+      this.listeners.clear();
+    } else if (listener === undefined) {
+      this.listeners.delete(type);
+    } else if (this.listeners.has(type)) {
+      this.listeners.get(type).delete(listener);
+    }
+  }
+
+  hasListener(type, listener) {
+    const listeners = this.listeners.get(type);
+    return !!listeners && (listener === undefined ? listeners.size > 0 : listeners.has(listener));
+  }
+
+  emit(type, event) {
+    (this.listeners.get(type) || []).forEach(listener => listener({ ...event, type, target: this }));
+  }
+}
+
+/**
+ * Decode a message into a WebMidi style event
+ * @returns {Object} { type, channel, event }
+ */
+const decodeMessage = (port, data, timestamp) => {
+  const [status, data1 = 0, data2 = 0] = data;
+  const isChannelMessage = status < 0xF0;
+  const channel = isChannelMessage ? (status & 0x0F) + 1 : undefined;
+  let type = isChannelMessage ? CHANNEL_EVENTS[status >> 4] : SYSTEM_EVENTS[status] || 'unknownmessage';
+
+  const message = {
+    data: [...data],
+    rawData: Uint8Array.from(data),
+    statusByte: status,
+    dataBytes: data.slice(1),
+    channel,
+    command: status >> 4,
+    isChannelMessage,
+    isSystemMessage: !isChannelMessage
+  };
+  const event = { port, timestamp, message, data: message.data, rawData: message.rawData };
+
+  // A note on with velocity 0 is a note off
+  if (type === 'noteon' && data2 === 0) type = 'noteoff';
+
+  switch (type) {
+    case 'noteon':
+    case 'noteoff':
+      event.note = {
+        number: data1,
+        rawAttack: type === 'noteon' ? data2 : 0,
+        attack: type === 'noteon' ? data2 / 127 : 0,
+        rawRelease: type === 'noteoff' ? data2 : 0,
+        release: type === 'noteoff' ? data2 / 127 : 0
+      };
+      event.rawValue = data2;
+      event.value = data2 / 127;
+      break;
+    case 'keyaftertouch':
+      event.note = { number: data1 };
+      event.rawValue = data2;
+      event.value = data2 / 127;
+      break;
+    case 'controlchange':
+      event.controller = { number: data1 };
+      event.rawValue = data2;
+      event.value = data2 / 127;
+      break;
+    case 'programchange':
+      event.rawValue = data1;
+      event.value = data1;
+      break;
+    case 'channelaftertouch':
+      event.rawValue = data1;
+      event.value = data1 / 127;
+      break;
+    case 'pitchbend':
+      event.rawValue = (data2 << 7) | data1;
+      event.value = (event.rawValue - 8192) / 8192;
+      break;
+    default:
+      break;
+  }
+
+  return { type, channel, event };
+};
+
+class VirtualInputChannel extends VirtualEventTarget {
+  constructor(input, number) {
+    super();
+    this.input = input;
+    this.number = number;
+  }
+}
+
+class VirtualInput extends VirtualEventTarget {
+  constructor(id, name) {
+    super();
+    this.id = id;
+    this.name = name;
+    this.manufacturer = 'Virtual';
+    this.type = 'input';
+    this.connection = 'open';
+    this.state = 'connected';
+    this.virtual = true;
+    this.channels = [undefined];
+    for (let number = 1; number <= 16; number++) {
+      this.channels.push(new VirtualInputChannel(this, number));
+    }
+  }
+
+  /**
+   * Take in a message as if a device had sent it
+   * @param {Array} data - Message bytes
+   * @param {Number} timestamp - performance.now() time it arrived
+   */
+  receive(data, timestamp = performance.now()) {
+    const { type, channel, event } = decodeMessage(this, Array.from(data), timestamp);
+
+    this.emit('midimessage', event);
+    this.emit(type, event);
+    if (channel) this.channels[channel].emit(type, event);
+  }
+}
+
+class VirtualOutputChannel {
+  constructor(output, number) {
+    this.output = output;
+    this.number = number;
+  }
+
+  send(message, options = {}) {
+    this.output.send(message, options);
+    return this;
+  }
+
+  status(command) {
+    return (command << 4) | (this.number - 1);
+  }
+
+  sendNoteOn(note, options = {}) {
+    const velocity = options.rawAttack ?? toMidiValue((options.attack ?? 0.5) * 127);
+    return this.send([this.status(0x9), note, velocity], options);
+  }
+
+  sendNoteOff(note, options = {}) {
+    const velocity = options.rawRelease ?? toMidiValue((options.release ?? 0.5) * 127);
+    return this.send([this.status(0x8), note, velocity], options);
+  }
+
+  sendKeyAftertouch(note, pressure, options = {}) {
+    return this.send([this.status(0xA), note, toMidiValue(pressure * 127)], options);
+  }
+
+  sendControlChange(controller, value, options = {}) {
+    return this.send([this.status(0xB), controller, toMidiValue(value)], options);
+  }
+
+  sendProgramChange(program, options = {}) {
+    return this.send([this.status(0xC), toMidiValue(program)], options);
+  }
+
+  sendChannelAftertouch(pressure, options = {}) {
+    return this.send([this.status(0xD), toMidiValue(pressure * 127)], options);
+  }
+
+  sendPitchBend(value, options = {}) {
+    const bend = Math.max(0, Math.min(16383, Math.round((value + 1) / 2 * 16383)));
+    return this.send([this.status(0xE), bend & 0x7F, bend >> 7], options);
+  }
+
+  sendAllSoundOff(options = {}) {
+    return this.sendControlChange(120, 0, options);
+  }
+
+  sendResetAllControllers(options = {}) {
+    return this.sendControlChange(121, 0, options);
+  }
+
+  sendAllNotesOff(options = {}) {
+    return this.sendControlChange(123, 0, options);
+  }
+}
+
+class VirtualOutput {
+  /**
+   * @param {String} id - Port id
+   * @param {String} name - Port name
+   * @param {VirtualInput} input - Input the messages are echoed to
+   */
+  constructor(id, name, input) {
+    this.id = id;
+    this.name = name;
+    this.manufacturer = 'Virtual';
+    this.type = 'output';
+    this.connection = 'open';
+    this.state = 'connected';
+    this.virtual = true;
+    this.input = input;
+    this.echo = false;          // Echo messages back out of the input
+    this.messages = [];         // [{ data, time }] in the order they were sent
+    this.timers = new Set();    // Pending echoes
+    this.channels = [undefined];
+    for (let number = 1; number <= 16; number++) {
+      this.channels.push(new VirtualOutputChannel(this, number));
+    }
+  }
+
+  /**
+   * Send raw message bytes
+   * @param {Array} message - Message bytes
+   * @param {Object} options - { time } as for WebMidi outputs
+   */
+  send(message, options = {}) {
+    const data = Array.from(message);
+    const time = resolveTime(options && options.time);
+
+    this.messages.push({ data, time });
+    if (this.messages.length > MAX_RECORDED_MESSAGES) this.messages.shift();
+
+    if (this.echo && this.input) {
+      const delay = time - performance.now();
+      if (delay <= 0) {
+        this.input.receive(data, time);
+      } else {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          this.input.receive(data, time);
+        }, delay);
+        this.timers.add(timer);
+      }
+    }
+    return this;
+  }
+
+  sendClock(options = {}) {
+    return this.send([0xF8], options);
+  }
+
+  sendStart(options = {}) {
+    return this.send([0xFA], options);
+  }
+
+  sendContinue(options = {}) {
+    return this.send([0xFB], options);
+  }
+
+  sendStop(options = {}) {
+    return this.send([0xFC], options);
+  }
+
+  /**
+   * Forget the recorded messages and drop echoes not yet delivered
+   */
+  clear() {
+    this.messages = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+/**
+ * Create a loopback output/input pair
+ * @param {Object} options - { id, name, echo }
+ * @returns {Object} { output, input }
+ */
+export const createVirtualMidiDevice = ({ id = 'virtual-loopback', name = 'Virtual Loopback', echo = false } = {}) => {
+  const input = new VirtualInput(id, name);
+  const output = new VirtualOutput(id, name, input);
+  output.echo = echo;
+  return { output, input };
+};
+
+// Export singleton instance: the loopback offered as a MIDI output in the app
+export default createVirtualMidiDevice();
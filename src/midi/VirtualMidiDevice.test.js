@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createVirtualMidiDevice } from './VirtualMidiDevice';
+import { sendNoteOn, sendNoteOff, sendPitchBendRange } from './midiUtils';
+
+describe('VirtualMidiDevice', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('records what the output is sent', () => {
+    const { output } = createVirtualMidiDevice();
+
+    sendNoteOn(output, 60, 100, 2);
+    sendNoteOff(output, 60, 2);
+
+    expect(output.messages.map(message => message.data)).toEqual([
+      [0x91, 60, 100],
+      [0x81, 60, 64]
+    ]);
+  });
+
+  it('sends RPN sequences in order, followed by the null RPN', () => {
+    const { output } = createVirtualMidiDevice();
+
+    sendPitchBendRange(output, 12, 0, 1);
+
+    expect(output.messages.map(message => message.data)).toEqual([
+      [0xB0, 101, 0],
+      [0xB0, 100, 0],
+      [0xB0, 6, 12],
+      [0xB0, 38, 0],
+      [0xB0, 101, 127],
+      [0xB0, 100, 127]
+    ]);
+  });
+
+  it('does not echo unless asked to', () => {
+    const { output, input } = createVirtualMidiDevice();
+    const listener = vi.fn();
+    input.addListener('midimessage', listener);
+
+    output.channels[1].sendControlChange(4, 3);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('echoes messages back out of the input as WebMidi style events', () => {
+    const { output, input } = createVirtualMidiDevice({ echo: true });
+    const onInput = vi.fn();
+    const onChannel = vi.fn();
+    input.addListener('noteon', onInput);
+    input.channels[3].addListener('noteon', onChannel);
+
+    output.channels[3].sendNoteOn(64, { rawAttack: 90 });
+
+    expect(onInput).toHaveBeenCalledTimes(1);
+    expect(onChannel).toHaveBeenCalledTimes(1);
+    const event = onInput.mock.calls[0][0];
+    expect(event.type).toBe('noteon');
+    expect(event.note.number).toBe(64);
+    expect(event.note.rawAttack).toBe(90);
+    expect(event.message.channel).toBe(3);
+  });
+
+  it('echoes scheduled messages at their time', () => {
+    vi.useFakeTimers();
+    const { output, input } = createVirtualMidiDevice({ echo: true });
+    const listener = vi.fn();
+    input.addListener('controlchange', listener);
+
+    output.channels[1].sendControlChange(7, 100, { time: performance.now() + 50 });
+    expect(listener).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(50);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].rawValue).toBe(100);
+  });
+
+  it('drops echoes not yet delivered when cleared', () => {
+    vi.useFakeTimers();
+    const { output, input } = createVirtualMidiDevice({ echo: true });
+    const listener = vi.fn();
+    input.addListener('midimessage', listener);
+
+    output.sendClock({ time: '+20' });
+    output.clear();
+    vi.advanceTimersByTime(20);
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(output.messages).toEqual([]);
+  });
+
+  it('turns a note on with velocity 0 into a note off', () => {
+    const { input } = createVirtualMidiDevice();
+    const onNoteOff = vi.fn();
+    input.addListener('noteoff', onNoteOff);
+
+    input.receive([0x90, 60, 0]);
+
+    expect(onNoteOff).toHaveBeenCalledTimes(1);
+    expect(onNoteOff.mock.calls[0][0].note.number).toBe(60);
+  });
+
+  it('decodes pitch bend around the center', () => {
+    const { input } = createVirtualMidiDevice();
+    const listener = vi.fn();
+    input.addListener('pitchbend', listener);
+
+    input.receive([0xE0, 0x00, 0x40]);
+
+    expect(listener.mock.calls[0][0].value).toBe(0);
+  });
+});
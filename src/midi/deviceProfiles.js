@@ -0,0 +1,174 @@
+/**
+ * Device Profiles
+ * Describe the synths and drum machines tracks can be routed to, so each
+ * track plays within what its device understands. A profile is plain JSON:
+ *
+ *   {
+ *     "name": "TR-8S",
+ *     "match": ["tr-8s"],                     // Case-insensitive parts of the port name
+ *     "channels": [10],                       // Channels the device listens on (first = default)
+ *     "ccMap": { "ACCENT": 71, "DELAY": 16 }, // Parameter names to CC numbers
+ *     "noteRange": { "low": 36, "high": 59 }, // Notes outside are folded in by octaves
+ *     "polyphony": 11                         // Notes a track may hold at once on the device
+ *   }
+ *
+ * The MegaFM is the first built-in profile; user profiles are loaded from
+ * JSON files and take precedence when matching port names.
+ */
+
+import { CC, MEGAFM_CHANNEL } from './midiUtils';
+
+const ALL_CHANNELS = Array.from({ length: 16 }, (_, i) => i + 1);
+
+// Controllers most synths respond to
+const GENERAL_CC_MAP = {
+  MOD_WHEEL: 1,
+  VOLUME: 7,
+  PAN: 10,
+  EXPRESSION: 11,
+  SUSTAIN: 64,
+  RESONANCE: 71,
+  CUTOFF: 74
+};
+
+export const DEVICE_PROFILES = {
+  megafm: {
+    name: 'MegaFM',
+    match: ['megafm', 'mega'],
+    channels: [MEGAFM_CHANNEL],
+    ccMap: CC,
+    noteRange: { low: 0, high: 127 },
+    polyphony: 12
+  },
+  gmDrums: {
+    name: 'GM Drums',
+    match: ['drum', 'tr-', 'rd-'],
+    channels: [10],
+    ccMap: { VOLUME: 7, PAN: 10 },
+    noteRange: { low: 35, high: 81 },    // General MIDI percussion key map
+    polyphony: 16
+  },
+  generic: {
+    name: 'Generic synth',
+    match: [],
+    channels: ALL_CHANNELS,
+    ccMap: GENERAL_CC_MAP,
+    noteRange: { low: 0, high: 127 },
+    polyphony: 16
+  }
+};
+
+// Profile used for ports no profile matches
+export const FALLBACK_PROFILE_ID = 'generic';
+
+const isMidiNumber = (value, min = 0, max = 127) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check that a (user loaded) device profile is usable
+ * @param {Object} profile - Device profile
+ * @returns {string|null} Error message, or null when the profile is valid
+ */
+export function validateDeviceProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return 'Device profile must be an object';
+  }
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+    return 'Device profile needs a name';
+  }
+  if (profile.match !== undefined &&
+      (!Array.isArray(profile.match) || !profile.match.every(part => typeof part === 'string' && part !== ''))) {
+    return 'Device profile "match" must be a list of port name parts';
+  }
+  if (profile.channels !== undefined &&
+      (!Array.isArray(profile.channels) || profile.channels.length === 0 ||
+       !profile.channels.every(channel => isMidiNumber(channel, 1, 16)))) {
+    return 'Device profile "channels" must be a non-empty list of channels 1-16';
+  }
+  if (profile.ccMap !== undefined &&
+      (!profile.ccMap || typeof profile.ccMap !== 'object' || Array.isArray(profile.ccMap) ||
+       !Object.values(profile.ccMap).every(cc => isMidiNumber(cc, 0, 119)))) {
+    return 'Device profile "ccMap" must map parameter names to CC numbers 0-119';
+  }
+  if (profile.noteRange !== undefined) {
+    const { low, high } = profile.noteRange || {};
+    if (!isMidiNumber(low) || !isMidiNumber(high) || low > high) {
+      return 'Device profile "noteRange" needs notes "low" and "high" (0-127, low first)';
+    }
+  }
+  if (profile.polyphony !== undefined && !isMidiNumber(profile.polyphony, 1, 128)) {
+    return 'Device profile "polyphony" must be a number of notes (1-128)';
+  }
+
+  return null;
+}
+
+/**
+ * Fill in the optional fields of a valid profile
+ * @param {Object} profile - Device profile that passed validateDeviceProfile
+ * @returns {Object} Profile with every field set
+ */
+export function normalizeDeviceProfile(profile) {
+  return {
+    name: profile.name.trim(),
+    match: profile.match || [],
+    channels: profile.channels || ALL_CHANNELS,
+    ccMap: profile.ccMap || {},
+    noteRange: profile.noteRange || { low: 0, high: 127 },
+    polyphony: profile.polyphony || 16
+  };
+}
+
+/**
+ * Look up a device profile by id
+ * @param {string} profileId - Built-in or custom profile id
+ * @param {Object} customProfiles - User loaded profiles by id
+ * @returns {Object} Device profile (the fallback profile when not found)
+ */
+export function getDeviceProfile(profileId, customProfiles = {}) {
+  return customProfiles[profileId] || DEVICE_PROFILES[profileId] || DEVICE_PROFILES[FALLBACK_PROFILE_ID];
+}
+
+/**
+ * Find the profile whose name match fits a port name
+ * User profiles are tried before the built-in ones.
+ * @param {string} portName - MIDI port name
+ * @param {Object} customProfiles - User loaded profiles by id
+ * @returns {string} Profile id (FALLBACK_PROFILE_ID when nothing matches)
+ */
+export function matchDeviceProfile(portName, customProfiles = {}) {
+  const name = (portName || '').toLowerCase();
+  const candidates = [...Object.entries(customProfiles), ...Object.entries(DEVICE_PROFILES)];
+
+  const match = candidates.find(([, profile]) =>
+    (profile.match || []).some(part => name.includes(part.toLowerCase()))
+  );
+  return match ? match[0] : FALLBACK_PROFILE_ID;
+}
+
+/**
+ * Profile id of an output: the one picked for it, or the one its name matches
+ * @param {Object} output - { id, name } of a MIDI output
+ * @param {Object} midiState - midi slice state (deviceProfiles, outputProfiles)
+ * @returns {string} Profile id
+ */
+export function getOutputProfileId(output, midiState) {
+  if (!output) return FALLBACK_PROFILE_ID;
+  const { deviceProfiles = {}, outputProfiles = {} } = midiState;
+  return outputProfiles[output.id] || matchDeviceProfile(output.name, deviceProfiles);
+}
+
+/**
+ * Fold a pitch into a note range by octaves (clamped when the range is
+ * narrower than an octave)
+ * @param {number} pitch - MIDI note number
+ * @param {Object} noteRange - { low, high }
+ * @returns {number} Pitch within the range
+ */
+export function fitNoteRange(pitch, { low, high }) {
+  if (high - low < 11) return Math.max(low, Math.min(high, pitch));
+
+  let fitted = pitch;
+  while (fitted < low) fitted += 12;
+  while (fitted > high) fitted -= 12;
+  return fitted;
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  DEVICE_PROFILES,
+  FALLBACK_PROFILE_ID,
+  validateDeviceProfile,
+  normalizeDeviceProfile,
+  getDeviceProfile,
+  matchDeviceProfile,
+  getOutputProfileId,
+  fitNoteRange
+} from './deviceProfiles';
+import { CC, resolveCC, setOutputCCMap } from './midiUtils';
+
+const TR8S = {
+  name: 'TR-8S',
+  match: ['tr-8s'],
+  channels: [10],
+  ccMap: { VOICE_GLIDE: 71 },
+  noteRange: { low: 36, high: 59 },
+  polyphony: 11
+};
+
+describe('validateDeviceProfile', () => {
+  it('accepts the built-in profiles and a complete user profile', () => {
+    Object.values(DEVICE_PROFILES).forEach(profile => {
+      expect(validateDeviceProfile(profile)).toBeNull();
+    });
+    expect(validateDeviceProfile(TR8S)).toBeNull();
+  });
+
+  it('only needs a name', () => {
+    expect(validateDeviceProfile({ name: 'Minimal' })).toBeNull();
+    expect(validateDeviceProfile({ name: ' ' })).toMatch(/name/);
+    expect(validateDeviceProfile(null)).toMatch(/object/);
+  });
+
+  it('checks each optional field', () => {
+    expect(validateDeviceProfile({ name: 'A', match: ['ok', ''] })).toMatch(/match/);
+    expect(validateDeviceProfile({ name: 'A', channels: [] })).toMatch(/channels/);
+    expect(validateDeviceProfile({ name: 'A', channels: [0] })).toMatch(/channels/);
+    expect(validateDeviceProfile({ name: 'A', ccMap: [71] })).toMatch(/ccMap/);
+    expect(validateDeviceProfile({ name: 'A', ccMap: { CUTOFF: 120 } })).toMatch(/ccMap/);
+    expect(validateDeviceProfile({ name: 'A', noteRange: { low: 60, high: 40 } })).toMatch(/noteRange/);
+    expect(validateDeviceProfile({ name: 'A', noteRange: { low: 0 } })).toMatch(/noteRange/);
+    expect(validateDeviceProfile({ name: 'A', polyphony: 0 })).toMatch(/polyphony/);
+  });
+});
+
+describe('normalizeDeviceProfile', () => {
+  it('fills in the optional fields', () => {
+    const profile = normalizeDeviceProfile({ name: '  Minimal ' });
+
+    expect(profile).toEqual({
+      name: 'Minimal',
+      match: [],
+      channels: Array.from({ length: 16 }, (_, i) => i + 1),
+      ccMap: {},
+      noteRange: { low: 0, high: 127 },
+      polyphony: 16
+    });
+  });
+
+  it('keeps the fields that were given', () => {
+    expect(normalizeDeviceProfile(TR8S)).toEqual(TR8S);
+  });
+});
+
+describe('profile lookup', () => {
+  const custom = { tr8s: TR8S };
+
+  it('finds custom profiles, then built-in ones, then the fallback', () => {
+    expect(getDeviceProfile('tr8s', custom)).toBe(TR8S);
+    expect(getDeviceProfile('megafm', custom)).toBe(DEVICE_PROFILES.megafm);
+    expect(getDeviceProfile('missing', custom)).toBe(DEVICE_PROFILES[FALLBACK_PROFILE_ID]);
+  });
+
+  it('matches port names case-insensitively, user profiles first', () => {
+    expect(matchDeviceProfile('MegaFM MIDI 1')).toBe('megafm');
+    expect(matchDeviceProfile('Roland TR-8S')).toBe('gmDrums');
+    expect(matchDeviceProfile('Roland TR-8S', custom)).toBe('tr8s');
+    expect(matchDeviceProfile('IAC Bus 1')).toBe(FALLBACK_PROFILE_ID);
+    expect(matchDeviceProfile(undefined)).toBe(FALLBACK_PROFILE_ID);
+  });
+
+  it('prefers the profile picked for an output over its name', () => {
+    const output = { id: 'out-1', name: 'MegaFM' };
+
+    expect(getOutputProfileId(output, {})).toBe('megafm');
+    expect(getOutputProfileId(output, { outputProfiles: { 'out-1': 'generic' } })).toBe('generic');
+    expect(getOutputProfileId(null, {})).toBe(FALLBACK_PROFILE_ID);
+  });
+});
+
+describe('fitNoteRange', () => {
+  it('folds notes into the range by octaves', () => {
+    expect(fitNoteRange(30, { low: 36, high: 59 })).toBe(42);
+    expect(fitNoteRange(72, { low: 36, high: 59 })).toBe(48);
+    expect(fitNoteRange(40, { low: 36, high: 59 })).toBe(40);
+  });
+
+  it('clamps to a range narrower than an octave', () => {
+    expect(fitNoteRange(30, { low: 36, high: 40 })).toBe(36);
+    expect(fitNoteRange(50, { low: 36, high: 40 })).toBe(40);
+  });
+});
+
+describe('CC maps', () => {
+  const output = { id: 'tr8s-out' };
+
+  afterEach(() => {
+    setOutputCCMap(output.id, null);
+  });
+
+  it('sends MegaFM numbers to outputs without a map', () => {
+    expect(resolveCC(output, CC.VOICE_GLIDE)).toBe(CC.VOICE_GLIDE);
+  });
+
+  it('sends the parameters a profile names as it numbers them', () => {
+    setOutputCCMap(output.id, TR8S.ccMap);
+
+    expect(resolveCC(output, CC.VOICE_GLIDE)).toBe(71);
+    expect(resolveCC(output, CC.FAT)).toBe(CC.FAT);
+  });
+
+  it('leaves the MegaFM profile as it is', () => {
+    setOutputCCMap(output.id, DEVICE_PROFILES.megafm.ccMap);
+
+    Object.values(CC).forEach(cc => expect(resolveCC(output, cc)).toBe(cc));
+  });
+});
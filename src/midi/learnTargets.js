@@ -0,0 +1,148 @@
+/**
+ * MIDI Learn targets
+ * The parameters a controller CC can be bound to, and the checks a saved
+ * mapping has to pass before it is loaded. Targets are paths into the state:
+ *   'tempo', 'algorithm.<algorithm>.<parameter>', 'visualizer.<setting>'
+ *
+ * Kept apart from MidiLearn.js so the midi slice can validate mappings
+ * without importing the learn listener (which imports the slice).
+ */
+
+import { algorithmSlice, STEP_COUNT_PARAMETERS } from '../state/algorithmSlice';
+import {
+  setVisualizationMode, setColorScheme, setNoteSize, setRenderQuality
+} from '../state/visualizerSlice';
+import { ALGORITHM_CONFIG } from '../config/constants';
+
+// Visualizer settings that can be learned, with the action that sets them
+export const VISUALIZER_ACTIONS = {
+  visualizationMode: setVisualizationMode,
+  colorScheme: setColorScheme,
+  noteSize: setNoteSize,
+  renderQuality: setRenderQuality
+};
+
+const TAKEOVER_MODES = ['pickup', 'jump'];
+
+const isMidiNumber = (value, min = 0, max = 127) => Number.isInteger(value) && value >= min && value <= max;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Whether a target names a parameter that can be learned
+ * @param {string} target - Target path
+ * @returns {boolean}
+ */
+export const isLearnTarget = (target) => {
+  if (typeof target !== 'string') return false;
+  const [scope, key, parameter, ...rest] = target.split('.');
+  if (rest.length > 0) return false;
+  if (scope === 'tempo') return key === undefined;
+  if (scope === 'visualizer') return parameter === undefined && Object.hasOwn(VISUALIZER_ACTIONS, key);
+  if (scope === 'algorithm') {
+    const { algorithms } = algorithmSlice.getInitialState();
+    return Object.hasOwn(algorithms, key) && Object.hasOwn(algorithms[key].parameters, parameter);
+  }
+  return false;
+};
+
+// Range a target may be moved within, when the state has one
+const getTargetLimits = (target) => {
+  if (target === 'tempo') return { min: ALGORITHM_CONFIG.MIN_TEMPO, max: ALGORITHM_CONFIG.MAX_TEMPO };
+  const [scope, , parameter] = target.split('.');
+  if (scope === 'algorithm' && STEP_COUNT_PARAMETERS.includes(parameter)) {
+    return { min: ALGORITHM_CONFIG.MIN_STEPS, max: ALGORITHM_CONFIG.MAX_STEPS };
+  }
+  return null;
+};
+
+// Options of a list mapping that stay within the target's range
+const allowedOptions = (target, options) => {
+  const limits = getTargetLimits(target);
+  return limits
+    ? options.filter(option => typeof option === 'number' && option >= limits.min && option <= limits.max)
+    : options;
+};
+
+/**
+ * Check that a (session loaded) mapping is usable
+ * @param {Object} mapping - Mapping as made by MidiLearn.createMapping
+ * @returns {string|null} Error message, or null when the mapping is valid
+ */
+export function validateMidiMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object') {
+    return 'Mapping must be an object';
+  }
+  if (!isLearnTarget(mapping.target)) {
+    return `Mapping target "${mapping.target}" is not a parameter that can be learned`;
+  }
+  if (typeof mapping.input !== 'string') {
+    return 'Mapping needs the name of its MIDI input';
+  }
+  if (!isMidiNumber(mapping.channel, 1, 16)) {
+    return 'Mapping "channel" must be a channel 1-16';
+  }
+  if (!isMidiNumber(mapping.cc)) {
+    return 'Mapping "cc" must be a CC number 0-127';
+  }
+  if (mapping.options !== undefined) {
+    if (!Array.isArray(mapping.options) ||
+        !mapping.options.every(option => typeof option === 'string' || Number.isFinite(option))) {
+      return 'Mapping "options" must be a list of values';
+    }
+    if (allowedOptions(mapping.target, mapping.options).length === 0) {
+      return 'Mapping "options" has no value within the range of its target';
+    }
+    return null;
+  }
+
+  const { min, max, step } = mapping;
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+    return 'Mapping needs a range "min" and "max" (min first)';
+  }
+  if (!Number.isFinite(step) || step <= 0) {
+    return 'Mapping "step" must be a positive number';
+  }
+  const limits = getTargetLimits(mapping.target);
+  if (limits && (max < limits.min || min > limits.max)) {
+    return 'Mapping range lies outside the range of its target';
+  }
+
+  return null;
+}
+
+/**
+ * Fit a valid mapping to its target: the range within the target's limits,
+ * low and high within the range, and the takeover mode known
+ * @param {Object} mapping - Mapping that passed validateMidiMapping
+ * @returns {Object} Mapping
+ */
+export function normalizeMidiMapping(mapping) {
+  const { target, input, channel, cc } = mapping;
+  const normalized = {
+    id: `${input}:${channel}:${cc}`,
+    target,
+    label: typeof mapping.label === 'string' ? mapping.label : target,
+    input,
+    channel,
+    cc,
+    takeover: TAKEOVER_MODES.includes(mapping.takeover) ? mapping.takeover : 'pickup'
+  };
+
+  let min;
+  let max;
+  if (mapping.options) {
+    normalized.options = allowedOptions(target, mapping.options);
+    min = 0;
+    max = normalized.options.length - 1;
+  } else {
+    const limits = getTargetLimits(target) || { min: -Infinity, max: Infinity };
+    min = clamp(mapping.min, limits.min, limits.max);
+    max = clamp(mapping.max, limits.min, limits.max);
+    Object.assign(normalized, { min, max, step: mapping.step });
+  }
+
+  normalized.low = Number.isFinite(mapping.low) ? clamp(mapping.low, min, max) : min;
+  normalized.high = Number.isFinite(mapping.high) ? clamp(mapping.high, min, max) : max;
+  return normalized;
+}
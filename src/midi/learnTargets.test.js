@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { isLearnTarget, validateMidiMapping, normalizeMidiMapping } from './learnTargets';
+import midiReducer, { loadMidiMappings } from '../state/midiSlice';
+import { ALGORITHM_CONFIG } from '../config/constants';
+
+const TEMPO = {
+  id: 'Knobs:1:20',
+  target: 'tempo',
+  label: 'tempo',
+  min: 60,
+  max: 200,
+  step: 1,
+  input: 'Knobs',
+  channel: 1,
+  cc: 20,
+  low: 60,
+  high: 200,
+  takeover: 'pickup'
+};
+
+const MODE = {
+  id: 'Knobs:1:21',
+  target: 'visualizer.visualizationMode',
+  label: 'visualizationMode',
+  options: ['pianoRoll', 'fluid'],
+  input: 'Knobs',
+  channel: 1,
+  cc: 21,
+  low: 0,
+  high: 1,
+  takeover: 'jump'
+};
+
+describe('isLearnTarget', () => {
+  it('knows the tempo, generator parameters and learnable visualizer settings', () => {
+    expect(isLearnTarget('tempo')).toBe(true);
+    expect(isLearnTarget('algorithm.euclidean.steps')).toBe(true);
+    expect(isLearnTarget('visualizer.noteSize')).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    expect(isLearnTarget('algorithm.euclidean.missing')).toBe(false);
+    expect(isLearnTarget('algorithm.toString.x')).toBe(false);
+    expect(isLearnTarget('visualizer.cameraPosition')).toBe(false);
+    expect(isLearnTarget('tempo.fast')).toBe(false);
+    expect(isLearnTarget(42)).toBe(false);
+    expect(isLearnTarget(undefined)).toBe(false);
+  });
+});
+
+describe('validateMidiMapping', () => {
+  it('accepts the mappings MidiLearn makes', () => {
+    expect(validateMidiMapping(TEMPO)).toBeNull();
+    expect(validateMidiMapping(MODE)).toBeNull();
+  });
+
+  it('checks the target, source and range', () => {
+    expect(validateMidiMapping(null)).toMatch(/object/);
+    expect(validateMidiMapping({ ...TEMPO, target: undefined })).toMatch(/target/);
+    expect(validateMidiMapping({ ...TEMPO, channel: 0 })).toMatch(/channel/);
+    expect(validateMidiMapping({ ...TEMPO, channel: 1.5 })).toMatch(/channel/);
+    expect(validateMidiMapping({ ...TEMPO, cc: 128 })).toMatch(/cc/);
+    expect(validateMidiMapping({ ...TEMPO, min: 200, max: 60 })).toMatch(/min/);
+    expect(validateMidiMapping({ ...TEMPO, step: 0 })).toMatch(/step/);
+    expect(validateMidiMapping({ ...TEMPO, min: 1000, max: 2000 })).toMatch(/outside/);
+    expect(validateMidiMapping({ ...MODE, options: [{}] })).toMatch(/options/);
+  });
+});
+
+describe('normalizeMidiMapping', () => {
+  it('keeps the range of a step count within the step limits', () => {
+    const mapping = normalizeMidiMapping({
+      ...TEMPO, target: 'algorithm.fractal.length', min: 0, max: 1000, low: -5, high: 500
+    });
+
+    expect(mapping).toMatchObject({
+      min: ALGORITHM_CONFIG.MIN_STEPS,
+      max: ALGORITHM_CONFIG.MAX_STEPS,
+      low: ALGORITHM_CONFIG.MIN_STEPS,
+      high: ALGORITHM_CONFIG.MAX_STEPS
+    });
+  });
+
+  it('drops list options outside the target range and keeps indices on the list', () => {
+    const mapping = normalizeMidiMapping({
+      ...MODE, target: 'algorithm.euclidean.steps', options: [2, 8, 16, 512], high: 3
+    });
+
+    expect(mapping.options).toEqual([8, 16]);
+    expect(mapping.high).toBe(1);
+  });
+});
+
+describe('loadMidiMappings', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('drops malformed mappings and clamps the rest', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const state = midiReducer(undefined, loadMidiMappings([
+      { ...TEMPO, max: 999, high: 999 },
+      { ...MODE, target: 'visualizer.cameraPosition' },
+      { ...MODE, cc: 21, channel: 17 },
+      { cc: 1 },
+      'tempo',
+      { ...MODE, takeover: 'sometimes' }
+    ]));
+
+    expect(state.midiMappings).toEqual([
+      { ...TEMPO, max: ALGORITHM_CONFIG.MAX_TEMPO, high: ALGORITHM_CONFIG.MAX_TEMPO },
+      { ...MODE, takeover: 'pickup' }
+    ]);
+    expect(warn).toHaveBeenCalledTimes(4);
+  });
+
+  it('keeps one mapping per control and per parameter', () => {
+    const state = midiReducer(undefined, loadMidiMappings([TEMPO, { ...TEMPO, cc: 30 }]));
+
+    expect(state.midiMappings).toHaveLength(1);
+    expect(state.midiMappings[0].cc).toBe(30);
+  });
+
+  it('loads nothing from anything but a list', () => {
+    expect(midiReducer(undefined, loadMidiMappings({ 0: TEMPO })).midiMappings).toEqual([]);
+  });
+});
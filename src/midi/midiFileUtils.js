@@ -0,0 +1,151 @@
+/**
+ * MIDI File Utility Functions
+ * Writing Standard MIDI Files (SMF) so patterns and recordings can be
+ * dragged straight into a DAW.
+ *
+ * Events are passed around as { tick, data } where data holds the raw
+ * MIDI (or meta) message bytes and tick is the absolute position in ticks.
+ */
+
+import { downloadBlob } from '../utils/downloadUtils';
+
+export const DEFAULT_PPQ = 480; // Ticks per quarter note
+
+const META = {
+  TRACK_NAME: 0x03,
+  END_OF_TRACK: 0x2F,
+  TEMPO: 0x51,
+  TIME_SIGNATURE: 0x58
+};
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {Array} Bytes, most significant first
+ */
+export function encodeVariableLength(value) {
+  let buffer = Math.max(0, Math.round(value)) & 0x0FFFFFFF;
+  const bytes = [buffer & 0x7F];
+
+  while ((buffer >>= 7) > 0) {
+    bytes.unshift((buffer & 0x7F) | 0x80);
+  }
+
+  return bytes;
+}
+
+/**
+ * Create a meta event message
+ * @param {number} type - Meta event type
+ * @param {Array} bytes - Event data
+ * @returns {Array} Message bytes
+ */
+export function metaEvent(type, bytes = []) {
+  return [0xFF, type, ...encodeVariableLength(bytes.length), ...bytes];
+}
+
+/**
+ * Track name meta event
+ * @param {string} name - Track name
+ * @returns {Array} Message bytes
+ */
+export function trackNameEvent(name) {
+  return metaEvent(META.TRACK_NAME, Array.from(new TextEncoder().encode(name)));
+}
+
+/**
+ * Tempo meta event
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {Array} Message bytes
+ */
+export function tempoEvent(bpm) {
+  const microsecondsPerQuarter = Math.round(60000000 / bpm);
+  return metaEvent(META.TEMPO, [
+    (microsecondsPerQuarter >> 16) & 0xFF,
+    (microsecondsPerQuarter >> 8) & 0xFF,
+    microsecondsPerQuarter & 0xFF
+  ]);
+}
+
+/**
+ * Time signature meta event
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit (4 = quarter note)
+ * @returns {Array} Message bytes
+ */
+export function timeSignatureEvent(numerator = 4, denominator = 4) {
+  return metaEvent(META.TIME_SIGNATURE, [numerator, Math.log2(denominator), 24, 8]);
+}
+
+// Order of events that share a tick: meta first, then note offs, then
+// controller/program changes, then note ons
+const getEventOrder = (data) => {
+  const status = data[0] & 0xF0;
+  if (data[0] === 0xFF) return 0;
+  if (status === 0x80 || (status === 0x90 && data[2] === 0)) return 1;
+  if (status === 0x90) return 3;
+  return 2;
+};
+
+/**
+ * Build a track chunk ('MTrk') from events
+ * @param {Array} events - [{ tick, data }] in any order
+ * @returns {Array} Chunk bytes
+ */
+export function createTrackChunk(events) {
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) =>
+      a.tick - b.tick ||
+      getEventOrder(a.data) - getEventOrder(b.data) ||
+      a.index - b.index
+    );
+
+  const body = [];
+  let lastTick = 0;
+
+  sorted.forEach(({ tick, data }) => {
+    const absoluteTick = Math.max(lastTick, Math.round(tick));
+    body.push(...encodeVariableLength(absoluteTick - lastTick), ...data);
+    lastTick = absoluteTick;
+  });
+
+  body.push(0, ...metaEvent(META.END_OF_TRACK));
+
+  return [
+    0x4D, 0x54, 0x72, 0x6B, // 'MTrk'
+    (body.length >> 24) & 0xFF,
+    (body.length >> 16) & 0xFF,
+    (body.length >> 8) & 0xFF,
+    body.length & 0xFF,
+    ...body
+  ];
+}
+
+/**
+ * Build a Type 1 Standard MIDI File
+ * @param {Array} tracks - Event lists, one per track (the first is usually the tempo track)
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {Uint8Array} File contents
+ */
+export function createMidiFile(tracks, ppq = DEFAULT_PPQ) {
+  const header = [
+    0x4D, 0x54, 0x68, 0x64, // 'MThd'
+    0, 0, 0, 6,             // Header length
+    0, 1,                   // Format 1: simultaneous tracks
+    (tracks.length >> 8) & 0xFF, tracks.length & 0xFF,
+    (ppq >> 8) & 0x7F, ppq & 0xFF
+  ];
+
+  const chunks = tracks.map(events => createTrackChunk(events));
+  return new Uint8Array([...header, ...chunks.flat()]);
+}
+
+/**
+ * Offer a MIDI file for download
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadMidiFile(bytes, filename) {
+  downloadBlob(bytes, filename.endsWith('.mid') ? filename : `${filename}.mid`, 'audio/midi');
+}
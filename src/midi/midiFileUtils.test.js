@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PPQ,
+  encodeVariableLength,
+  metaEvent,
+  trackNameEvent,
+  tempoEvent,
+  timeSignatureEvent,
+  createTrackChunk,
+  createMidiFile
+} from './midiFileUtils';
+
+const END_OF_TRACK = [0x00, 0xFF, 0x2F, 0x00];
+
+// Body of a track chunk, after 'MTrk' and its length
+const chunkBody = (chunk) => chunk.slice(8);
+
+describe('encodeVariableLength', () => {
+  it('encodes the examples from the SMF specification', () => {
+    expect(encodeVariableLength(0)).toEqual([0x00]);
+    expect(encodeVariableLength(0x40)).toEqual([0x40]);
+    expect(encodeVariableLength(0x7F)).toEqual([0x7F]);
+    expect(encodeVariableLength(0x80)).toEqual([0x81, 0x00]);
+    expect(encodeVariableLength(0x2000)).toEqual([0xC0, 0x00]);
+    expect(encodeVariableLength(0x3FFF)).toEqual([0xFF, 0x7F]);
+    expect(encodeVariableLength(0x4000)).toEqual([0x81, 0x80, 0x00]);
+    expect(encodeVariableLength(0x0FFFFFFF)).toEqual([0xFF, 0xFF, 0xFF, 0x7F]);
+  });
+
+  it('rounds and never goes negative', () => {
+    expect(encodeVariableLength(-5)).toEqual([0x00]);
+    expect(encodeVariableLength(127.6)).toEqual([0x81, 0x00]);
+  });
+});
+
+describe('meta events', () => {
+  it('prefixes the data with its length', () => {
+    expect(metaEvent(0x2F)).toEqual([0xFF, 0x2F, 0x00]);
+    expect(metaEvent(0x01, [1, 2, 3])).toEqual([0xFF, 0x01, 0x03, 1, 2, 3]);
+  });
+
+  it('encodes track names as UTF-8', () => {
+    expect(trackNameEvent('Bass')).toEqual([0xFF, 0x03, 0x04, 0x42, 0x61, 0x73, 0x73]);
+  });
+
+  it('encodes the tempo in microseconds per quarter note', () => {
+    // 120 BPM = 500000 us = 0x07A120
+    expect(tempoEvent(120)).toEqual([0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20]);
+  });
+
+  it('encodes the time signature denominator as a power of two', () => {
+    expect(timeSignatureEvent(3, 8)).toEqual([0xFF, 0x58, 0x04, 3, 3, 24, 8]);
+  });
+});
+
+describe('createTrackChunk', () => {
+  it('writes delta times and ends the track', () => {
+    const chunk = createTrackChunk([
+      { tick: 0, data: [0x90, 60, 100] },
+      { tick: 480, data: [0x80, 60, 0] }
+    ]);
+
+    expect(chunk.slice(0, 4)).toEqual([0x4D, 0x54, 0x72, 0x6B]);
+    expect(chunkBody(chunk)).toEqual([
+      0x00, 0x90, 60, 100,
+      0x83, 0x60, 0x80, 60, 0,
+      ...END_OF_TRACK
+    ]);
+  });
+
+  it('stores the body length big-endian', () => {
+    const chunk = createTrackChunk([{ tick: 0, data: [0x90, 60, 100] }]);
+    const length = (chunk[4] << 24) | (chunk[5] << 16) | (chunk[6] << 8) | chunk[7];
+    expect(length).toBe(chunk.length - 8);
+  });
+
+  it('sorts events by tick', () => {
+    const chunk = createTrackChunk([
+      { tick: 10, data: [0x80, 60, 0] },
+      { tick: 0, data: [0x90, 60, 100] }
+    ]);
+
+    expect(chunkBody(chunk).slice(0, 8)).toEqual([0x00, 0x90, 60, 100, 0x0A, 0x80, 60, 0]);
+  });
+
+  it('puts meta events, note offs and controllers ahead of note ons on the same tick', () => {
+    const chunk = createTrackChunk([
+      { tick: 0, data: [0x90, 62, 100] },
+      { tick: 0, data: [0xB0, 7, 100] },
+      { tick: 0, data: [0x90, 60, 0] },
+      { tick: 0, data: tempoEvent(120) }
+    ]);
+
+    expect(chunkBody(chunk)).toEqual([
+      0x00, ...tempoEvent(120),
+      0x00, 0x90, 60, 0,
+      0x00, 0xB0, 7, 100,
+      0x00, 0x90, 62, 100,
+      ...END_OF_TRACK
+    ]);
+  });
+
+  it('keeps the order of equal events', () => {
+    const chunk = createTrackChunk([
+      { tick: 0, data: [0x90, 64, 100] },
+      { tick: 0, data: [0x90, 60, 100] }
+    ]);
+
+    expect(chunkBody(chunk).slice(0, 8)).toEqual([0x00, 0x90, 64, 100, 0x00, 0x90, 60, 100]);
+  });
+});
+
+describe('createMidiFile', () => {
+  it('writes a Type 1 header with the track count and resolution', () => {
+    const file = createMidiFile([[], []]);
+
+    expect(file).toBeInstanceOf(Uint8Array);
+    expect(Array.from(file.slice(0, 14))).toEqual([
+      0x4D, 0x54, 0x68, 0x64,
+      0, 0, 0, 6,
+      0, 1,
+      0, 2,
+      DEFAULT_PPQ >> 8, DEFAULT_PPQ & 0xFF
+    ]);
+  });
+
+  it('appends one chunk per track', () => {
+    const tracks = [
+      [{ tick: 0, data: tempoEvent(100) }],
+      [{ tick: 0, data: [0x90, 60, 100] }, { tick: 96, data: [0x80, 60, 0] }]
+    ];
+    const file = Array.from(createMidiFile(tracks, 96));
+
+    expect(file.slice(12, 14)).toEqual([0, 96]);
+    expect(file.slice(14)).toEqual([...createTrackChunk(tracks[0]), ...createTrackChunk(tracks[1])]);
+  });
+});
@@ -1,5 +1,12 @@
 // MIDI utility functions for communicating with the MegaFM
 
+import PerformanceRecorder from './PerformanceRecorder';
+import MidiOutputQueue from './MidiOutputQueue';
+import NoteLedger from './NoteLedger';
+import { MIDI_CONFIG } from '../config/constants';
+// modUtils imports this module too; its functions are only called at run time
+import { trackParameterMovement } from './modUtils';
+
 // MegaFM uses MIDI port 1 (vs 0) channel 1
 export const MEGAFM_CHANNEL = 1;
 
@@ -100,14 +107,269 @@ export const CC = {
   VIBRATO_DEPTH: 13,
 };
 
+// MegaFM parameter names by CC number
+const CC_NAMES = Object.fromEntries(Object.entries(CC).map(([name, cc]) => [cc, name]));
+
+// CC maps of the device profiles played on each output, by output id
+const outputCCMaps = new Map();
+
+/**
+ * Set the CC map of the device profile an output plays (see deviceProfiles.js)
+ * @param {string} outputId - Output id
+ * @param {Object} ccMap - Parameter names to CC numbers, or null to send MegaFM numbers
+ */
+export const setOutputCCMap = (outputId, ccMap) => {
+  if (ccMap) {
+    outputCCMaps.set(outputId, ccMap);
+  } else {
+    outputCCMaps.delete(outputId);
+  }
+};
+
+/**
+ * CC number a MegaFM parameter is sent as on an output: the number its
+ * profile maps the parameter name to. Parameters the profile does not name
+ * keep their MegaFM number.
+ * @param {Object} output - WebMidi output device
+ * @param {Number} cc - MegaFM control change number (see CC)
+ * @returns {Number} Control change number for the output
+ */
+export const resolveCC = (output, cc) => {
+  const ccMap = output && outputCCMaps.get(output.id);
+  const name = CC_NAMES[cc];
+  return ccMap && name !== undefined && ccMap[name] !== undefined ? ccMap[name] : cc;
+};
+
+// Queue a CC for an output, translated through its profile. Every CC sent
+// to the synth passes here (or sendCCNow), so recordings capture each move.
+const queueCC = (output, channel, cc, value) => {
+  const outputCC = resolveCC(output, cc);
+  MidiOutputQueue.controlChange(output, channel, outputCC, value);
+  PerformanceRecorder.recordControlChange(channel, outputCC, value);
+  return outputCC;
+};
+
+// Send a CC straight away, bypassing the queue (flush it first to keep the order)
+const sendCCNow = (output, channel, cc, value) => {
+  const outputCC = resolveCC(output, cc);
+  output.channels[channel].sendControlChange(outputCC, value);
+  PerformanceRecorder.recordControlChange(channel, outputCC, value);
+  return outputCC;
+};
+
+// Controller numbers for registered (RPN) and non-registered (NRPN)
+// parameters and their data entry
+const PARAMETER_CC = {
+  DATA_ENTRY_MSB: 6,
+  DATA_ENTRY_LSB: 38,
+  NRPN_LSB: 98,
+  NRPN_MSB: 99,
+  RPN_LSB: 100,
+  RPN_MSB: 101
+};
+
+// Registered parameter numbers (14 bit: MSB << 7 | LSB)
+export const RPN = {
+  PITCH_BEND_RANGE: 0x0000,    // Data MSB: semitones, LSB: cents
+  FINE_TUNING: 0x0001,
+  COARSE_TUNING: 0x0002,
+  MPE_CONFIGURATION: 0x0006,   // Data MSB: number of member channels (0 = zone off)
+  NULL: 0x3FFF                 // Deselects the parameter so stray data entry is ignored
+};
+
+// MPE zone played on the MegaFM: a lower zone managed on MEGAFM_CHANNEL with
+// a member channel for each of its 12 voices. The MPE spec defaults are 48
+// semitones of pitch bend on member channels and 2 on the manager channel.
+export const MPE_ZONE = {
+  MEMBER_CHANNELS: 12,
+  MEMBER_PITCH_BEND_RANGE: 48,
+  MANAGER_PITCH_BEND_RANGE: 2,
+  SLIDE_CC: 74               // Third dimension of per-note expression (Y axis)
+};
+
+/**
+ * Member channels of an MPE zone
+ * A lower zone is managed on channel 1 and counts up from channel 2, an
+ * upper zone is managed on channel 16 and counts down from channel 15.
+ * @param {Number} managerChannel - 1 (lower zone) or 16 (upper zone)
+ * @param {Number} memberCount - Number of member channels (0-15)
+ * @returns {Array} Member channel numbers
+ */
+export const getMPEMemberChannels = (managerChannel = MEGAFM_CHANNEL, memberCount = MPE_ZONE.MEMBER_CHANNELS) => {
+  const count = Math.min(15, Math.max(0, Math.floor(memberCount)));
+  const direction = managerChannel === 16 ? -1 : 1;
+  return Array.from({ length: count }, (_, i) => managerChannel + direction * (i + 1));
+};
+
+// Select a registered or non-registered parameter and send its data entry
+const sendParameter = (output, selectMsb, selectLsb, parameter, msb, lsb, channel) => {
+  const outputChannel = output.channels[channel];
+  MidiOutputQueue.flush(output);
+  const number = Math.min(0x3FFF, Math.max(0, Math.floor(parameter)));
+
+  outputChannel.sendControlChange(selectMsb, number >> 7);
+  outputChannel.sendControlChange(selectLsb, number & 0x7F);
+  outputChannel.sendControlChange(PARAMETER_CC.DATA_ENTRY_MSB, validateMidiValue(msb));
+  if (lsb !== undefined) {
+    outputChannel.sendControlChange(PARAMETER_CC.DATA_ENTRY_LSB, validateMidiValue(lsb));
+  }
+};
+
+/**
+ * Sends the null RPN, deselecting the current parameter so later data entry
+ * messages cannot change it by accident
+ * @param {Object} output - WebMidi output device
+ * @param {Number} channel - MIDI channel (defaults to MEGAFM_CHANNEL)
+ */
+export const sendNullRPN = (output, channel = MEGAFM_CHANNEL) => {
+  if (!output) {
+    console.warn('No MIDI output device available');
+    return;
+  }
+
+  try {
+    MidiOutputQueue.flush(output);
+    output.channels[channel].sendControlChange(PARAMETER_CC.RPN_MSB, RPN.NULL >> 7);
+    output.channels[channel].sendControlChange(PARAMETER_CC.RPN_LSB, RPN.NULL & 0x7F);
+  } catch (error) {
+    console.error('Error sending null RPN:', error);
+  }
+};
+
+/**
+ * Sets a registered parameter (RPN), followed by the null RPN
+ * @param {Object} output - WebMidi output device
+ * @param {Number} parameter - Parameter number (see RPN)
+ * @param {Number} msb - Data entry MSB (0-127)
+ * @param {Number} lsb - Optional data entry LSB (0-127)
+ * @param {Number} channel - MIDI channel (defaults to MEGAFM_CHANNEL)
+ */
+export const sendRPN = (output, parameter, msb, lsb = undefined, channel = MEGAFM_CHANNEL) => {
+  if (!output) {
+    console.warn('No MIDI output device available');
+    return;
+  }
+
+  try {
+    sendParameter(output, PARAMETER_CC.RPN_MSB, PARAMETER_CC.RPN_LSB, parameter, msb, lsb, channel);
+    sendNullRPN(output, channel);
+  } catch (error) {
+    console.error('Error sending RPN:', error);
+  }
+};
+
+/**
+ * Sets a non-registered parameter (NRPN), followed by the null RPN
+ * @param {Object} output - WebMidi output device
+ * @param {Number} parameter - Parameter number (0-16383)
+ * @param {Number} msb - Data entry MSB (0-127)
+ * @param {Number} lsb - Optional data entry LSB (0-127)
+ * @param {Number} channel - MIDI channel (defaults to MEGAFM_CHANNEL)
+ */
+export const sendNRPN = (output, parameter, msb, lsb = undefined, channel = MEGAFM_CHANNEL) => {
+  if (!output) {
+    console.warn('No MIDI output device available');
+    return;
+  }
+
+  try {
+    sendParameter(output, PARAMETER_CC.NRPN_MSB, PARAMETER_CC.NRPN_LSB, parameter, msb, lsb, channel);
+    sendNullRPN(output, channel);
+  } catch (error) {
+    console.error('Error sending NRPN:', error);
+  }
+};
+
+/**
+ * Sets the pitch bend range (RPN 0)
+ * @param {Object} output - WebMidi output device
+ * @param {Number} semitones - Range in semitones (0-127)
+ * @param {Number} cents - Additional cents (0-99)
+ * @param {Number} channel - MIDI channel (defaults to MEGAFM_CHANNEL)
+ */
+export const sendPitchBendRange = (output, semitones, cents = 0, channel = MEGAFM_CHANNEL) => {
+  const validSemitones = Math.min(127, Math.max(0, Math.floor(semitones)));
+  const validCents = Math.min(99, Math.max(0, Math.floor(cents)));
+  sendRPN(output, RPN.PITCH_BEND_RANGE, validSemitones, validCents, channel);
+};
+
+/**
+ * Sets up an MPE zone with the MPE Configuration Message (RPN 6 on the
+ * manager channel), then sets the pitch bend range of its member channels
+ * (the configuration message resets them to the MPE defaults)
+ * @param {Object} output - WebMidi output device
+ * @param {Number} memberCount - Number of member channels (0 turns the zone off)
+ * @param {Number} pitchBendRange - Member channel pitch bend range in semitones
+ * @param {Number} managerChannel - 1 (lower zone) or 16 (upper zone)
+ * @returns {Array} Member channels of the zone
+ */
+export const configureMPEZone = (
+  output,
+  memberCount = MPE_ZONE.MEMBER_CHANNELS,
+  pitchBendRange = MPE_ZONE.MEMBER_PITCH_BEND_RANGE,
+  managerChannel = MEGAFM_CHANNEL
+) => {
+  if (!output) {
+    console.warn('No MIDI output device available');
+    return [];
+  }
+  if (managerChannel !== 1 && managerChannel !== 16) {
+    console.warn(`MPE zones are managed on channel 1 or 16, not ${managerChannel}`);
+    return [];
+  }
+
+  const memberChannels = getMPEMemberChannels(managerChannel, memberCount);
+  sendRPN(output, RPN.MPE_CONFIGURATION, memberChannels.length, undefined, managerChannel);
+
+  if (memberChannels.length > 0) {
+    memberChannels.forEach(channel => sendPitchBendRange(output, pitchBendRange, 0, channel));
+    sendPitchBendRange(output, MPE_ZONE.MANAGER_PITCH_BEND_RANGE, 0, managerChannel);
+  }
+
+  console.log(`MPE ${managerChannel === 16 ? 'upper' : 'lower'} zone: ${memberChannels.length} member channels`);
+  return memberChannels;
+};
+
+/**
+ * Sends the per-note expression of an MPE note on its member channel:
+ * pitch bend, pressure (channel aftertouch) and slide (CC74)
+ * Send it right before the note on, so the note starts with its expression
+ * instead of whatever the channel's previous note left behind.
+ * @param {Object} output - WebMidi output device
+ * @param {Number} channel - Member channel of the note
+ * @param {Object} expression - { bend (semitones), pressure (0-1), slide (0-1) }
+ * @param {Number} pitchBendRange - Member channel pitch bend range in semitones
+ * @param {Number} time - Optional performance.now() timestamp to schedule the messages at
+ */
+export const sendNoteExpression = (output, channel, expression = {}, pitchBendRange = MPE_ZONE.MEMBER_PITCH_BEND_RANGE, time = undefined) => {
+  if (!output) {
+    console.warn('No MIDI output device available');
+    return;
+  }
+
+  try {
+    const { bend = 0, pressure = 0, slide = 0 } = expression;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    const outputChannel = output.channels[channel];
+
+    outputChannel.sendPitchBend(clamp(bend / pitchBendRange, -1, 1), { time });
+    outputChannel.sendChannelAftertouch(clamp(pressure, 0, 1), { time });
+    outputChannel.sendControlChange(MPE_ZONE.SLIDE_CC, Math.round(clamp(slide, 0, 1) * 127), { time });
+    MidiOutputQueue.noteSent(output, 3);
+  } catch (error) {
+    console.error('Error sending note expression:', error);
+  }
+};
+
 /**
  * Sends a MIDI note on message to the MegaFM
  * @param {Object} output - WebMidi output device
  * @param {Number} note - MIDI note number (0-127)
  * @param {Number} velocity - Note velocity (0-127)
  * @param {Number} channel - MIDI channel (defaults to MEGAFM_CHANNEL)
+ * @param {Number} time - Optional performance.now() timestamp to schedule the message at
  */
-export const sendNoteOn = (output, note, velocity = 100, channel = MEGAFM_CHANNEL) => {
+export const sendNoteOn = (output, note, velocity = 100, channel = MEGAFM_CHANNEL, time = undefined) => {
   if (!output) {
     console.warn('No MIDI output device available');
     return;
@@ -117,11 +379,9 @@ export const sendNoteOn = (output, note, velocity = 100, channel = MEGAFM_CHANNE
     // WebMidi.js now expects attack to be 0-1 instead of 0-127
     const normalizedAttack = Math.min(1, Math.max(0, velocity / 127));
     
-    output.channels[channel].sendNoteOn(note, { attack: normalizedAttack });
-    // Reduce logging to prevent console spam
-    if (note % 10 === 0) { // Only log occasionally
-      console.log(`Note On: ${note}, Attack: ${normalizedAttack.toFixed(2)} (from velocity: ${velocity}), Channel: ${channel}`);
-    }
+    output.channels[channel].sendNoteOn(note, { attack: normalizedAttack, time });
+    MidiOutputQueue.noteSent(output);
+    NoteLedger.noteOn(output, channel, note, time);
   } catch (error) {
     console.error('Error sending Note On:', error);
   }
@@ -132,19 +392,18 @@ export const sendNoteOn = (output, note, velocity = 100, channel = MEGAFM_CHANNE
  * @param {Object} output - WebMidi output device
  * @param {Number} note - MIDI note number (0-127)
  * @param {Number} channel - MIDI channel (defaults to MEGAFM_CHANNEL)
+ * @param {Number} time - Optional performance.now() timestamp to schedule the message at
  */
-export const sendNoteOff = (output, note, channel = MEGAFM_CHANNEL) => {
+export const sendNoteOff = (output, note, channel = MEGAFM_CHANNEL, time = undefined) => {
   if (!output) {
     console.warn('No MIDI output device available');
     return;
   }
   
   try {
-    output.channels[channel].sendNoteOff(note);
-    // Reduce logging to prevent console spam
-    if (note % 10 === 0) { // Only log occasionally
-      console.log(`Note Off: ${note}, Channel: ${channel}`);
-    }
+    output.channels[channel].sendNoteOff(note, { time });
+    MidiOutputQueue.noteSent(output);
+    NoteLedger.noteOff(output, channel, note);
   } catch (error) {
     console.error('Error sending Note Off:', error);
   }
@@ -152,6 +411,8 @@ export const sendNoteOff = (output, note, channel = MEGAFM_CHANNEL) => {
 
 /**
  * Sends a MIDI control change message to the MegaFM and tracks parameter movement
+ * The message goes through MidiOutputQueue, which coalesces and rate-limits CCs.
+ * MegaFM CC numbers are translated through the output's device profile.
  * @param {Object} output - WebMidi output device
  * @param {Number} cc - Control change number
  * @param {Number} value - Control change value (0-127)
@@ -167,22 +428,10 @@ export const sendCC = (output, cc, value, channel = MEGAFM_CHANNEL, paramName =
   try {
     // Ensure value is in valid MIDI range
     const validValue = validateMidiValue(value);
-    output.channels[channel].sendControlChange(cc, validValue);
+    queueCC(output, channel, cc, validValue);
     
-    // Log only important CC messages to reduce console spam
-    if (cc === CC.ALGORITHM || cc === CC.FEEDBACK || cc % 10 === 0) {
-      console.log(`CC: ${cc}, Value: ${validValue}, Channel: ${channel}${paramName ? ' (' + paramName + ')' : ''}`);
-    }
-    
-    // Import is done dynamically to avoid circular dependencies
-    import('./modUtils.js').then(modUtils => {
-      // Track this parameter movement for LFO modulation
-      if (typeof modUtils.trackParameterMovement === 'function') {
-        modUtils.trackParameterMovement(cc, validValue, paramName);
-      }
-    }).catch(err => {
-      console.warn('Could not track parameter movement:', err);
-    });
+    // Track this parameter movement for LFO modulation
+    trackParameterMovement(cc, validValue, paramName);
     
     return validValue;
   } catch (error) {
@@ -215,6 +464,45 @@ export const sendAllNotesOff = (output, channel = MEGAFM_CHANNEL) => {
   }
 };
 
+/**
+ * Panic: drops what is still waiting to go out to a port (queued CCs and
+ * notes scheduled ahead), sends All Sound Off and All Notes Off, then a note
+ * off for every note (0-127) on every channel and Reset All Controllers, for
+ * gear that ignores All Notes Off (CC 123). The note offs are paced at
+ * MIDI_CONFIG.PANIC_RATE so they cannot overrun the device's input buffer.
+ * @param {Object} output - WebMidi output device
+ */
+export const sendPanic = (output) => {
+  if (!output) {
+    console.warn('No MIDI output device available');
+    return;
+  }
+
+  try {
+    MidiOutputQueue.clear(output);
+    if (typeof output.clear === 'function') output.clear();
+
+    for (let channel = 1; channel <= 16; channel++) {
+      output.channels[channel].sendAllSoundOff();
+      output.channels[channel].sendAllNotesOff();
+    }
+
+    const interval = 1000 / MIDI_CONFIG.PANIC_RATE;
+    let time = performance.now();
+    for (let channel = 1; channel <= 16; channel++) {
+      for (let note = 0; note < 128; note++) {
+        time += interval;
+        output.channels[channel].sendNoteOff(note, { time });
+      }
+      output.channels[channel].sendResetAllControllers({ time });
+    }
+    NoteLedger.forget(output);
+    console.log(`Panic sent to ${output.name}`);
+  } catch (error) {
+    console.error('Error sending Panic:', error);
+  }
+};
+
 /**
  * Sends a program change message to select a preset on the MegaFM
  * @param {Object} output - WebMidi output device
@@ -236,11 +524,13 @@ export const selectPreset = (output, presetNumber, bankNumber = 0, channel = MEG
     const validPresetNumber = Math.min(99, Math.max(0, Math.floor(presetNumber)));
     const validBankNumber = Math.min(5, Math.max(0, Math.floor(bankNumber)));
     
-    // Send bank select
+    // Send bank select, after the CCs still queued
+    MidiOutputQueue.flush(output);
     output.channels[channel].sendControlChange(0, validBankNumber);
     
     // Send program change
     output.channels[channel].sendProgramChange(validPresetNumber);
+    PerformanceRecorder.recordProgramChange(channel, validPresetNumber, validBankNumber);
     
     console.log(`Selected Preset: Bank ${validBankNumber}, Number ${validPresetNumber}, Channel: ${channel}`);
     return {
@@ -253,6 +543,27 @@ export const selectPreset = (output, presetNumber, bankNumber = 0, channel = MEG
   }
 };
 
+/**
+ * Sends a whole patch to the MegaFM: the preset first, then every CC
+ * parameter on top of it
+ * @param {Object} output - WebMidi output device
+ * @param {Object} patch - { parameters: { [CC name]: value }, bank, preset }
+ * @param {Number} channel - MIDI channel (defaults to MEGAFM_CHANNEL)
+ */
+export const sendSynthPatch = (output, patch, channel = MEGAFM_CHANNEL) => {
+  if (!output) {
+    console.warn('No MIDI output device available');
+    return;
+  }
+  
+  selectPreset(output, patch.preset || 0, patch.bank || 0, channel);
+  Object.entries(patch.parameters || {}).forEach(([name, value]) => {
+    if (CC[name] !== undefined) {
+      sendCC(output, CC[name], value, channel, name);
+    }
+  });
+};
+
 /**
  * Toggles envelope looping for the specified operator
  * @param {Object} output - WebMidi output device 
@@ -294,10 +605,10 @@ export const setEnvelopeLooping = (output, operator, active, pingPong = false, c
     }
     
     // Send envelope loop state
-    output.channels[channel].sendControlChange(loopCC, active ? 127 : 0);
+    queueCC(output, channel, loopCC, active ? 127 : 0);
     
     // Send envelope loop mode
-    output.channels[channel].sendControlChange(modeCC, pingPong ? 127 : 0);
+    queueCC(output, channel, modeCC, pingPong ? 127 : 0);
     
     console.log(`Set Operator ${operator} envelope loop: ${active ? 'ON' : 'OFF'}, Mode: ${pingPong ? 'Ping-Pong' : 'Forward'}`);
   } catch (error) {
@@ -363,7 +674,7 @@ export const setVoiceMode = (output, mode, channel = MEGAFM_CHANNEL) => {
   
   try {
     const validMode = Math.min(Object.keys(VoiceMode).length - 1, Math.max(0, Math.floor(mode)));
-    output.channels[channel].sendControlChange(CC.VOICE_MODE, validMode);
+    queueCC(output, channel, CC.VOICE_MODE, validMode);
     console.log(`Set Voice Mode: ${Object.keys(VoiceMode)[validMode]}`);
     return validMode;
   } catch (error) {
@@ -388,10 +699,10 @@ export const setFatDetune = (output, value, octaveMode = false, channel = MEGAFM
   try {
     // Set fat value
     const validValue = validateMidiValue(value);
-    output.channels[channel].sendControlChange(CC.FAT, validValue);
+    queueCC(output, channel, CC.FAT, validValue);
     
     // Set fat mode (semitone vs octave)
-    output.channels[channel].sendControlChange(CC.FAT_MODE, octaveMode ? 127 : 0);
+    queueCC(output, channel, CC.FAT_MODE, octaveMode ? 127 : 0);
     
     console.log(`Set Fat/Detune: ${validValue}/127, Mode: ${octaveMode ? 'Octave' : 'Semitone'}`);
   } catch (error) {
@@ -413,7 +724,7 @@ export const setGlide = (output, value, channel = MEGAFM_CHANNEL) => {
   
   try {
     const validValue = validateMidiValue(value);
-    output.channels[channel].sendControlChange(CC.VOICE_GLIDE, validValue);
+    queueCC(output, channel, CC.VOICE_GLIDE, validValue);
     console.log(`Set Glide: ${validValue}/127`);
   } catch (error) {
     console.error('Error setting glide:', error);
@@ -434,19 +745,23 @@ export const setMPEMode = (output, active, pitchBendRange = 48, channel = MEGAFM
   }
   
   try {
-    // Toggle MPE mode
-    output.channels[channel].sendControlChange(CC.MPE_MODE, active ? 127 : 0);
+    // Toggle MPE mode. Sent straight away rather than queued, to stay
+    // ahead of the zone configuration below (and after the CCs still queued).
+    MidiOutputQueue.flush(output);
+    sendCCNow(output, channel, CC.MPE_MODE, active ? 127 : 0);
     
     // If enabling MPE, force voice mode to Poly12 as per manual
     if (active) {
-      output.channels[channel].sendControlChange(CC.VOICE_MODE, VoiceMode.POLY12);
+      sendCCNow(output, channel, CC.VOICE_MODE, VoiceMode.POLY12);
       
-      // Set pitch bend range (1-48 semitones)
+      // Set up the zone (MCM) and the member channels' pitch bend range (1-48 semitones)
       const validPitchBendRange = Math.min(48, Math.max(1, Math.floor(pitchBendRange)));
-      // Implementation would need actual MIDI spec for pitch bend range
+      configureMPEZone(output, MPE_ZONE.MEMBER_CHANNELS, validPitchBendRange, channel);
       
       console.log(`Enabled MPE mode with pitch bend range: ${validPitchBendRange} semitones`);
     } else {
+      // Release the member channels
+      configureMPEZone(output, 0, MPE_ZONE.MEMBER_PITCH_BEND_RANGE, channel);
       console.log('Disabled MPE mode');
     }
   } catch (error) {
@@ -468,7 +783,7 @@ export const setNotePriority = (output, priority, channel = MEGAFM_CHANNEL) => {
   
   try {
     const validPriority = Math.min(Object.keys(NotePriority).length - 1, Math.max(0, Math.floor(priority)));
-    output.channels[channel].sendControlChange(CC.NOTE_PRIORITY, validPriority);
+    queueCC(output, channel, CC.NOTE_PRIORITY, validPriority);
     console.log(`Set Note Priority: ${Object.keys(NotePriority)[validPriority]}`);
   } catch (error) {
     console.error('Error setting note priority:', error);
@@ -1,4 +1,58 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { MEGAFM_CHANNEL } from '../midi/midiUtils';
+import { SWING_CONFIG, TRANSPORT_CONFIG, ALGORITHM_CONFIG } from '../config/constants';
+import { bpmToMs } from '../utils/audioUtils';
+import { clampSwing, validateGrooveTemplate } from '../utils/grooveUtils';
+import { DEFAULT_SEED } from '../algorithms/RandomService';
+
+// Duration of one transport step (a quarter note) in ms
+const getStepInterval = (bpm) => Math.round(bpmToMs(bpm, TRANSPORT_CONFIG.STEPS_PER_BEAT));
+
+// Live cells kept in the cellular automaton; the oldest make way for new ones
+const MAX_LIVE_CELLS = 32;
+
+// Default playback settings for the track that runs each algorithm
+const createTrack = () => ({
+  channel: MEGAFM_CHANNEL,  // MIDI channel the track plays on
+  outputId: null,           // MIDI output id (null = the connected output)
+  muted: false,
+  solo: false,
+  loopLength: 0,            // Loop length in steps (0 = length of the generated sequence)
+  groove: null              // { template, swing } overriding the global groove (null = global)
+});
+
+// Options of the panel controls, which a loaded session has to stay within
+const CHANGE_QUANTIZE_MODES = ['immediate', 'beat', 'bar', 'loop'];
+const KEYBOARD_FOLLOW_MODES = ['off', 'last', 'lowest', 'chord'];
+const MAX_LOOP_LENGTH = 128;
+
+// Parameters counting the steps a generator makes
+export const STEP_COUNT_PARAMETERS = ['steps', 'length'];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Same kind of value as the current one (a finite number for numbers)
+const isSameKind = (value, current) => {
+  if (typeof current === 'number') return Number.isFinite(value);
+  if (Array.isArray(current)) return Array.isArray(value);
+  return typeof value === typeof current && value !== null;
+};
+
+// A saved track with only the known settings, each within its range
+const sanitizeTrack = (saved) => {
+  const track = createTrack();
+  if (!saved || typeof saved !== 'object') return track;
+
+  if (Number.isFinite(saved.channel)) track.channel = clamp(Math.round(saved.channel), 1, 16);
+  if (typeof saved.outputId === 'string') track.outputId = saved.outputId;
+  if (typeof saved.muted === 'boolean') track.muted = saved.muted;
+  if (typeof saved.solo === 'boolean') track.solo = saved.solo;
+  if (Number.isFinite(saved.loopLength)) track.loopLength = clamp(Math.round(saved.loopLength), 0, MAX_LOOP_LENGTH);
+  if (saved.groove && typeof saved.groove.template === 'string') {
+    track.groove = { template: saved.groove.template, swing: clampSwing(saved.groove.swing) };
+  }
+  return track;
+};
 
 const initialState = {
   currentAlgorithm: 'fractal',
@@ -6,7 +60,6 @@ const initialState = {
     fractal: {
       enabled: true,
       parameters: {
-        seed: 42,
         complexity: 0.5,
         scale: 'major',
         rootNote: 60,
@@ -40,7 +93,8 @@ const initialState = {
         scale: 'pentatonic',      // Musical scale to use for mapping
         performanceMode: 'high',  // Performance level: low, medium, high, auto
         buchlaMode: true,         // Buchla 252e-inspired sequencing mode
-        preferredPatterns: ['cross', 'glider', 'blinker']  // Preferred patterns for initialization
+        preferredPatterns: ['cross', 'glider', 'blinker'],  // Preferred patterns for initialization
+        liveInput: false          // Notes played on the MIDI input seed live cells
       }
     },
     markov: {
@@ -66,7 +120,8 @@ const initialState = {
         scale: 'pentatonic',      // Scale to use for note mapping
         octaveRange: 2,           // Number of octaves to span
         rhythmDensity: 0.7,       // Density of generated rhythms (0-1)
-        accentPattern: '4/4'      // Rhythmic accent pattern (e.g. '4/4', '3/4', '5/8')
+        accentPattern: '4/4',     // Rhythmic accent pattern (e.g. '4/4', '3/4', '5/8')
+        legato: 0.25              // Chance of a note being tied into the next step (0-1)
       }
     },
     waveshaper: {
@@ -94,9 +149,31 @@ const initialState = {
       }
     }
   },
+  // Play every enabled algorithm at once as separate tracks,
+  // instead of just the current algorithm
+  multiTrack: false,
+  // Seed for every generator's random numbers; the same seed and
+  // parameters always give the same patterns
+  seed: DEFAULT_SEED,
   isPlaying: false,
   tempo: 120,
-  noteInterval: 250, // ms between notes
+  noteInterval: getStepInterval(120), // ms between steps (quarter notes)
+  // Global groove applied to every track without its own
+  groove: {
+    template: 'straight',
+    swing: SWING_CONFIG.DEFAULT
+  },
+  grooveTemplates: {}, // User loaded groove templates by id
+  // When parameter changes reach a playing pattern: 'immediate', 'beat', 'bar' or 'loop'
+  changeQuantize: 'bar',
+  // Keyboard follow: notes played on the MIDI input set the root of the
+  // generators. 'off', 'last' (last note), 'lowest' (lowest held note) or
+  // 'chord' (root of the held chord)
+  keyboardFollow: 'off',
+  followRoot: null,  // { note, minor } played root, null = the generators' own root
+  // Notes played into the cellular automaton: [{ step, pitch, velocity }]
+  // with step the transport step they landed on (newest last)
+  liveCells: [],
   availablePatterns: [
     'random', 'blinker', 'glider', 'pulsar', 
     'gosperGliderGun', 'acorn', 'exploder', 
@@ -111,6 +188,10 @@ const initialState = {
   ]
 };
 
+initialState.tracks = Object.fromEntries(
+  Object.keys(initialState.algorithms).map(algorithm => [algorithm, createTrack()])
+);
+
 export const algorithmSlice = createSlice({
   name: 'algorithm',
   initialState,
@@ -128,13 +209,101 @@ export const algorithmSlice = createSlice({
     },
     setTempo: (state, action) => {
       state.tempo = action.payload;
-      // Calculate noteInterval using quarter notes instead of 16th notes for better timing
-      state.noteInterval = Math.round(60000 / action.payload); // quarter notes
+      state.noteInterval = getStepInterval(action.payload);
       console.log(`Tempo set to ${action.payload} BPM, note interval: ${state.noteInterval}ms`);
     },
     setPlaying: (state, action) => {
       state.isPlaying = action.payload;
     },
+    setMultiTrack: (state, action) => {
+      state.multiTrack = action.payload;
+    },
+    updateTrack: (state, action) => {
+      const { algorithm, changes } = action.payload;
+      state.tracks[algorithm] = { ...state.tracks[algorithm], ...changes };
+    },
+    setGroove: (state, action) => {
+      const { template, swing } = action.payload;
+      if (template !== undefined) state.groove.template = template;
+      if (swing !== undefined) state.groove.swing = clampSwing(swing);
+    },
+    setSeed: (state, action) => {
+      const seed = Math.floor(action.payload);
+      if (Number.isFinite(seed) && seed > 0) {
+        state.seed = seed;
+      }
+    },
+    setChangeQuantize: (state, action) => {
+      state.changeQuantize = action.payload;
+    },
+    setKeyboardFollow: (state, action) => {
+      state.keyboardFollow = action.payload;
+      // Back to the roots set in the panel
+      if (action.payload === 'off') state.followRoot = null;
+    },
+    setFollowRoot: (state, action) => {
+      state.followRoot = action.payload;
+    },
+    addLiveCell: (state, action) => {
+      state.liveCells.push(action.payload);
+      if (state.liveCells.length > MAX_LIVE_CELLS) state.liveCells.shift();
+    },
+    clearLiveCells: (state) => {
+      state.liveCells = [];
+    },
+    addGrooveTemplate: (state, action) => {
+      const { id, template } = action.payload;
+      state.grooveTemplates[id] = template;
+    },
+    // Restore the algorithm part of a saved session. Values missing from
+    // the session keep their current setting, unknown algorithms are ignored.
+    loadAlgorithmSession: (state, action) => {
+      const session = action.payload || {};
+
+      // Only known parameters are taken, only with the kind of value they
+      // already hold, and step counts within range
+      Object.entries(session.algorithms || {}).forEach(([algorithm, saved]) => {
+        if (!state.algorithms[algorithm] || !saved) return;
+        if (typeof saved.enabled === 'boolean') state.algorithms[algorithm].enabled = saved.enabled;
+
+        const parameters = state.algorithms[algorithm].parameters;
+        Object.entries(saved.parameters || {}).forEach(([parameter, value]) => {
+          if (!(parameter in parameters) || !isSameKind(value, parameters[parameter])) return;
+          parameters[parameter] = STEP_COUNT_PARAMETERS.includes(parameter)
+            ? clamp(Math.round(value), ALGORITHM_CONFIG.MIN_STEPS, ALGORITHM_CONFIG.MAX_STEPS)
+            : value;
+        });
+      });
+
+      Object.entries(session.tracks || {}).forEach(([algorithm, track]) => {
+        if (!state.tracks[algorithm]) return;
+        state.tracks[algorithm] = sanitizeTrack(track);
+      });
+
+      if (state.algorithms[session.currentAlgorithm]) state.currentAlgorithm = session.currentAlgorithm;
+      if (typeof session.multiTrack === 'boolean') state.multiTrack = session.multiTrack;
+      if (CHANGE_QUANTIZE_MODES.includes(session.changeQuantize)) state.changeQuantize = session.changeQuantize;
+      if (KEYBOARD_FOLLOW_MODES.includes(session.keyboardFollow)) state.keyboardFollow = session.keyboardFollow;
+      if (session.grooveTemplates && typeof session.grooveTemplates === 'object') {
+        state.grooveTemplates = Object.fromEntries(
+          Object.entries(session.grooveTemplates).filter(([, template]) => !validateGrooveTemplate(template))
+        );
+      }
+      if (session.groove) {
+        state.groove = {
+          template: typeof session.groove.template === 'string' ? session.groove.template : state.groove.template,
+          swing: clampSwing(session.groove.swing)
+        };
+      }
+
+      const seed = Math.floor(session.seed);
+      if (Number.isFinite(seed) && seed > 0) state.seed = seed;
+
+      if (Number.isFinite(session.tempo) && session.tempo > 0) {
+        state.tempo = clamp(Math.round(session.tempo), ALGORITHM_CONFIG.MIN_TEMPO, ALGORITHM_CONFIG.MAX_TEMPO);
+        state.noteInterval = getStepInterval(state.tempo);
+      }
+    },
   },
 });
 
@@ -144,6 +313,17 @@ export const {
   toggleAlgorithm, 
   setTempo,
   setPlaying,
+  setMultiTrack,
+  updateTrack,
+  setGroove,
+  setSeed,
+  setChangeQuantize,
+  setKeyboardFollow,
+  setFollowRoot,
+  addLiveCell,
+  clearLiveCells,
+  addGrooveTemplate,
+  loadAlgorithmSession,
 } = algorithmSlice.actions;
 
 export default algorithmSlice.reducer;
\ No newline at end of file
@@ -1,4 +1,6 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { validateDeviceProfile, normalizeDeviceProfile } from '../midi/deviceProfiles';
+import { validateMidiMapping, normalizeMidiMapping } from '../midi/learnTargets';
 
 const initialState = {
   connected: false,
@@ -7,8 +9,20 @@ const initialState = {
   availableOutputs: [],
   activeNotes: [],
   errorMessage: null,
+  clockSource: 'internal', // 'internal' or 'external' (follow MIDI clock on the input)
+  clockOutputs: [],        // Ids of the outputs that receive our MIDI clock
+  isRecording: false,      // Whether PerformanceRecorder is capturing a take
+  learnMode: false,        // MIDI Learn: clicking a control picks it as the learn target
+  learnTarget: null,       // Control waiting for a hardware move (see MidiLearn.describeLearnTarget)
+  midiMappings: [],        // Controller CCs bound to app parameters (see MidiLearn)
+  deviceProfiles: {},      // User loaded device profiles by id (see deviceProfiles.js)
+  outputProfiles: {},      // Output id -> profile id picked for it (otherwise matched by name)
+  virtualEcho: false,      // Virtual loopback echoes what it is sent back out of its input
 };
 
+// A controller CC drives one parameter, and a parameter follows one control
+const isSameSource = (a, b) => a.input === b.input && a.channel === b.channel && a.cc === b.cc;
+
 export const midiSlice = createSlice({
   name: 'midi',
   initialState,
@@ -37,23 +51,112 @@ export const midiSlice = createSlice({
       state.errorMessage = null;
     },
     noteOn: (state, action) => {
-      const { note, velocity, column, row, state: noteState } = action.payload;
+      const { note, velocity, column, row, channel, state: noteState } = action.payload;
       state.activeNotes.push({ 
         note, 
         velocity, 
         column, 
         row, 
+        channel,
         state: noteState || 'active',
         timestamp: Date.now() 
       });
     },
     noteOff: (state, action) => {
-      const { note } = action.payload;
-      state.activeNotes = state.activeNotes.filter(n => n.note !== note);
+      const { note, channel } = action.payload;
+      // Without a channel every instance of the pitch is released
+      state.activeNotes = state.activeNotes.filter(n =>
+        n.note !== note || (channel !== undefined && n.channel !== channel)
+      );
     },
     clearNotes: (state) => {
       state.activeNotes = [];
     },
+    setClockSource: (state, action) => {
+      state.clockSource = action.payload;
+    },
+    setRecording: (state, action) => {
+      state.isRecording = action.payload;
+    },
+    setLearnMode: (state, action) => {
+      state.learnMode = action.payload;
+      state.learnTarget = null;
+    },
+    setLearnTarget: (state, action) => {
+      state.learnTarget = action.payload;
+    },
+    addMidiMapping: (state, action) => {
+      const mapping = action.payload;
+      state.midiMappings = state.midiMappings
+        .filter(m => !isSameSource(m, mapping) && m.target !== mapping.target)
+        .concat(mapping);
+      state.learnTarget = null;
+    },
+    updateMidiMapping: (state, action) => {
+      const { id, changes } = action.payload;
+      state.midiMappings = state.midiMappings.map(m => (m.id === id ? { ...m, ...changes } : m));
+    },
+    removeMidiMapping: (state, action) => {
+      state.midiMappings = state.midiMappings.filter(m => m.id !== action.payload);
+    },
+    // Restore the mappings of a saved session. Each is checked like the
+    // ones MidiLearn makes and fitted to its target; invalid ones are dropped.
+    loadMidiMappings: (state, action) => {
+      state.midiMappings = [];
+      (Array.isArray(action.payload) ? action.payload : []).forEach((saved, index) => {
+        const error = validateMidiMapping(saved);
+        if (error) {
+          console.warn(`Skipping MIDI mapping ${index + 1}: ${error}`);
+          return;
+        }
+        const mapping = normalizeMidiMapping(saved);
+        state.midiMappings = state.midiMappings
+          .filter(m => !isSameSource(m, mapping) && m.target !== mapping.target)
+          .concat(mapping);
+      });
+    },
+    addDeviceProfile: (state, action) => {
+      const { id, profile } = action.payload;
+      state.deviceProfiles[id] = profile;
+    },
+    setOutputProfile: (state, action) => {
+      const { outputId, profileId } = action.payload;
+      // No profile id goes back to matching the port name
+      if (profileId) {
+        state.outputProfiles[outputId] = profileId;
+      } else {
+        delete state.outputProfiles[outputId];
+      }
+    },
+    // Restore the device profiles of a saved session. Profiles are checked
+    // like the ones loaded in the Devices panel; invalid ones are dropped.
+    loadDeviceProfiles: (state, action) => {
+      const { profiles, outputProfiles } = action.payload || {};
+
+      state.deviceProfiles = {};
+      Object.entries(profiles && typeof profiles === 'object' ? profiles : {}).forEach(([id, profile]) => {
+        const error = validateDeviceProfile(profile);
+        if (error) {
+          console.warn(`Skipping device profile "${id}": ${error}`);
+          return;
+        }
+        state.deviceProfiles[id] = normalizeDeviceProfile(profile);
+      });
+
+      state.outputProfiles = Object.fromEntries(
+        Object.entries(outputProfiles && typeof outputProfiles === 'object' ? outputProfiles : {})
+          .filter(([, profileId]) => typeof profileId === 'string')
+      );
+    },
+    setVirtualEcho: (state, action) => {
+      state.virtualEcho = action.payload;
+    },
+    toggleClockOutput: (state, action) => {
+      const outputId = action.payload;
+      state.clockOutputs = state.clockOutputs.includes(outputId)
+        ? state.clockOutputs.filter(id => id !== outputId)
+        : [...state.clockOutputs, outputId];
+    },
   },
 });
 
@@ -65,7 +168,20 @@ export const {
   selectMidiOutput,
   noteOn, 
   noteOff, 
-  clearNotes 
+  clearNotes,
+  setClockSource,
+  toggleClockOutput,
+  setRecording,
+  setLearnMode,
+  setLearnTarget,
+  addMidiMapping,
+  updateMidiMapping,
+  removeMidiMapping,
+  loadMidiMappings,
+  addDeviceProfile,
+  setOutputProfile,
+  loadDeviceProfiles,
+  setVirtualEcho
 } = midiSlice.actions;
 
 export default midiSlice.reducer;
\ No newline at end of file
@@ -2,6 +2,7 @@ import { configureStore } from '@reduxjs/toolkit';
 import midiReducer from './midiSlice';
 import algorithmReducer from './algorithmSlice';
 import visualizerReducer from './visualizerSlice';
+import synthReducer from './synthSlice';
 
 // Create empty reducers if they don't exist yet
 const emptyReducer = (state = {}, action) => state;
@@ -11,6 +12,7 @@ export const store = configureStore({
     midi: midiReducer || emptyReducer,
     algorithm: algorithmReducer || emptyReducer,
     visualizer: visualizerReducer || emptyReducer,
+    synth: synthReducer || emptyReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -0,0 +1,121 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { CC } from '../midi/midiUtils';
+
+// Parameter name by CC number, for CCs coming from the UI or the hardware
+export const CC_PARAMETERS = Object.fromEntries(
+  Object.entries(CC).map(([name, cc]) => [cc, name])
+);
+
+// LFO waveform CC values (the MegaFM splits the CC range in steps of 25)
+export const LFO_WAVEFORMS = ['sine', 'triangle', 'saw', 'square', 'noise'];
+const LFO_WAVEFORM_STEP = 25;
+
+const OPERATORS = [1, 2, 3, 4];
+const LFOS = [1, 2, 3];
+
+// Per-operator and per-LFO values, e.g. perUnit('OP', OPERATORS, 'DETUNE', 64)
+const perUnit = (prefix, units, name, value) =>
+  Object.fromEntries(units.map(unit => [`${prefix}${unit}_${name}`, value]));
+
+const initialState = {
+  // Last known value (0-127) of every parameter in the CC table, by name.
+  // Until the hardware or a session says otherwise, the panel starts from
+  // these values.
+  parameters: {
+    ...Object.fromEntries(Object.keys(CC).map(name => [name, 0])),
+    ALGORITHM: 1,   // The MegaFM numbers its algorithms 1-8
+    FEEDBACK: 64,
+    VIBRATO_RATE: 40,
+    VIBRATO_DEPTH: 20,
+    ...perUnit('OP', OPERATORS, 'TOTAL_LEVEL', 100),
+    ...perUnit('OP', OPERATORS, 'MULTIPLIER', 1),
+    ...perUnit('OP', OPERATORS, 'DETUNE', 64),
+    ...perUnit('OP', OPERATORS, 'ATTACK_RATE', 20),
+    ...perUnit('OP', OPERATORS, 'DECAY_RATE', 80),
+    ...perUnit('OP', OPERATORS, 'SUSTAIN_LEVEL', 60),
+    ...perUnit('OP', OPERATORS, 'SUSTAIN_RATE', 40),
+    ...perUnit('OP', OPERATORS, 'RELEASE_RATE', 40),
+    ...perUnit('LFO', LFOS, 'RATE', 50),
+    ...perUnit('LFO', LFOS, 'DEPTH', 30),
+    ...perUnit('LFO', LFOS, 'LOOP', 127)
+  },
+  bank: 0,              // Preset bank (0-5)
+  preset: 0,            // Preset within the bank (0-99)
+  pitchBendRange: 48,   // Semitones, used in MPE mode
+};
+
+// CC switches are on in the upper half of the range
+export const isSwitchOn = (value) => value >= 64;
+
+/**
+ * Waveform of an LFO as shown in the UI
+ * A depth above 63 puts LFO1 in velocity mode and LFO3 in aftertouch mode.
+ * @param {Object} parameters - Synth parameters
+ * @param {Number} lfo - LFO number (1-3)
+ * @returns {String} Waveform name, 'velocity' or 'aftertouch'
+ */
+export const getLfoWaveform = (parameters, lfo) => {
+  if (lfo === 1 && parameters.LFO1_DEPTH > 63) return 'velocity';
+  if (lfo === 3 && parameters.LFO3_DEPTH > 63) return 'aftertouch';
+
+  const index = Math.round(parameters[`LFO${lfo}_WAVEFORM`] / LFO_WAVEFORM_STEP);
+  return LFO_WAVEFORMS[Math.min(LFO_WAVEFORMS.length - 1, index)];
+};
+
+/**
+ * CC value selecting an LFO waveform
+ * @param {String} waveform - One of LFO_WAVEFORMS
+ * @returns {Number} CC value
+ */
+export const lfoWaveformValue = (waveform) => Math.max(0, LFO_WAVEFORMS.indexOf(waveform)) * LFO_WAVEFORM_STEP;
+
+const clampCC = (value) => Math.min(127, Math.max(0, Math.round(value)));
+const clampBank = (bank) => Math.min(5, Math.max(0, Math.floor(bank)));
+const clampPreset = (preset) => Math.min(99, Math.max(0, Math.floor(preset)));
+const clampPitchBendRange = (semitones) => Math.min(48, Math.max(1, Math.floor(semitones)));
+
+export const synthSlice = createSlice({
+  name: 'synth',
+  initialState,
+  reducers: {
+    // A CC sent to the MegaFM from the UI, or received from its knobs
+    setSynthParameter: (state, action) => {
+      const { cc, value } = action.payload;
+      const name = CC_PARAMETERS[cc];
+      if (name && Number.isFinite(value)) {
+        state.parameters[name] = clampCC(value);
+      }
+    },
+    setSynthPreset: (state, action) => {
+      const { bank, preset } = action.payload;
+      if (bank !== undefined) state.bank = clampBank(bank);
+      if (preset !== undefined) state.preset = clampPreset(preset);
+    },
+    setSynthPitchBendRange: (state, action) => {
+      state.pitchBendRange = clampPitchBendRange(action.payload);
+    },
+    // Restore the patch of a saved session (unknown parameters are ignored)
+    loadSynthSession: (state, action) => {
+      const { parameters = {}, bank, preset, pitchBendRange } = action.payload || {};
+
+      Object.entries(parameters).forEach(([name, value]) => {
+        if (name in state.parameters && Number.isFinite(value)) {
+          state.parameters[name] = clampCC(value);
+        }
+      });
+
+      if (Number.isFinite(bank)) state.bank = clampBank(bank);
+      if (Number.isFinite(preset)) state.preset = clampPreset(preset);
+      if (Number.isFinite(pitchBendRange)) state.pitchBendRange = clampPitchBendRange(pitchBendRange);
+    },
+  },
+});
+
+export const {
+  setSynthParameter,
+  setSynthPreset,
+  setSynthPitchBendRange,
+  loadSynthSession,
+} = synthSlice.actions;
+
+export default synthSlice.reducer;
@@ -1,12 +1,35 @@
 import { createSlice } from '@reduxjs/toolkit';
 
+// Ranges of the numeric settings, which a loaded session has to stay within
+const NOTE_SIZE_RANGE = { min: 0.5, max: 2 };
+const HISTORY_LENGTH_RANGE = { min: 1, max: 60 };     // seconds
+const NOTE_TRAIL_RANGE = { min: 0, max: 10 };         // seconds
+const TIME_WINDOW_RANGE = { min: 1, max: 32 };        // seconds
+
+// On/off settings
+const BOOLEAN_SETTINGS = ['showLabels', 'accessibilityMode', 'pulseEffect', 'autoRotate', 'enableBloom'];
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+const isMidiNote = (value) => Number.isInteger(value) && value >= 0 && value <= 127;
+
 const initialState = {
   visualizationMode: 'pianoRoll',
   availableModes: ['pianoRoll', 'particleField', 'geometricObjects', 'cymatic', 'cellular', 'fluid'],
   colorScheme: 'spectrum',
   availableColorSchemes: ['spectrum', 'instrument', 'velocity', 'harmony', 'cellular'],
   cameraPosition: { x: 0, y: 0, z: 10 },
-  playbackPosition: 0,
+  // Transport position, counted from 0 (published by AlgorithmEngine while playing)
+  playbackPosition: {
+    step: 0,
+    bar: 0,
+    beat: 0,
+    loop: 0,        // Loops of the current algorithm's track
+    loopStep: 0,    // Step within that loop
+    loopLength: 0,
+    duration: 0,    // Step duration (ms)
+    time: 0         // Timestamp the step started (performance.now() ms)
+  },
   historyLength: 10, // seconds of visual history to show
   showLabels: true,
   accessibilityMode: true,
@@ -27,6 +50,7 @@ const initialState = {
   },
   gridStyle: 'wireframe',
   renderQuality: 'high',
+  availableRenderQualities: ['low', 'medium', 'high'],
 };
 
 // Map algorithms to preferred visualization modes
@@ -56,6 +80,9 @@ export const visualizerSlice = createSlice({
     setPlaybackPosition: (state, action) => {
       state.playbackPosition = action.payload;
     },
+    resetPlaybackPosition: (state) => {
+      state.playbackPosition = initialState.playbackPosition;
+    },
     setHistoryLength: (state, action) => {
       state.historyLength = action.payload;
     },
@@ -92,6 +119,59 @@ export const visualizerSlice = createSlice({
     setRenderQuality: (state, action) => {
       state.renderQuality = action.payload;
     },
+    // Restore the visualizer settings of a saved session (the playback
+    // position and the lists of available options are not settings).
+    // Values missing from the session, of the wrong kind or not among the
+    // available options keep their current setting; numbers are clamped.
+    loadVisualizerSession: (state, action) => {
+      const session = action.payload || {};
+
+      if (state.availableModes.includes(session.visualizationMode)) {
+        state.visualizationMode = session.visualizationMode;
+      }
+      if (state.availableColorSchemes.includes(session.colorScheme)) {
+        state.colorScheme = session.colorScheme;
+      }
+      if (state.availableRenderQualities.includes(session.renderQuality)) {
+        state.renderQuality = session.renderQuality;
+      }
+      if (typeof session.gridStyle === 'string') state.gridStyle = session.gridStyle;
+
+      BOOLEAN_SETTINGS.forEach(key => {
+        if (typeof session[key] === 'boolean') state[key] = session[key];
+      });
+
+      if (Number.isFinite(session.noteSize)) state.noteSize = clamp(session.noteSize, NOTE_SIZE_RANGE);
+      if (Number.isFinite(session.historyLength)) {
+        state.historyLength = clamp(session.historyLength, HISTORY_LENGTH_RANGE);
+      }
+      if (Number.isFinite(session.noteTrailLength)) {
+        state.noteTrailLength = clamp(session.noteTrailLength, NOTE_TRAIL_RANGE);
+      }
+
+      const camera = session.cameraPosition;
+      if (camera && ['x', 'y', 'z'].every(axis => Number.isFinite(camera[axis]))) {
+        state.cameraPosition = { x: camera.x, y: camera.y, z: camera.z };
+      }
+
+      const view = session.viewRange;
+      if (view && typeof view === 'object') {
+        if (isMidiNote(view.minPitch) && isMidiNote(view.maxPitch) && view.minPitch < view.maxPitch) {
+          state.viewRange.minPitch = view.minPitch;
+          state.viewRange.maxPitch = view.maxPitch;
+        }
+        if (Number.isFinite(view.timeWindow)) {
+          state.viewRange.timeWindow = clamp(view.timeWindow, TIME_WINDOW_RANGE);
+        }
+      }
+
+      const cells = session.cellVisibility;
+      if (cells && typeof cells === 'object') {
+        Object.keys(state.cellVisibility).forEach(key => {
+          if (typeof cells[key] === 'boolean') state.cellVisibility[key] = cells[key];
+        });
+      }
+    },
     // Helper function to automatically set visualization based on algorithm
     setVisualizationForAlgorithm: (state, action) => {
       const algorithm = action.payload;
@@ -119,6 +199,7 @@ export const {
   setColorScheme,
   setCameraPosition,
   setPlaybackPosition,
+  resetPlaybackPosition,
   setHistoryLength,
   toggleLabels,
   toggleAccessibilityMode,
@@ -131,6 +212,7 @@ export const {
   setCellVisibility,
   setGridStyle,
   setRenderQuality,
+  loadVisualizerSession,
   setVisualizationForAlgorithm
 } = visualizerSlice.actions;
 
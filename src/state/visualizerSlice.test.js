@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import visualizerReducer, { loadVisualizerSession } from './visualizerSlice';
+
+const initial = visualizerReducer(undefined, { type: 'init' });
+
+describe('loadVisualizerSession', () => {
+  it('restores valid settings', () => {
+    const state = visualizerReducer(undefined, loadVisualizerSession({
+      visualizationMode: 'fluid',
+      colorScheme: 'harmony',
+      renderQuality: 'low',
+      noteSize: 1.5,
+      autoRotate: true,
+      viewRange: { minPitch: 48, maxPitch: 72, timeWindow: 4 },
+      cellVisibility: { death: false }
+    }));
+
+    expect(state).toMatchObject({
+      visualizationMode: 'fluid',
+      colorScheme: 'harmony',
+      renderQuality: 'low',
+      noteSize: 1.5,
+      autoRotate: true,
+      viewRange: { minPitch: 48, maxPitch: 72, timeWindow: 4 },
+      cellVisibility: { birth: true, death: false, stable: true }
+    });
+  });
+
+  it('keeps the current setting for unknown options and values of the wrong kind', () => {
+    const state = visualizerReducer(undefined, loadVisualizerSession({
+      visualizationMode: 'hologram',
+      colorScheme: 42,
+      renderQuality: 'ultra',
+      showLabels: 'no',
+      cameraPosition: { x: 1, y: 'up', z: 3 },
+      viewRange: { minPitch: 90, maxPitch: 40 },
+      availableModes: ['hologram'],
+      playbackPosition: { step: 99 }
+    }));
+
+    expect(state).toEqual(initial);
+  });
+
+  it('clamps numeric settings', () => {
+    const state = visualizerReducer(undefined, loadVisualizerSession({
+      noteSize: 50,
+      historyLength: -3,
+      noteTrailLength: 1e9,
+      viewRange: { timeWindow: 0 }
+    }));
+
+    expect(state.noteSize).toBe(2);
+    expect(state.historyLength).toBe(1);
+    expect(state.noteTrailLength).toBe(10);
+    expect(state.viewRange.timeWindow).toBe(1);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Download Utility Functions
+ * Files made in the browser (MIDI files, sessions, logs) are offered for
+ * download through a temporary object URL.
+ */
+
+/**
+ * Offer data for download as a file
+ * @param {BlobPart} data - File contents (string, bytes, ...)
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadBlob(data, filename, type) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,96 @@
+/**
+ * Groove Utility Functions
+ * Swing and groove templates applied to transport steps at scheduling time,
+ * so every generator gets the same feel without knowing about it.
+ */
+
+import { GROOVE_TEMPLATES, SWING_CONFIG, TRANSPORT_CONFIG } from '../config/constants';
+
+/**
+ * Clamp a swing amount to the supported range
+ * @param {number} swing - Swing amount in percent
+ * @returns {number} Swing amount between SWING_CONFIG.MIN and SWING_CONFIG.MAX
+ */
+export function clampSwing(swing) {
+  if (typeof swing !== 'number' || isNaN(swing)) return SWING_CONFIG.DEFAULT;
+  return Math.max(SWING_CONFIG.MIN, Math.min(SWING_CONFIG.MAX, swing));
+}
+
+/**
+ * Check that a (user loaded) groove template is usable
+ * @param {Object} template - { name, offsets: [number], accents: [number] }
+ * @returns {string|null} Error message, or null when the template is valid
+ */
+export function validateGrooveTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    return 'Groove template must be an object';
+  }
+  if (typeof template.name !== 'string' || template.name.trim() === '') {
+    return 'Groove template needs a name';
+  }
+
+  for (const key of ['offsets', 'accents']) {
+    const values = template[key];
+    if (values === undefined) continue;
+    if (!Array.isArray(values) || values.length === 0 || !values.every(v => typeof v === 'number' && isFinite(v))) {
+      return `Groove template "${key}" must be a non-empty list of numbers`;
+    }
+  }
+
+  if (template.stepsPerBeat !== undefined &&
+      !(Number.isInteger(template.stepsPerBeat) && template.stepsPerBeat >= 1 && template.stepsPerBeat <= 16)) {
+    return 'Groove template "stepsPerBeat" must be a whole number of steps (1-16)';
+  }
+  if ((template.offsets || []).some(offset => Math.abs(offset) >= 0.5)) {
+    return 'Groove template offsets must stay within half a step';
+  }
+  if ((template.accents || []).some(accent => accent < 0)) {
+    return 'Groove template accents cannot be negative';
+  }
+
+  return null;
+}
+
+/**
+ * Look up a groove template by id
+ * @param {string} templateId - Built-in or custom template id
+ * @param {Object} customTemplates - User loaded templates by id
+ * @returns {Object} Groove template (straight when not found)
+ */
+export function getGrooveTemplate(templateId, customTemplates = {}) {
+  return customTemplates[templateId] || GROOVE_TEMPLATES[templateId] || GROOVE_TEMPLATES.straight;
+}
+
+/**
+ * Timing and velocity for one step with the groove applied
+ * A template written in another resolution is mapped onto the transport's
+ * steps: each step takes the template step it falls on (its offset scaled
+ * to the step's length), and steps between template steps are left as
+ * they are.
+ * @param {Object} event - Transport step event { step, time, duration }
+ * @param {Object} template - Groove template
+ * @param {number} swing - Swing amount in percent
+ * @returns {Object} { time, accent } - Shifted timestamp and velocity multiplier
+ */
+export function applyGroove({ step, time, duration }, template, swing = SWING_CONFIG.DEFAULT) {
+  const offsets = (template && template.offsets) || [0];
+  const accents = (template && template.accents) || [1];
+
+  const { STEPS_PER_BEAT } = TRANSPORT_CONFIG;
+  const resolution = (template && template.stepsPerBeat) || STEPS_PER_BEAT;
+
+  let offset = 0;
+  let accent = 1;
+  if ((step * resolution) % STEPS_PER_BEAT === 0) {
+    const templateStep = step * resolution / STEPS_PER_BEAT;
+    offset = (offsets[templateStep % offsets.length] || 0) * STEPS_PER_BEAT / resolution;
+    accent = accents[templateStep % accents.length] ?? 1;
+  }
+
+  // Every second step is pushed towards the next one
+  if (step % 2 === 1) {
+    offset += (clampSwing(swing) - 50) / 50;
+  }
+
+  return { time: time + offset * duration, accent };
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { clampSwing, validateGrooveTemplate, getGrooveTemplate, applyGroove } from './grooveUtils';
+import { GROOVE_TEMPLATES, SWING_CONFIG } from '../config/constants';
+
+describe('clampSwing', () => {
+  it('keeps swing within range', () => {
+    expect(clampSwing(40)).toBe(SWING_CONFIG.MIN);
+    expect(clampSwing(90)).toBe(SWING_CONFIG.MAX);
+    expect(clampSwing(60)).toBe(60);
+  });
+
+  it('falls back to the default for anything but a number', () => {
+    expect(clampSwing('66')).toBe(SWING_CONFIG.DEFAULT);
+    expect(clampSwing(NaN)).toBe(SWING_CONFIG.DEFAULT);
+  });
+});
+
+describe('validateGrooveTemplate', () => {
+  it('accepts the built-in templates', () => {
+    Object.values(GROOVE_TEMPLATES).forEach(template => {
+      expect(validateGrooveTemplate(template)).toBeNull();
+    });
+  });
+
+  it('needs a name', () => {
+    expect(validateGrooveTemplate({ offsets: [0] })).toMatch(/name/);
+    expect(validateGrooveTemplate({ name: '  ' })).toMatch(/name/);
+  });
+
+  it('rejects empty or non-numeric lists', () => {
+    expect(validateGrooveTemplate({ name: 'A', offsets: [] })).toMatch(/offsets/);
+    expect(validateGrooveTemplate({ name: 'A', accents: [1, 'loud'] })).toMatch(/accents/);
+  });
+
+  it('needs a whole number of steps per beat', () => {
+    expect(validateGrooveTemplate({ name: 'A', stepsPerBeat: 4 })).toBeNull();
+    expect(validateGrooveTemplate({ name: 'A', stepsPerBeat: 0 })).toMatch(/stepsPerBeat/);
+    expect(validateGrooveTemplate({ name: 'A', stepsPerBeat: 1.5 })).toMatch(/stepsPerBeat/);
+  });
+
+  it('keeps offsets within half a step and accents positive', () => {
+    expect(validateGrooveTemplate({ name: 'A', offsets: [0, 0.5] })).toMatch(/half a step/);
+    expect(validateGrooveTemplate({ name: 'A', accents: [1, -0.1] })).toMatch(/negative/);
+  });
+});
+
+describe('getGrooveTemplate', () => {
+  it('prefers custom templates, then built-in ones, then straight', () => {
+    const custom = { mine: { name: 'Mine', offsets: [0, 0.2] } };
+    expect(getGrooveTemplate('mine', custom)).toBe(custom.mine);
+    expect(getGrooveTemplate('shuffle', custom)).toBe(GROOVE_TEMPLATES.shuffle);
+    expect(getGrooveTemplate('missing', custom)).toBe(GROOVE_TEMPLATES.straight);
+  });
+});
+
+describe('applyGroove', () => {
+  const step = (index) => ({ step: index, time: 1000 + index * 100, duration: 100 });
+
+  it('leaves straight steps where they are', () => {
+    expect(applyGroove(step(0), GROOVE_TEMPLATES.straight, 50)).toEqual({ time: 1000, accent: 1 });
+    expect(applyGroove(step(1), GROOVE_TEMPLATES.straight, 50)).toEqual({ time: 1100, accent: 1 });
+  });
+
+  it('swings every second step towards the next one', () => {
+    // 75% swing puts the off step three quarters into the pair: half a step late
+    expect(applyGroove(step(1), GROOVE_TEMPLATES.straight, 75).time).toBeCloseTo(1150);
+    expect(applyGroove(step(2), GROOVE_TEMPLATES.straight, 75).time).toBe(1200);
+  });
+
+  it('clamps the swing amount', () => {
+    expect(applyGroove(step(1), GROOVE_TEMPLATES.straight, 100).time).toBeCloseTo(1150);
+  });
+
+  it('cycles through the template offsets and accents', () => {
+    const template = GROOVE_TEMPLATES.laidBack;
+    const grooved = [0, 1, 2, 3, 4].map(index => applyGroove(step(index), template, 50));
+
+    expect(grooved[1].time).toBeCloseTo(1106);
+    expect(grooved[3].time).toBeCloseTo(1310);
+    expect(grooved[4].time).toBe(1400);
+    expect(grooved.map(event => event.accent)).toEqual([1.15, 0.85, 1, 0.8, 1.15]);
+  });
+
+  it('adds swing on top of the template offset', () => {
+    const { time } = applyGroove(step(1), GROOVE_TEMPLATES.shuffle, 60);
+    expect(time).toBeCloseTo(1100 + (1 / 3 + 0.2) * 100);
+  });
+
+  it('maps a template written in sixteenths onto the steps', () => {
+    const template = { name: 'Sixteenths', stepsPerBeat: 4, offsets: [0.2, 0.3, 0.1, 0.4], accents: [1.2, 0.5, 0.5, 0.5] };
+    const grooved = [0, 1].map(index => applyGroove(step(index), template, 50));
+
+    // Each quarter-note step falls on the first sixteenth of its beat, and
+    // a fifth of a sixteenth is a twentieth of the step
+    expect(grooved[0]).toEqual({ time: 1005, accent: 1.2 });
+    expect(grooved[1]).toEqual({ time: 1105, accent: 1.2 });
+  });
+
+  it('plays straight without a template', () => {
+    expect(applyGroove(step(3), null, 50)).toEqual({ time: 1300, accent: 1 });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Session Utility Functions
+ * A session is a JSON document holding everything needed to get back to
+ * the same place: generator parameters, tempo, seed, track setup, groove,
+ * visualizer settings, the MegaFM patch values, the MIDI Learn mappings and
+ * the device profiles.
+ *
+ * Documents carry a schema version. When the layout changes, bump
+ * SESSION_VERSION and add a migration from the previous version, so files
+ * saved by older versions keep loading.
+ */
+
+import { LFO_WAVEFORMS, lfoWaveformValue } from '../state/synthSlice';
+import { downloadBlob } from './downloadUtils';
+
+export const SESSION_FORMAT = 'megafm-session';
+export const SESSION_VERSION = 5;
+
+// Algorithm state that belongs in a session (isPlaying and the lists of
+// available options are left out on purpose)
+const ALGORITHM_KEYS = [
+  'currentAlgorithm', 'algorithms', 'tempo', 'seed', 'multiTrack', 'tracks',
+  'groove', 'grooveTemplates', 'changeQuantize', 'keyboardFollow'
+];
+
+// Visualizer settings that belong in a session (not the playback position)
+const VISUALIZER_KEYS = [
+  'visualizationMode', 'colorScheme', 'cameraPosition', 'historyLength',
+  'showLabels', 'accessibilityMode', 'viewRange', 'noteSize', 'noteTrailLength',
+  'pulseEffect', 'autoRotate', 'enableBloom', 'cellVisibility', 'gridStyle',
+  'renderQuality'
+];
+
+const SYNTH_KEYS = ['parameters', 'bank', 'preset', 'pitchBendRange'];
+
+/**
+ * Migrations by the version they upgrade from
+ * Each takes a document of that version and returns one of the next version.
+ */
+const MIGRATIONS = {
+  // Version 1 saved a handful of named patch values; version 2 saves every
+  // CC parameter by its name in the CC table. The LFO and envelope loop
+  // values of version 1 were those of LFO 1 and operator 1.
+  1: (session) => {
+    const synth = session.synth || {};
+    const parameters = {};
+    const setSwitch = (name, on) => { if (on !== undefined) parameters[name] = on ? 127 : 0; };
+
+    if (synth.voiceMode !== undefined) parameters.VOICE_MODE = synth.voiceMode;
+    if (synth.fat !== undefined) parameters.FAT = synth.fat;
+    if (synth.glide !== undefined) parameters.VOICE_GLIDE = synth.glide;
+    if (synth.notePriority !== undefined) parameters.NOTE_PRIORITY = synth.notePriority;
+    if (synth.fmAlgorithm !== undefined) parameters.ALGORITHM = synth.fmAlgorithm;
+    if (LFO_WAVEFORMS.includes(synth.lfoWaveform)) {
+      parameters.LFO1_WAVEFORM = lfoWaveformValue(synth.lfoWaveform);
+    }
+    setSwitch('FAT_MODE', synth.fatOctaveMode);
+    setSwitch('MPE_MODE', synth.mpe);
+    setSwitch('LFO1_RETRIG', synth.lfoRetrig);
+    setSwitch('LFO1_LOOP', synth.lfoLoop);
+    setSwitch('OP1_ENV_LOOP', synth.envelopeLoop);
+    setSwitch('OP1_ENV_LOOP_MODE', synth.envelopeLoopPingpong);
+
+    return {
+      ...session,
+      version: 2,
+      synth: {
+        parameters,
+        bank: synth.bank,
+        preset: synth.preset,
+        pitchBendRange: synth.pitchBendRange
+      }
+    };
+  },
+
+  // Version 3 adds the MIDI Learn mapping table
+  2: (session) => ({
+    ...session,
+    version: 3,
+    midi: { mappings: [] }
+  }),
+
+  // Version 4 adds the loaded device profiles and the profile picked for
+  // each output
+  3: (session) => ({
+    ...session,
+    version: 4,
+    midi: { ...session.midi, deviceProfiles: {}, outputProfiles: {} }
+  }),
+
+  // Version 5 drops the seed parameter of the Fractal generator, which
+  // draws from the global seed (algorithm.seed) like every generator
+  4: (session) => {
+    const fractal = session.algorithm?.algorithms?.fractal;
+    if (!fractal?.parameters || !('seed' in fractal.parameters)) return { ...session, version: 5 };
+
+    const parameters = { ...fractal.parameters };
+    delete parameters.seed;
+    return {
+      ...session,
+      version: 5,
+      algorithm: {
+        ...session.algorithm,
+        algorithms: { ...session.algorithm.algorithms, fractal: { ...fractal, parameters } }
+      }
+    };
+  }
+};
+
+const pick = (source, keys) => Object.fromEntries(
+  keys.filter(key => source && source[key] !== undefined).map(key => [key, source[key]])
+);
+
+/**
+ * Build a session document from the current state
+ * @param {Object} state - Redux state
+ * @returns {Object} Session document
+ */
+export function createSession(state) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    algorithm: pick(state.algorithm, ALGORITHM_KEYS),
+    visualizer: pick(state.visualizer, VISUALIZER_KEYS),
+    synth: pick(state.synth, SYNTH_KEYS),
+    midi: {
+      mappings: state.midi.midiMappings,
+      deviceProfiles: state.midi.deviceProfiles,
+      outputProfiles: state.midi.outputProfiles
+    }
+  };
+}
+
+/**
+ * Bring a session document up to the current version
+ * @param {Object} session - Session document of any known version
+ * @returns {Object} Session document of SESSION_VERSION
+ * @throws {Error} When the document is not a session or is from a newer version
+ */
+export function migrateSession(session) {
+  if (!session || typeof session !== 'object' || session.format !== SESSION_FORMAT) {
+    throw new Error('Not a MegaFM session file');
+  }
+  if (!Number.isInteger(session.version) || session.version < 1) {
+    throw new Error(`Invalid session version: ${session.version}`);
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session version ${session.version} is newer than this app supports (${SESSION_VERSION})`);
+  }
+
+  let migrated = session;
+  while (migrated.version < SESSION_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from session version ${migrated.version}`);
+    }
+    migrated = migrate(migrated);
+  }
+
+  return {
+    ...migrated,
+    algorithm: migrated.algorithm || {},
+    visualizer: migrated.visualizer || {},
+    synth: migrated.synth || {},
+    midi: migrated.midi || {}
+  };
+}
+
+/**
+ * Parse and migrate a session file
+ * @param {string} text - File contents
+ * @returns {Object} Session document of SESSION_VERSION
+ * @throws {Error} When the file cannot be read as a session
+ */
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Session file is not valid JSON: ${error.message}`);
+  }
+  return migrateSession(session);
+}
+
+/**
+ * Offer a session document for download
+ * @param {Object} session - Session document
+ * @param {string} filename - Suggested file name
+ */
+export function downloadSession(session, filename) {
+  downloadBlob(
+    JSON.stringify(session, null, 2),
+    filename.endsWith('.json') ? filename : `${filename}.json`,
+    'application/json'
+  );
+}
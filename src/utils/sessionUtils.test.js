@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { SESSION_FORMAT, SESSION_VERSION, createSession, migrateSession, parseSession } from './sessionUtils';
+
+const VERSION_1 = {
+  format: SESSION_FORMAT,
+  version: 1,
+  algorithm: { tempo: 100, seed: 42 },
+  synth: {
+    voiceMode: 2,
+    fat: 30,
+    glide: 12,
+    notePriority: 1,
+    fmAlgorithm: 5,
+    lfoWaveform: 'saw',
+    fatOctaveMode: true,
+    mpe: false,
+    lfoRetrig: true,
+    envelopeLoop: true,
+    bank: 3,
+    preset: 17,
+    pitchBendRange: 12
+  }
+};
+
+describe('migrateSession', () => {
+  it('brings a version 1 session up to date', () => {
+    const session = migrateSession(VERSION_1);
+
+    expect(session.version).toBe(SESSION_VERSION);
+    expect(session.algorithm).toEqual({ tempo: 100, seed: 42 });
+    expect(session.midi).toEqual({ mappings: [], deviceProfiles: {}, outputProfiles: {} });
+  });
+
+  it('moves the version 1 patch values to their CC names', () => {
+    const { synth } = migrateSession(VERSION_1);
+
+    expect(synth).toEqual({
+      parameters: {
+        VOICE_MODE: 2,
+        FAT: 30,
+        VOICE_GLIDE: 12,
+        NOTE_PRIORITY: 1,
+        ALGORITHM: 5,
+        LFO1_WAVEFORM: 50,
+        FAT_MODE: 127,
+        MPE_MODE: 0,
+        LFO1_RETRIG: 127,
+        OP1_ENV_LOOP: 127
+      },
+      bank: 3,
+      preset: 17,
+      pitchBendRange: 12
+    });
+  });
+
+  it('leaves out version 1 values that were not saved', () => {
+    const { synth } = migrateSession({ format: SESSION_FORMAT, version: 1, synth: { lfoWaveform: 'wobble' } });
+    expect(synth.parameters).toEqual({});
+  });
+
+  it('keeps the MIDI Learn mappings of a version 3 session', () => {
+    const mappings = [{ id: 'cc:1:74', target: 'tempo' }];
+    const session = migrateSession({ format: SESSION_FORMAT, version: 3, midi: { mappings } });
+
+    expect(session.midi).toEqual({ mappings, deviceProfiles: {}, outputProfiles: {} });
+  });
+
+  it('drops the seed parameter of the Fractal generator from a version 4 session', () => {
+    const session = migrateSession({
+      format: SESSION_FORMAT,
+      version: 4,
+      algorithm: {
+        seed: 7,
+        algorithms: { fractal: { enabled: true, parameters: { seed: 42, complexity: 0.8 } } }
+      }
+    });
+
+    expect(session.algorithm).toEqual({
+      seed: 7,
+      algorithms: { fractal: { enabled: true, parameters: { complexity: 0.8 } } }
+    });
+  });
+
+  it('fills in missing sections', () => {
+    const session = migrateSession({ format: SESSION_FORMAT, version: SESSION_VERSION });
+
+    expect(session.algorithm).toEqual({});
+    expect(session.visualizer).toEqual({});
+    expect(session.synth).toEqual({});
+    expect(session.midi).toEqual({});
+  });
+
+  it('rejects documents that are not sessions', () => {
+    expect(() => migrateSession(null)).toThrow(/Not a MegaFM session/);
+    expect(() => migrateSession({ format: 'something-else', version: 1 })).toThrow(/Not a MegaFM session/);
+  });
+
+  it('rejects invalid and newer versions', () => {
+    expect(() => migrateSession({ format: SESSION_FORMAT, version: 0 })).toThrow(/Invalid session version/);
+    expect(() => migrateSession({ format: SESSION_FORMAT, version: '2' })).toThrow(/Invalid session version/);
+    expect(() => migrateSession({ format: SESSION_FORMAT, version: SESSION_VERSION + 1 })).toThrow(/newer/);
+  });
+});
+
+describe('parseSession', () => {
+  it('reads a saved session back', () => {
+    const state = {
+      algorithm: { tempo: 120, seed: 7, isPlaying: true },
+      visualizer: { colorScheme: 'neon', currentStep: 3 },
+      synth: { parameters: { FAT: 10 }, bank: 1, preset: 2, pitchBendRange: 2 },
+      midi: { midiMappings: [], deviceProfiles: {}, outputProfiles: { out1: 'megafm' } }
+    };
+    const session = parseSession(JSON.stringify(createSession(state)));
+
+    expect(session.version).toBe(SESSION_VERSION);
+    expect(session.algorithm).toEqual({ tempo: 120, seed: 7 });
+    expect(session.visualizer).toEqual({ colorScheme: 'neon' });
+    expect(session.synth).toEqual(state.synth);
+    expect(session.midi.outputProfiles).toEqual({ out1: 'megafm' });
+  });
+
+  it('reports files that are not JSON', () => {
+    expect(() => parseSession('{ nope')).toThrow(/not valid JSON/);
+  });
+});
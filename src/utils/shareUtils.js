@@ -0,0 +1,124 @@
+/**
+ * Share Link Utility Functions
+ * Packs the current algorithm, its parameters (including the scale), seed,
+ * tempo and groove into a URL fragment, so opening the link plays the same
+ * generative pattern. The visualizer mode and color scheme come along too.
+ *
+ * Fragment layout: #patch=<version>.<encoding>.<data> where encoding is
+ * 'z' for deflate-compressed JSON or 'j' for plain JSON (browsers without
+ * CompressionStream), both base64url encoded.
+ */
+
+export const SHARE_VERSION = 1;
+const FRAGMENT_KEY = 'patch';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+// Run bytes through a CompressionStream or DecompressionStream
+const transformBytes = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+const canCompress = () =>
+  typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+/**
+ * Pick the shared settings out of the current state
+ * @param {Object} state - Redux state
+ * @returns {Object} Compact patch description
+ */
+export function createSharePatch(state) {
+  const { currentAlgorithm, algorithms, seed, tempo, groove } = state.algorithm;
+
+  return {
+    a: currentAlgorithm,
+    p: algorithms[currentAlgorithm].parameters,
+    s: seed,
+    t: tempo,
+    g: groove,
+    v: { m: state.visualizer.visualizationMode, c: state.visualizer.colorScheme }
+  };
+}
+
+/**
+ * Encode the current settings as a URL fragment
+ * @param {Object} state - Redux state
+ * @returns {Promise<string>} Fragment, including the leading '#'
+ */
+export async function encodeShareFragment(state) {
+  const json = new TextEncoder().encode(JSON.stringify(createSharePatch(state)));
+
+  if (canCompress()) {
+    const compressed = await transformBytes(json, new CompressionStream('deflate-raw'));
+    return `#${FRAGMENT_KEY}=${SHARE_VERSION}.z.${toBase64Url(compressed)}`;
+  }
+
+  return `#${FRAGMENT_KEY}=${SHARE_VERSION}.j.${toBase64Url(json)}`;
+}
+
+/**
+ * Decode a URL fragment into session sections for the slices
+ * @param {string} hash - location.hash
+ * @returns {Promise<Object|null>} { algorithm, visualizer }, or null when
+ *   the fragment holds no shared patch
+ * @throws {Error} When the fragment holds a patch that cannot be read
+ */
+export async function decodeShareFragment(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const value = params.get(FRAGMENT_KEY);
+  if (!value) return null;
+
+  const [version, encoding, data] = value.split('.');
+  if (parseInt(version, 10) !== SHARE_VERSION) {
+    throw new Error(`Unsupported share link version: ${version}`);
+  }
+  if (!data || (encoding !== 'z' && encoding !== 'j')) {
+    throw new Error('Malformed share link');
+  }
+  if (encoding === 'z' && !canCompress()) {
+    throw new Error('This browser cannot read compressed share links');
+  }
+
+  let bytes = fromBase64Url(data);
+  if (encoding === 'z') {
+    bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+  }
+  const patch = JSON.parse(new TextDecoder().decode(bytes));
+
+  if (!patch || typeof patch.a !== 'string' || typeof patch.p !== 'object') {
+    throw new Error('Share link does not describe a patch');
+  }
+
+  return {
+    // The link plays one algorithm, as a single track
+    algorithm: {
+      currentAlgorithm: patch.a,
+      algorithms: { [patch.a]: { enabled: true, parameters: patch.p } },
+      multiTrack: false,
+      seed: patch.s,
+      tempo: patch.t,
+      groove: patch.g
+    },
+    visualizer: patch.v ? { visualizationMode: patch.v.m, colorScheme: patch.v.c } : {}
+  };
+}
+
+/**
+ * Build a link to the current page with the shared settings
+ * @param {Object} state - Redux state
+ * @returns {Promise<string>} Absolute URL
+ */
+export async function createShareLink(state) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}${await encodeShareFragment(state)}`;
+}
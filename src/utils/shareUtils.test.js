@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { SHARE_VERSION, createSharePatch, encodeShareFragment, decodeShareFragment } from './shareUtils';
+import algorithmReducer, { loadAlgorithmSession } from '../state/algorithmSlice';
+import visualizerReducer, { loadVisualizerSession } from '../state/visualizerSlice';
+import { ALGORITHM_CONFIG } from '../config/constants';
+
+const state = {
+  algorithm: {
+    currentAlgorithm: 'euclidean',
+    algorithms: {
+      euclidean: { enabled: true, parameters: { steps: 16, pulses: 5, scale: 'dorian' } },
+      cellular: { enabled: true, parameters: { rule: 30 } }
+    },
+    seed: 1234,
+    tempo: 128,
+    groove: { template: 'shuffle', swing: 58 }
+  },
+  visualizer: { visualizationMode: 'grid', colorScheme: 'neon', currentStep: 5 }
+};
+
+const expected = {
+  algorithm: {
+    currentAlgorithm: 'euclidean',
+    algorithms: { euclidean: { enabled: true, parameters: { steps: 16, pulses: 5, scale: 'dorian' } } },
+    multiTrack: false,
+    seed: 1234,
+    tempo: 128,
+    groove: { template: 'shuffle', swing: 58 }
+  },
+  visualizer: { visualizationMode: 'grid', colorScheme: 'neon' }
+};
+
+describe('createSharePatch', () => {
+  it('only takes the current algorithm', () => {
+    const patch = createSharePatch(state);
+    expect(patch.a).toBe('euclidean');
+    expect(patch.p).toBe(state.algorithm.algorithms.euclidean.parameters);
+    expect(patch.v).toEqual({ m: 'grid', c: 'neon' });
+  });
+});
+
+describe('share fragments', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('round-trips through a compressed fragment', async () => {
+    const fragment = await encodeShareFragment(state);
+
+    expect(fragment).toMatch(new RegExp(`^#patch=${SHARE_VERSION}\\.z\\.[A-Za-z0-9_-]+$`));
+    expect(await decodeShareFragment(fragment)).toEqual(expected);
+  });
+
+  it('falls back to plain JSON without CompressionStream', async () => {
+    vi.stubGlobal('CompressionStream', undefined);
+    const fragment = await encodeShareFragment(state);
+
+    expect(fragment).toMatch(new RegExp(`^#patch=${SHARE_VERSION}\\.j\\.`));
+    expect(await decodeShareFragment(fragment)).toEqual(expected);
+  });
+
+  it('ignores fragments without a patch', async () => {
+    expect(await decodeShareFragment('')).toBeNull();
+    expect(await decodeShareFragment('#section=2')).toBeNull();
+  });
+
+  it('rejects other versions and malformed links', async () => {
+    await expect(decodeShareFragment('#patch=99.j.e30')).rejects.toThrow(/version/);
+    await expect(decodeShareFragment(`#patch=${SHARE_VERSION}.x.e30`)).rejects.toThrow(/Malformed/);
+    await expect(decodeShareFragment(`#patch=${SHARE_VERSION}.j`)).rejects.toThrow(/Malformed/);
+  });
+
+  it('rejects links that do not describe a patch', async () => {
+    // base64url of '{}'
+    await expect(decodeShareFragment(`#patch=${SHARE_VERSION}.j.e30`)).rejects.toThrow(/does not describe a patch/);
+  });
+
+  it('leaves a tampered patch to the slice loaders to sanitise', async () => {
+    const tampered = {
+      a: 'euclidean',
+      p: { steps: 5000, fills: 'all', injected: true },
+      s: -1,
+      t: 1e6,
+      v: { m: 'hologram', c: { toString: 'x' } }
+    };
+    const json = JSON.stringify(tampered);
+    const fragment = `#patch=${SHARE_VERSION}.j.${Buffer.from(json).toString('base64url')}`;
+
+    // Applied the way main.jsx applies a shared link
+    const shared = await decodeShareFragment(fragment);
+    const algorithm = algorithmReducer(undefined, loadAlgorithmSession(shared.algorithm));
+    const visualizer = visualizerReducer(undefined, loadVisualizerSession(shared.visualizer));
+
+    const initialAlgorithm = algorithmReducer(undefined, { type: 'init' });
+    const { parameters } = algorithm.algorithms.euclidean;
+    expect(parameters.steps).toBe(ALGORITHM_CONFIG.MAX_STEPS);
+    expect(parameters.fills).toBe(initialAlgorithm.algorithms.euclidean.parameters.fills);
+    expect(parameters).not.toHaveProperty('injected');
+    expect(algorithm.seed).toBe(initialAlgorithm.seed);
+    expect(algorithm.tempo).toBe(ALGORITHM_CONFIG.MAX_TEMPO);
+    expect(visualizer).toEqual(visualizerReducer(undefined, { type: 'init' }));
+  });
+});
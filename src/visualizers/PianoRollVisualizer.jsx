@@ -3,6 +3,7 @@ import { useFrame } from '@react-three/fiber';
 import { Text } from '@react-three/drei';
 import { useSelector } from 'react-redux';
 import * as THREE from 'three';
+import { TRANSPORT_CONFIG } from '../config/constants';
 
 // Note name conversion utility
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -17,6 +18,7 @@ const PianoRollVisualizer = ({ activeNotes = [] }) => {
   const notesRef = useRef({});
   const pianoKeysRef = useRef();
   const gridRef = useRef();
+  const playheadRef = useRef();
   
   // Default visualization settings
   const defaultSettings = {
@@ -36,6 +38,8 @@ const PianoRollVisualizer = ({ activeNotes = [] }) => {
   const noteTrailLength = visualizer.noteTrailLength ?? defaultSettings.noteTrailLength;
   const viewRange = visualizer.viewRange ?? defaultSettings.viewRange;
   const colorScheme = visualizer.colorScheme ?? defaultSettings.colorScheme;
+  const playbackPosition = visualizer.playbackPosition;
+  const isPlaying = useSelector(state => state.algorithm.isPlaying);
   
   // Define color schemes for notes
   const colorSchemes = useMemo(() => ({
@@ -160,8 +164,23 @@ const PianoRollVisualizer = ({ activeNotes = [] }) => {
     return grid;
   }, [viewRange.timeWindow]);
   
+  // Steps shown by the time grid (4 bars)
+  const gridSteps = 4 * TRANSPORT_CONFIG.BEATS_PER_BAR * TRANSPORT_CONFIG.STEPS_PER_BEAT;
+  
   // Update the visualization on each frame
   useFrame((state, delta) => {
+    // Move the playhead across the grid, interpolating between the
+    // (throttled) position updates so it glides instead of jumping
+    if (playheadRef.current) {
+      playheadRef.current.visible = isPlaying && !!playbackPosition && playbackPosition.duration > 0;
+      
+      if (playheadRef.current.visible) {
+        const elapsedSteps = Math.max(0, (performance.now() - playbackPosition.time) / playbackPosition.duration);
+        const gridStep = (playbackPosition.step + elapsedSteps) % gridSteps;
+        playheadRef.current.position.z = (gridStep / gridSteps) * viewRange.timeWindow;
+      }
+    }
+    
     // Update position and opacity of each active note
     Object.keys(notesRef.current).forEach(noteId => {
       const noteObject = notesRef.current[noteId];
@@ -238,6 +257,12 @@ const PianoRollVisualizer = ({ activeNotes = [] }) => {
       {/* Time grid and note visualization */}
       <group ref={gridRef} position={[-5, 0, 0]}>
         {timeGrid}
+        
+        {/* Playhead */}
+        <mesh ref={playheadRef} rotation={[-Math.PI / 2, 0, 0]} visible={false}>
+          <planeGeometry args={[20, 0.05]} />
+          <meshBasicMaterial color="#ff5050" transparent opacity={0.8} side={THREE.DoubleSide} />
+        </mesh>
       </group>
       
       {/* Title and instructions */}
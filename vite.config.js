@@ -10,5 +10,8 @@ export default defineConfig({
     outDir: 'dist',
     assetsDir: 'assets',
     sourcemap: true
+  },
+  test: {
+    environment: 'happy-dom'
   }
 });
\ No newline at end of file